@@ -0,0 +1,327 @@
+// Artifact ingestion: turn uploaded files into text the coach can read.
+//
+// extractArtifactContent() returns
+//   {
+//     summary,  // one-paragraph description used in prompts and reports
+//     chunks,   // [{ id, index, text, location }] in document order
+//     stats     // { characters, truncated, pages | rows/columns | lines }
+//   }
+// where `location` says where a chunk came from: { page }, { rows: [from, to] }
+// or { lines: [from, to] } (1-based, inclusive).
+
+const pdfParse = require('pdf-parse');
+
+const MAX_CHUNK_CHARS = 2000;
+const MAX_TOTAL_CHARS = 200000; // keep huge exports from bloating the session
+const CSV_ROWS_PER_CHUNK = 50;
+const CSV_SAMPLE_VALUES = 3;
+
+// Split text into chunks of at most maxChars, preferring line boundaries.
+// Returns [{ text, lines: [from, to] }].
+function chunkLines(lines, maxChars = MAX_CHUNK_CHARS, firstLineNumber = 1) {
+    const chunks = [];
+    let current = [];
+    let currentSize = 0;
+    let startLine = firstLineNumber;
+
+    const flush = (endLine) => {
+        const text = current.join('\n').trim();
+        if (text) {
+            chunks.push({ text, lines: [startLine, endLine] });
+        }
+        current = [];
+        currentSize = 0;
+    };
+
+    lines.forEach((line, i) => {
+        const lineNumber = firstLineNumber + i;
+
+        // Hard-wrap single lines that are longer than a whole chunk
+        const pieces = line.length > maxChars ? line.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')) : [line];
+
+        pieces.forEach(piece => {
+            if (currentSize + piece.length + 1 > maxChars && current.length > 0) {
+                flush(lineNumber - (piece === pieces[0] ? 1 : 0));
+                startLine = lineNumber;
+            }
+            current.push(piece);
+            currentSize += piece.length + 1;
+        });
+    });
+
+    flush(firstLineNumber + lines.length - 1);
+    return chunks;
+}
+
+// Cap the total amount of text kept for one artifact
+function capChunks(chunks) {
+    const kept = [];
+    let total = 0;
+
+    for (const chunk of chunks) {
+        if (total + chunk.text.length > MAX_TOTAL_CHARS) {
+            return { chunks: kept, characters: total, truncated: true };
+        }
+        kept.push(chunk);
+        total += chunk.text.length;
+    }
+
+    return { chunks: kept, characters: total, truncated: false };
+}
+
+// PDF: one or more chunks per page, so passages can cite their page
+async function extractPdf(buffer) {
+    const pages = [];
+
+    const renderPage = async (pageData) => {
+        const textContent = await pageData.getTextContent();
+        let lastY = null;
+        let text = '';
+
+        // Start a new line whenever the baseline moves
+        textContent.items.forEach(item => {
+            const y = item.transform[5];
+            if (lastY !== null && y !== lastY) {
+                text += '\n';
+            } else if (text && !text.endsWith(' ')) {
+                text += ' ';
+            }
+            text += item.str;
+            lastY = y;
+        });
+
+        pages.push(text);
+        return text;
+    };
+
+    // The bundled pdf.js copies a Node Buffer with its bytes shifted, which
+    // breaks the cross-reference table of small PDFs; a Uint8Array is safe
+    const result = await pdfParse(new Uint8Array(buffer), { pagerender: renderPage });
+    const chunks = [];
+
+    pages.forEach((pageText, i) => {
+        chunkLines(pageText.split('\n')).forEach(chunk => {
+            chunks.push({ text: chunk.text, location: { page: i + 1 } });
+        });
+    });
+
+    const words = pages.join(' ').split(/\s+/).filter(Boolean).length;
+
+    return {
+        summary: `PDF document, ${result.numpages} page(s), about ${words} words.`,
+        chunks,
+        stats: { pages: result.numpages }
+    };
+}
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function inferColumnType(values) {
+    if (values.length === 0) return 'empty';
+    if (values.every(v => !Number.isNaN(Number(v.replace(/[$,%]/g, ''))))) return 'number';
+    if (values.every(v => /\d/.test(v) && !Number.isNaN(Date.parse(v)))) return 'date';
+    return 'text';
+}
+
+// Describe one CSV column: type, fill rate, distinct values and range/samples
+function profileColumn(name, values) {
+    const filled = values.map(v => (v || '').trim()).filter(v => v !== '');
+    const type = inferColumnType(filled);
+    const distinct = new Set(filled);
+    const profile = {
+        name,
+        type,
+        filled: filled.length,
+        distinct: distinct.size
+    };
+
+    if (type === 'number') {
+        const numbers = filled.map(v => Number(v.replace(/[$,%]/g, '')));
+        profile.min = Math.min(...numbers);
+        profile.max = Math.max(...numbers);
+        profile.mean = Math.round((numbers.reduce((sum, n) => sum + n, 0) / numbers.length) * 100) / 100;
+    } else if (type === 'date') {
+        const dates = filled.map(v => Date.parse(v)).sort((a, b) => a - b);
+        profile.min = new Date(dates[0]).toISOString().slice(0, 10);
+        profile.max = new Date(dates[dates.length - 1]).toISOString().slice(0, 10);
+    } else if (type === 'text') {
+        profile.samples = Array.from(distinct).slice(0, CSV_SAMPLE_VALUES);
+    }
+
+    return profile;
+}
+
+function describeColumn(profile, rowCount) {
+    let line = `- ${profile.name} (${profile.type}, ${profile.filled}/${rowCount} filled, ${profile.distinct} distinct)`;
+    if (profile.min !== undefined) {
+        line += `: ${profile.min} to ${profile.max}`;
+        if (profile.mean !== undefined) line += `, mean ${profile.mean}`;
+    } else if (profile.samples && profile.samples.length > 0) {
+        line += `: e.g. ${profile.samples.join(', ')}`;
+    }
+    return line;
+}
+
+// CSV: the column profile goes in the summary, data rows in blocks that cite row numbers
+function extractCsv(buffer) {
+    const rows = parseCsv(buffer.toString('utf8'));
+    if (rows.length === 0) {
+        return { summary: 'Empty CSV file.', chunks: [], stats: { rows: 0, columns: 0 } };
+    }
+
+    const header = rows[0].map((name, i) => name.trim() || `column_${i + 1}`);
+    const dataRows = rows.slice(1);
+    const profiles = header.map((name, i) => profileColumn(name, dataRows.map(r => r[i] || '')));
+    const profileText = `Columns:\n${profiles.map(p => describeColumn(p, dataRows.length)).join('\n')}`;
+
+    const chunks = [];
+
+    for (let start = 0; start < dataRows.length; start += CSV_ROWS_PER_CHUNK) {
+        const block = dataRows.slice(start, start + CSV_ROWS_PER_CHUNK);
+        const text = block
+            .map((row, i) => `Row ${start + i + 1}: ${header.map((name, col) => `${name}=${row[col] || ''}`).join('; ')}`)
+            .join('\n');
+
+        chunkLines(text.split('\n')).forEach(chunk => {
+            chunks.push({
+                text: chunk.text,
+                location: { rows: [start + chunk.lines[0], start + chunk.lines[1]] }
+            });
+        });
+    }
+
+    return {
+        summary: `CSV file with ${dataRows.length} data row(s) and ${header.length} column(s).\n${profileText}`,
+        chunks,
+        stats: { rows: dataRows.length, columns: header.length }
+    };
+}
+
+// Flatten nested JSON into "path: value" lines
+function flattenJson(value, prefix = '', lines = []) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) lines.push(`${prefix}: []`);
+        value.forEach((item, i) => flattenJson(item, `${prefix}[${i}]`, lines));
+    } else if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) lines.push(`${prefix}: {}`);
+        keys.forEach(key => flattenJson(value[key], prefix ? `${prefix}.${key}` : key, lines));
+    } else {
+        lines.push(`${prefix || '(root)'}: ${JSON.stringify(value)}`);
+    }
+    return lines;
+}
+
+function extractJsonArtifact(buffer) {
+    const data = JSON.parse(buffer.toString('utf8'));
+    const lines = flattenJson(data);
+    const topLevel = Array.isArray(data)
+        ? `an array of ${data.length} item(s)`
+        : `an object with keys ${Object.keys(data || {}).slice(0, 10).join(', ')}`;
+
+    return {
+        summary: `JSON document: ${topLevel}; ${lines.length} value(s) when flattened.`,
+        chunks: chunkLines(lines).map(chunk => ({ text: chunk.text, location: { lines: chunk.lines } })),
+        stats: { lines: lines.length }
+    };
+}
+
+function extractPlainText(buffer) {
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    const words = lines.join(' ').split(/\s+/).filter(Boolean).length;
+
+    return {
+        summary: `Text document, ${lines.length} line(s), about ${words} words.`,
+        chunks: chunkLines(lines).map(chunk => ({ text: chunk.text, location: { lines: chunk.lines } })),
+        stats: { lines: lines.length }
+    };
+}
+
+const EXTRACTORS = {
+    'application/pdf': extractPdf,
+    'text/csv': extractCsv,
+    'application/json': extractJsonArtifact,
+    'text/plain': extractPlainText
+};
+
+// Extract text content from an uploaded file
+async function extractArtifactContent(buffer, { artifactId, mimetype }) {
+    const extractor = EXTRACTORS[mimetype];
+    if (!extractor) {
+        throw new Error(`No text extractor for ${mimetype}`);
+    }
+
+    const extracted = await extractor(buffer);
+    const { chunks, characters, truncated } = capChunks(extracted.chunks);
+
+    return {
+        summary: extracted.summary,
+        chunks: chunks.map((chunk, index) => ({
+            id: `${artifactId}:${index}`,
+            index,
+            text: chunk.text,
+            location: chunk.location
+        })),
+        stats: { ...extracted.stats, characters, truncated }
+    };
+}
+
+// Human-readable form of a chunk location, e.g. "page 3" or "rows 51-100"
+function describeLocation(location = {}) {
+    if (location.page) return `page ${location.page}`;
+    if (location.rows) return `rows ${location.rows[0]}-${location.rows[1]}`;
+    if (location.lines) return `lines ${location.lines[0]}-${location.lines[1]}`;
+    return 'whole document';
+}
+
+module.exports = {
+    extractArtifactContent,
+    describeLocation,
+    parseCsv,
+    flattenJson,
+    chunkLines
+};
@@ -0,0 +1,135 @@
+// Local retrieval over uploaded artifact chunks (BM25, no external service).
+//
+// Each user turn picks the few passages most relevant to what is being
+// discussed, so the prompt carries a bounded amount of artifact text however
+// many files are uploaded. Passages are tagged [S1], [S2], ... so the coach
+// can cite them, and each tag resolves to an artifact id and page/row range.
+
+const { describeLocation } = require('./artifact-ingestion');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no',
+    'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who',
+    'will', 'with', 'would', 'you', 'your'
+]);
+
+// Lowercase word tokens with stopwords dropped and plurals folded
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(token => {
+            if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+            if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+            return token;
+        });
+}
+
+class BM25Index {
+    constructor(options = {}) {
+        this.k1 = options.k1 || 1.2;
+        this.b = options.b !== undefined ? options.b : 0.75;
+        this.documents = [];
+        this.documentFrequency = new Map();
+        this.totalLength = 0;
+    }
+
+    add(document) {
+        const terms = new Map();
+        const tokens = tokenize(document.text);
+
+        tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+        terms.forEach((count, term) => {
+            this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        });
+
+        this.documents.push({ document, terms, length: tokens.length });
+        this.totalLength += tokens.length;
+    }
+
+    // Best-matching documents for a query, highest score first
+    search(query, limit = 5) {
+        const queryTerms = Array.from(new Set(tokenize(query)));
+        if (queryTerms.length === 0 || this.documents.length === 0) {
+            return [];
+        }
+
+        const count = this.documents.length;
+        const averageLength = this.totalLength / count || 1;
+
+        return this.documents
+            .map(({ document, terms, length }) => {
+                let score = 0;
+                queryTerms.forEach(term => {
+                    const frequency = terms.get(term);
+                    if (!frequency) return;
+
+                    const df = this.documentFrequency.get(term);
+                    const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+                    score += idf * (frequency * (this.k1 + 1)) /
+                        (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+                });
+                return { document, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// Index every extracted chunk of a session's artifacts
+function buildArtifactIndex(session) {
+    const index = new BM25Index();
+
+    session.getArtifacts().forEach(artifact => {
+        const content = session.getArtifactContent(artifact.id);
+        if (!content) return;
+
+        content.chunks.forEach(chunk => {
+            index.add({
+                // Searching on the filename too lets "the budget sheet" find budget.csv
+                text: `${artifact.filename}\n${chunk.text}`,
+                artifactId: artifact.id,
+                filename: artifact.filename,
+                chunkId: chunk.id,
+                location: chunk.location,
+                passage: chunk.text
+            });
+        });
+    });
+
+    return index;
+}
+
+// Top passages for a query, tagged S1..Sn for citation
+function retrieveArtifactPassages(session, query, { limit = 5 } = {}) {
+    return buildArtifactIndex(session).search(query, limit).map(({ document, score }, i) => ({
+        ref: `S${i + 1}`,
+        artifactId: document.artifactId,
+        filename: document.filename,
+        chunkId: document.chunkId,
+        location: document.location,
+        text: document.passage,
+        score: Math.round(score * 1000) / 1000
+    }));
+}
+
+// "budget.csv, rows 1-50"
+function formatCitation(citation) {
+    return `${citation.filename}, ${describeLocation(citation.location)}`;
+}
+
+// Passages the reply actually cites, by their tags: [S1] or [S1, S3]
+function findCitedPassages(reply, passages) {
+    return passages.filter(passage => new RegExp(`\\[[^\\]]*\\b${passage.ref}\\b[^\\]]*\\]`).test(reply));
+}
+
+module.exports = {
+    tokenize,
+    BM25Index,
+    buildArtifactIndex,
+    retrieveArtifactPassages,
+    formatCitation,
+    findCitedPassages
+};
@@ -0,0 +1,231 @@
+// Authentication for COMPAS Navigator: local accounts with bcrypt-hashed
+// passwords and stateless JWTs, so the Express server and every Netlify
+// function instance accept the same tokens.
+//
+// Clients send the token as `Authorization: Bearer <token>` or rely on the
+// httpOnly cookie set at login.
+
+const crypto = require('crypto');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { createSessionStore } = require('./session-store');
+
+const AUTH_COOKIE = 'compas_token';
+const BCRYPT_ROUNDS = 10;
+const DEFAULT_TOKEN_TTL = '7d';
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Login attempts allowed per username and IP each minute
+const MAX_LOGIN_ATTEMPTS = 5;
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Validate registration input; returns { isValid, errors }
+function validateCredentials(username, password) {
+    const errors = [];
+
+    if (!USERNAME_PATTERN.test(normalizeUsername(username))) {
+        errors.push('Username must be 3-32 characters: letters, numbers, "-" or "_"');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+// Users are keyed by username in a session-store adapter that never expires
+function createUserStore(options = {}) {
+    return createSessionStore({
+        type: options.type || process.env.USER_STORE || process.env.SESSION_STORE,
+        directory: options.directory || process.env.USER_STORE_PATH || path.join(__dirname, 'data', 'users'),
+        name: 'users',
+        ttlMs: null
+    });
+}
+
+// The user fields that are safe to return to clients
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        createdAt: user.createdAt
+    };
+}
+
+class AuthService {
+    constructor(options = {}) {
+        this.userStore = options.userStore || createUserStore();
+        this.tokenTtl = options.tokenTtl || process.env.AUTH_TOKEN_TTL || DEFAULT_TOKEN_TTL;
+        this.secret = options.secret || process.env.JWT_SECRET || process.env.SESSION_SECRET;
+
+        if (!this.secret) {
+            // Tokens will not survive a restart or work across function instances
+            console.warn('JWT_SECRET is not set; using a random secret for this process');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    async findUser(username) {
+        return this.userStore.get(normalizeUsername(username));
+    }
+
+    // The account is only written if no other registration took the
+    // username first, even one running at the same time; otherwise this
+    // throws with status 409
+    async register(username, password) {
+        const key = normalizeUsername(username);
+        const taken = () => Object.assign(new Error('Username is already taken'), { status: 409 });
+        if (await this.userStore.get(key)) {
+            throw taken();
+        }
+
+        const user = {
+            id: uuidv4(),
+            username: key,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await this.userStore.set(key, user, { expectedVersion: null });
+        } catch (error) {
+            throw error.code === 'VERSION_CONFLICT' ? taken() : error;
+        }
+        return user;
+    }
+
+    // Resolves to the user when the password matches, otherwise null
+    async authenticate(username, password) {
+        const user = await this.findUser(username);
+        if (!user || typeof password !== 'string') {
+            return null;
+        }
+
+        return (await bcrypt.compare(password, user.passwordHash)) ? user : null;
+    }
+
+    issueToken(user) {
+        return jwt.sign({ sub: user.id, username: user.username }, this.secret, { expiresIn: this.tokenTtl });
+    }
+
+    // Resolves a token to { id, username }, or null when invalid or expired
+    verifyToken(token) {
+        try {
+            const payload = jwt.verify(token, this.secret);
+            return { id: payload.sub, username: payload.username };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function readToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return readCookie(req, AUTH_COOKIE);
+}
+
+function createAuthMiddleware(authService) {
+    return {
+        // Attach req.user when the request carries a valid token
+        authenticate: (req, res, next) => {
+            const token = readToken(req);
+            req.user = token ? authService.verifyToken(token) : null;
+            next();
+        },
+
+        requireAuth: (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            next();
+        }
+    };
+}
+
+// Set the auth cookie to expire with the token
+function sendToken(res, authService, user, status = 200) {
+    const token = authService.issueToken(user);
+    const { exp } = jwt.decode(token);
+
+    res.cookie(AUTH_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: exp * 1000 - Date.now()
+    });
+    res.status(status).json({ user: publicUser(user), token });
+}
+
+// Add authentication routes to a router
+function createAuthRoutes(router, { authService, requireAuth, loginLimiter }) {
+    router.post('/auth/register', async (req, res) => {
+        const { username, password } = req.body || {};
+        const validation = validateCredentials(username, password);
+
+        if (!validation.isValid) {
+            return res.status(400).json({ error: 'Invalid registration', errors: validation.errors });
+        }
+        try {
+            const user = await authService.register(username, password);
+            sendToken(res, authService, user, 201);
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            res.status(error.status).json({ error: error.message });
+        }
+    });
+
+    router.post('/auth/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        const attempt = loginLimiter(`${normalizeUsername(username)}:${req.ip}`, MAX_LOGIN_ATTEMPTS);
+
+        if (!attempt.allowed) {
+            res.set('Retry-After', Math.ceil(attempt.retryAfter / 1000));
+            return res.status(429).json({ error: 'Too many login attempts, try again later' });
+        }
+
+        const user = await authService.authenticate(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        sendToken(res, authService, user);
+    });
+
+    router.post('/auth/logout', (req, res) => {
+        res.clearCookie(AUTH_COOKIE);
+        res.json({ success: true });
+    });
+
+    router.get('/auth/me', requireAuth, (req, res) => {
+        res.json({ user: req.user });
+    });
+}
+
+module.exports = {
+    AUTH_COOKIE,
+    AuthService,
+    validateCredentials,
+    createUserStore,
+    createAuthMiddleware,
+    createAuthRoutes
+};
@@ -0,0 +1,212 @@
+// A shared headless browser for PDF exports.
+//
+// Launching Chrome takes seconds and a few hundred MB, so one browser is
+// started on the first export and kept for the next. Each export renders in
+// its own page, at most `maxPages` at a time. Further exports wait in a queue
+// of up to `maxQueue`, and give up after `queueTimeout`. A browser that
+// crashes is relaunched, and an idle one is closed after `idleTimeout`.
+
+const puppeteer = require('puppeteer');
+
+const LAUNCH_OPTIONS = {
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    headless: true
+};
+
+// Closing a page of a hung browser can hang too
+const PAGE_CLOSE_TIMEOUT_MS = 5000;
+
+function readPositiveInt(value, fallback) {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : fallback;
+}
+
+// Errors carry a `code` so routes can tell a busy server from a failed render
+function poolError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+// `promise`, or `error` once `ms` have passed
+function withTimeout(promise, ms, error) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(error), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.maxPages = options.maxPages || readPositiveInt(process.env.PDF_MAX_PAGES, 2);
+        this.maxQueue = options.maxQueue || readPositiveInt(process.env.PDF_MAX_QUEUE, 20);
+        this.queueTimeout = options.queueTimeout || readPositiveInt(process.env.PDF_QUEUE_TIMEOUT_MS, 60000);
+        this.renderTimeout = options.renderTimeout || readPositiveInt(process.env.PDF_RENDER_TIMEOUT_MS, 30000);
+        this.idleTimeout = options.idleTimeout || readPositiveInt(process.env.PDF_BROWSER_IDLE_MS, 5 * 60 * 1000);
+        this.launch = options.launch || (() => puppeteer.launch(LAUNCH_OPTIONS));
+
+        // Promise of the running browser, or null until the next export
+        this.browser = null;
+        this.active = 0;
+        // Exports waiting for a page: { resolve, reject, timer }
+        this.waiting = [];
+        this.idleTimer = null;
+        this.closing = null;
+        this.drained = null;
+    }
+
+    // Run `render(page)` in a new page of the shared browser and return what
+    // it returns. The page is closed afterwards, whether it worked or not.
+    async withPage(render) {
+        await this.acquire();
+        try {
+            return await this.renderOnPage(render);
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire() {
+        if (this.closing) {
+            return Promise.reject(poolError('POOL_CLOSED', 'The server is shutting down; try the export again shortly'));
+        }
+        if (this.active < this.maxPages) {
+            this.active++;
+            clearTimeout(this.idleTimer);
+            return Promise.resolve();
+        }
+        if (this.waiting.length >= this.maxQueue) {
+            return Promise.reject(poolError('POOL_BUSY', 'Too many PDF exports are running; try again shortly'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                reject(poolError('POOL_BUSY', 'Timed out waiting for other PDF exports to finish; try again shortly'));
+            }, this.queueTimeout);
+            this.waiting.push(waiter);
+        });
+    }
+
+    // Hand the page slot to the next waiting export, or start the idle
+    // countdown when nothing is left
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            clearTimeout(next.timer);
+            next.resolve();
+            return;
+        }
+
+        this.active--;
+        if (this.active > 0) {
+            return;
+        }
+        if (this.drained) {
+            this.drained();
+        } else if (this.browser) {
+            this.idleTimer = setTimeout(() => this.closeBrowser(), this.idleTimeout);
+            this.idleTimer.unref();
+        }
+    }
+
+    // The running browser, launched when there is none or the last one died
+    getBrowser() {
+        if (!this.browser) {
+            const launched = this.launch().then(browser => {
+                browser.on('disconnected', () => {
+                    if (this.browser === launched) {
+                        this.browser = null;
+                    }
+                });
+                return browser;
+            });
+            launched.catch(() => {
+                if (this.browser === launched) {
+                    this.browser = null;
+                }
+            });
+            this.browser = launched;
+        }
+        return this.browser;
+    }
+
+    // If the browser crashes mid-export, the export is tried once more in a
+    // new one
+    async renderOnPage(render, retried = false) {
+        const browser = await this.getBrowser();
+        let page = null;
+
+        try {
+            page = await browser.newPage();
+            page.setDefaultTimeout(this.renderTimeout);
+            return await withTimeout(render(page), this.renderTimeout,
+                poolError('RENDER_TIMEOUT', `The PDF took longer than ${this.renderTimeout / 1000}s to render`));
+        } catch (error) {
+            if (!browser.connected && !retried && !this.closing) {
+                console.error('PDF browser crashed, relaunching:', error.message);
+                return await this.renderOnPage(render, true);
+            }
+            throw error;
+        } finally {
+            if (page) {
+                await withTimeout(page.close(), PAGE_CLOSE_TIMEOUT_MS, new Error('Page did not close'))
+                    .catch(() => {});
+            }
+        }
+    }
+
+    async closeBrowser() {
+        const launched = this.browser;
+        this.browser = null;
+        if (!launched) {
+            return;
+        }
+
+        const browser = await launched.catch(() => null);
+        if (browser) {
+            await browser.close().catch(error => console.error('Failed to close PDF browser:', error.message));
+        }
+    }
+
+    // Stop taking exports, turn away the queued ones, give running ones up to
+    // `timeout` to finish and close the browser
+    close({ timeout = 10000 } = {}) {
+        if (!this.closing) {
+            clearTimeout(this.idleTimer);
+            this.waiting.splice(0).forEach(waiter => {
+                clearTimeout(waiter.timer);
+                waiter.reject(poolError('POOL_CLOSED', 'The server is shutting down; try the export again shortly'));
+            });
+
+            const finished = this.active === 0
+                ? Promise.resolve()
+                : new Promise(resolve => { this.drained = resolve; });
+            this.closing = withTimeout(finished, timeout, new Error('PDF exports still running'))
+                .catch(error => console.error(`${error.message}; closing the browser anyway`))
+                .then(() => this.closeBrowser());
+        }
+        return this.closing;
+    }
+}
+
+let defaultPool = null;
+
+// Process-wide pool used by PDF exports
+function getBrowserPool() {
+    if (!defaultPool) {
+        defaultPool = new BrowserPool();
+    }
+    return defaultPool;
+}
+
+// Close the process-wide pool, if an export ever started it
+function closeBrowserPool(options) {
+    return defaultPool ? defaultPool.close(options) : Promise.resolve();
+}
+
+module.exports = {
+    BrowserPool,
+    getBrowserPool,
+    closeBrowserPool
+};
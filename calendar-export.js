@@ -0,0 +1,201 @@
+// iCalendar (RFC 5545) export of an implementation plan.
+//
+// Each implementation step becomes an all-day event over its scheduled days,
+// plus a to-do due on its last day for task apps. Each performance measure
+// with a recognisable `frequency` becomes a recurring check-in from the day
+// the plan starts until its `targetDate`, or else the plan's last day. UIDs
+// are stable, so importing a newer export updates the entries instead of
+// duplicating them.
+
+const { COMPAS_STAGES } = require('./compas-engine');
+const { buildTimeline } = require('./plan-timeline');
+
+const PRODUCT_ID = '-//COMPAS//Implementation Plan//EN';
+
+// Frequencies people write, as recurrence rules
+const FREQUENCY_RULES = [
+    { pattern: /\bdaily\b|\bevery day\b/i, rule: 'FREQ=DAILY' },
+    { pattern: /\b(bi-?weekly|fortnightly|every (two|2) weeks)\b/i, rule: 'FREQ=WEEKLY;INTERVAL=2' },
+    { pattern: /\bweekly\b|\bevery week\b/i, rule: 'FREQ=WEEKLY' },
+    { pattern: /\bquarterly\b|\bevery (three|3) months\b/i, rule: 'FREQ=MONTHLY;INTERVAL=3' },
+    { pattern: /\b(semi-?annual(ly)?|every (six|6) months)\b/i, rule: 'FREQ=MONTHLY;INTERVAL=6' },
+    { pattern: /\bmonthly\b|\bevery month\b/i, rule: 'FREQ=MONTHLY' },
+    { pattern: /\b(annual(ly)?|yearly|every year)\b/i, rule: 'FREQ=YEARLY' }
+];
+
+const INTERVAL_UNITS = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+
+// "Every 10 days" and the like, then the fixed phrases above; null when the
+// frequency is not a regular cadence
+function frequencyToRule(frequency) {
+    const text = String(frequency || '');
+    const every = /\bevery\s+(\d+)\s+(day|week|month|year)s?\b/i.exec(text);
+    if (every) {
+        // RFC 5545 intervals are positive: "every 0 days" is no cadence
+        if (Number(every[1]) < 1) {
+            return null;
+        }
+        return `FREQ=${INTERVAL_UNITS[every[2].toLowerCase()]};INTERVAL=${Number(every[1])}`;
+    }
+    const match = FREQUENCY_RULES.find(({ pattern }) => pattern.test(text));
+    return match ? match.rule : null;
+}
+
+// TEXT values escape backslashes, separators and line breaks
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// 2026-11-02 -> 20261102
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(date) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+// Names in UIDs: lower case, with anything else collapsed to dashes
+function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+}
+
+function describeStep(step, scheduled) {
+    return [
+        step.description,
+        step.owner ? `Owner: ${step.owner}` : null,
+        step.resources ? `Resources: ${step.resources}` : null,
+        step.dependsOn && step.dependsOn.length > 0 ? `Depends on: ${step.dependsOn.join(', ')}` : null,
+        scheduled && scheduled.critical ? 'On the critical path: any delay delays the whole plan.' : null
+    ].filter(Boolean).join('\n');
+}
+
+function describeMeasure(measure) {
+    return [
+        measure.target ? `Target: ${measure.target}${measure.targetDate ? ` by ${measure.targetDate}` : ''}` : null,
+        measure.baseline ? `Baseline: ${measure.baseline}` : null,
+        measure.collection ? `How to collect: ${measure.collection}` : null,
+        `Frequency: ${measure.frequency}`
+    ].filter(Boolean).join('\n');
+}
+
+// The calendar as a list of [property, value] lines between BEGIN and END
+function component(type, properties) {
+    return [
+        ['BEGIN', type],
+        ...properties.filter(([, value]) => value !== null && value !== undefined && value !== ''),
+        ['END', type]
+    ];
+}
+
+// Build the .ics text for a session. Steps that cannot be scheduled (see
+// plan-timeline) are still exported, as to-dos without dates.
+function buildCalendar(session, { now = new Date() } = {}) {
+    const planData = session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+    const title = session.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY].situationDescription || 'COMPAS plan';
+    const timeline = buildTimeline(planData);
+    const stamp = formatTimestamp(now);
+    const uid = (kind, name) => `${kind}-${slug(name)}-${session.sessionId}@compas`;
+    // Plans whose steps cannot be scheduled have no last day
+    const planEnd = timeline.steps.length > 0 ? timeline.endDate : null;
+    const components = [];
+
+    (planData.implementationSteps || []).forEach((step, index) => {
+        const scheduled = timeline.steps[index];
+        const name = step.title || `Step ${index + 1}`;
+        const summary = step.milestone ? `Milestone: ${name}` : name;
+        const description = describeStep(step, scheduled);
+
+        if (scheduled) {
+            components.push(component('VEVENT', [
+                ['UID', uid('step', name)],
+                ['DTSTAMP', stamp],
+                ['DTSTART;VALUE=DATE', formatDate(scheduled.startDate)],
+                ['DTEND;VALUE=DATE', formatDate(nextDay(scheduled.endDate))],
+                ['SUMMARY', escapeText(summary)],
+                ['DESCRIPTION', escapeText(description)],
+                ['CATEGORIES', scheduled.critical ? 'COMPAS,Critical path' : 'COMPAS'],
+                ['TRANSP', 'TRANSPARENT']
+            ]));
+        }
+
+        // A to-do is due at the end of the step's last day
+        components.push(component('VTODO', [
+            ['UID', uid('task', name)],
+            ['DTSTAMP', stamp],
+            ['DTSTART;VALUE=DATE', scheduled ? formatDate(scheduled.startDate) : null],
+            ['DUE;VALUE=DATE', scheduled ? formatDate(nextDay(scheduled.endDate)) : null],
+            ['SUMMARY', escapeText(summary)],
+            ['DESCRIPTION', escapeText(description)],
+            ['STATUS', 'NEEDS-ACTION']
+        ]));
+    });
+
+    // Check-ins need a cadence and a day to stop: the measure's target date,
+    // or the end of a plan that can be scheduled
+    (planData.performanceMeasures || []).forEach((measure, index) => {
+        const rule = frequencyToRule(measure.frequency);
+        const until = measure.targetDate || planEnd;
+        if (!rule || !until || until < timeline.startDate) {
+            return;
+        }
+        const name = measure.metric || `Measure ${index + 1}`;
+
+        components.push(component('VEVENT', [
+            ['UID', uid('check-in', name)],
+            ['DTSTAMP', stamp],
+            ['DTSTART;VALUE=DATE', formatDate(timeline.startDate)],
+            ['DTEND;VALUE=DATE', formatDate(nextDay(timeline.startDate))],
+            ['RRULE', `${rule};UNTIL=${formatDate(until)}`],
+            ['SUMMARY', escapeText(`Check-in: ${name}`)],
+            ['DESCRIPTION', escapeText(describeMeasure(measure))],
+            ['CATEGORIES', 'COMPAS,Check-in'],
+            ['TRANSP', 'TRANSPARENT']
+        ]));
+    });
+
+    const calendar = component('VCALENDAR', [
+        ['VERSION', '2.0'],
+        ['PRODID', PRODUCT_ID],
+        ['CALSCALE', 'GREGORIAN'],
+        ['METHOD', 'PUBLISH'],
+        ['X-WR-CALNAME', escapeText(`COMPAS: ${title}`)]
+    ]);
+    calendar.splice(calendar.length - 1, 0, ...components.flat());
+
+    return calendar.map(([property, value]) => foldLine(`${property}:${value}`)).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    frequencyToRule,
+    buildCalendar
+};
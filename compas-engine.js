@@ -0,0 +1,749 @@
+// COMPAS engine: stage model, session state and AI-driven stage progression.
+// Shared by the Express server and the Netlify functions.
+const { getLLMProvider } = require('./llm-provider');
+const { describeLocation } = require('./artifact-ingestion');
+const { retrieveArtifactPassages, formatCitation, findCitedPassages } = require('./artifact-retrieval');
+const { mergeExtractedData, getEditedFields } = require('./plan-editor');
+const { buildAssessmentContext } = require('./measure-tracking');
+const {
+  buildAnalysisSchema,
+  buildExtractedDataSchema,
+  validateAgainstSchema,
+  pickValidFields,
+  extractJSON
+} = require('./stage-schema');
+
+// COMPAS stages with detailed definitions
+const COMPAS_STAGES = {
+  CONTEXT_DISCOVERY: 'context_discovery',
+  OBJECTIVE_DEFINITION: 'objective_definition',
+  METHOD_IDEATION: 'method_ideation',
+  METHOD_SELECTION: 'method_selection', 
+  IMPLEMENTATION_PLAN: 'implementation_plan',
+  SCALING_LEARNING: 'scaling_learning',
+  COMPLETE: 'complete'
+};
+
+// Every stage in order. A first session on a challenge skips Scaling &
+// Learning; iterations of a completed plan start there (see getStageOrder).
+const STAGE_ORDER = Object.values(COMPAS_STAGES);
+
+// Stage completion criteria and progression rules
+const STAGE_CRITERIA = {
+  [COMPAS_STAGES.CONTEXT_DISCOVERY]: {
+    required: ['situationDescription', 'stakeholders', 'constraints'],
+    progressTrigger: 'User confirms the restated situation is accurate',
+    timeEstimate: '5-10 minutes'
+  },
+  [COMPAS_STAGES.OBJECTIVE_DEFINITION]: {
+    required: ['rootProblem', 'problemStatement'],
+    progressTrigger: 'Clear problem statement identified (not solution)',
+    timeEstimate: '3-5 minutes'
+  },
+  [COMPAS_STAGES.METHOD_IDEATION]: {
+    required: ['methods'],
+    minimumMethods: 2,
+    progressTrigger: 'At least 2 distinct methods proposed with rationales',
+    timeEstimate: '5-7 minutes'
+  },
+  [COMPAS_STAGES.METHOD_SELECTION]: {
+    required: ['chosenMethod', 'methodRationale'],
+    progressTrigger: 'User selects a method or accepts recommendation',
+    timeEstimate: '2-3 minutes'
+  },
+  [COMPAS_STAGES.IMPLEMENTATION_PLAN]: {
+    required: ['implementationSteps', 'timeline', 'performanceMeasures'],
+    optional: ['learningQuestions'],
+    progressTrigger: 'Complete implementation plan with steps, timeline, and metrics',
+    timeEstimate: '5-7 minutes'
+  },
+  [COMPAS_STAGES.SCALING_LEARNING]: {
+    required: ['outcomeReview', 'learningDecisions'],
+    progressTrigger: 'Results reviewed against the plan and every learning question answered with a decision',
+    timeEstimate: '10-15 minutes'
+  },
+  [COMPAS_STAGES.COMPLETE]: {
+    required: ['finalReport'],
+    progressTrigger: 'Report generated and approved',
+    timeEstimate: '2-3 minutes'
+  }
+};
+
+// Characters of retrieved artifact passages, and of each artifact summary,
+// included in the system prompt
+const ARTIFACT_CONTEXT_CHARS = 12000;
+const ARTIFACT_SUMMARY_CHARS = 600;
+
+// Passages retrieved per turn, and how many recent user messages form the query
+const RETRIEVAL_LIMIT = 5;
+const RETRIEVAL_QUERY_MESSAGES = 2;
+
+// Session state class
+class SessionState {
+  constructor(sessionId, ownerId = null) {
+    this.sessionId = sessionId;
+    this.ownerId = ownerId;
+    // Sharing: the owning organization, invited users and read-only links
+    this.organizationId = null;
+    this.collaborators = [];
+    this.shareLinks = [];
+    this.stage = COMPAS_STAGES.CONTEXT_DISCOVERY;
+    this.conversationHistory = [];
+    this.stageData = {
+      [COMPAS_STAGES.CONTEXT_DISCOVERY]: {
+        situationDescription: '',
+        stakeholders: [],
+        constraints: [],
+        artifacts: [],
+        completed: false
+      },
+      [COMPAS_STAGES.OBJECTIVE_DEFINITION]: {
+        rootProblem: '',
+        problemStatement: '',
+        completed: false
+      },
+      [COMPAS_STAGES.METHOD_IDEATION]: {
+        methods: [],
+        completed: false
+      },
+      [COMPAS_STAGES.METHOD_SELECTION]: {
+        chosenMethod: null,
+        methodRationale: '',
+        completed: false
+      },
+      [COMPAS_STAGES.IMPLEMENTATION_PLAN]: {
+        implementationSteps: [],
+        timeline: '',
+        startDate: null,
+        performanceMeasures: [],
+        learningQuestions: [],
+        completed: false
+      },
+      [COMPAS_STAGES.SCALING_LEARNING]: {
+        outcomeReview: '',
+        learningDecisions: [],
+        completed: false
+      },
+      [COMPAS_STAGES.COMPLETE]: {
+        finalReport: '',
+        completed: false
+      }
+    };
+    this.progressMetrics = {
+      startTime: new Date(),
+      stageStartTimes: {
+        [this.stage]: new Date()
+      },
+      transitions: []
+    };
+    // Extracted artifact text by artifact id, loaded from its encrypted copy
+    // for each chat turn and never saved with the session
+    this.artifactContent = {};
+    // Plan lists the user has edited directly, by field name (see plan-editor.js)
+    this.planEdits = {};
+    // Weighted method comparison, created on first use (see method-scoring.js)
+    this.methodScoring = null;
+    // Measured values after the plan is complete (see measure-tracking.js)
+    this.assessment = null;
+    // For iterations: the session this one continues, its first version and
+    // this one's version number (see session-iterations.js)
+    this.lineage = null;
+    // On a challenge's first session: the highest version numbered so far
+    this.latestVersion = null;
+    // Grant proposal sections drafted from the plan (see grant-proposal.js)
+    this.grantProposal = null;
+  }
+
+  addMessage(role, content, extra = {}) {
+    this.conversationHistory.push({ role, content, timestamp: new Date(), ...extra });
+  }
+
+  addArtifact(artifact) {
+    this.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY].artifacts.push(artifact);
+  }
+
+  getArtifacts() {
+    return this.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY].artifacts;
+  }
+
+  getArtifact(artifactId) {
+    return this.getArtifacts().find(artifact => artifact.id === artifactId) || null;
+  }
+
+  setArtifactContent(artifactId, content) {
+    this.artifactContent[artifactId] = content;
+  }
+
+  getArtifactContent(artifactId) {
+    return this.artifactContent[artifactId] || null;
+  }
+
+  // Artifact summaries plus the passages retrieved for this turn, tagged
+  // so the coach can cite them. Passages are cut off at a fixed budget.
+  buildArtifactContext(passages = [], budget = ARTIFACT_CONTEXT_CHARS) {
+    const withContent = this.getArtifacts().filter(a => this.getArtifactContent(a.id));
+    if (withContent.length === 0) {
+      return '';
+    }
+
+    const summaries = withContent.map(artifact => {
+      const { summary } = this.getArtifactContent(artifact.id);
+      return `- ${artifact.filename} (artifact ${artifact.id}): ${summary.slice(0, ARTIFACT_SUMMARY_CHARS)}`;
+    });
+
+    let excerpts = '';
+    for (const passage of passages) {
+      const excerpt = `\n[${passage.ref}] ${formatCitation(passage)}\n${passage.text}\n`;
+      if (excerpts.length + excerpt.length > budget) {
+        break;
+      }
+      excerpts += excerpt;
+    }
+
+    return `Files:
+${summaries.join('\n')}
+
+Relevant passages for this turn:${excerpts || ' none matched.'}`;
+  }
+
+  updateStageData(stage, data) {
+    if (this.stageData[stage]) {
+      Object.assign(this.stageData[stage], data);
+    }
+  }
+
+  // Artifact passages the coach has cited, grouped by artifact
+  getCitedSources() {
+    const sources = new Map();
+
+    this.conversationHistory.forEach(msg => {
+      (msg.citations || []).forEach(citation => {
+        if (!sources.has(citation.artifactId)) {
+          sources.set(citation.artifactId, {
+            artifactId: citation.artifactId,
+            filename: citation.filename,
+            locations: []
+          });
+        }
+
+        const source = sources.get(citation.artifactId);
+        const location = describeLocation(citation.location);
+        if (!source.locations.includes(location)) {
+          source.locations.push(location);
+        }
+      });
+    });
+
+    return Array.from(sources.values());
+  }
+
+  // Everyone who has written in this session, in order of first message
+  getParticipants() {
+    const participants = new Map();
+    this.conversationHistory.forEach(msg => {
+      if (msg.author && !participants.has(msg.author.id)) {
+        participants.set(msg.author.id, msg.author);
+      }
+    });
+    return Array.from(participants.values());
+  }
+
+  getCurrentStageData() {
+    return this.stageData[this.stage];
+  }
+
+  // The stages this session walks through
+  getStageOrder() {
+    return this.lineage
+      ? STAGE_ORDER
+      : STAGE_ORDER.filter(stage => stage !== COMPAS_STAGES.SCALING_LEARNING);
+  }
+
+  getNextStage() {
+    const order = this.getStageOrder();
+    return order[order.indexOf(this.stage) + 1] || null;
+  }
+
+  // Move to `stage` and record who triggered the transition and why
+  transitionTo(stage, { type, triggeredBy, reason, author }) {
+    const from = this.stage;
+    this.stage = stage;
+    this.progressMetrics.stageStartTimes[stage] = new Date();
+    this.progressMetrics.transitions.push({
+      from,
+      to: stage,
+      type,
+      triggeredBy,
+      author: author || null,
+      reason: reason || null,
+      at: new Date()
+    });
+  }
+
+  // Complete the current stage and move to the next one
+  advanceStage({ triggeredBy, reason, author } = {}) {
+    const nextStage = this.getNextStage();
+    if (!nextStage) {
+      throw new Error('Session is already at the final stage');
+    }
+
+    this.updateStageData(this.stage, { completed: true, stale: false, skipped: false });
+    this.transitionTo(nextStage, { type: 'advance', triggeredBy, reason, author });
+  }
+
+  // Return to an earlier stage. Its data is reopened for editing and every
+  // later stage is marked stale, since it was built on the old answers.
+  reopenStage(stage, { triggeredBy, reason, author } = {}) {
+    const order = this.getStageOrder();
+    const targetIndex = order.indexOf(stage);
+    if (targetIndex === -1 || targetIndex >= order.indexOf(this.stage)) {
+      throw new Error(`Can only reopen a stage before ${this.stage}`);
+    }
+
+    this.updateStageData(stage, { completed: false, stale: false });
+    order.slice(targetIndex + 1).forEach(laterStage => {
+      this.updateStageData(laterStage, { completed: false, stale: true });
+    });
+    this.transitionTo(stage, { type: 'reopen', triggeredBy, reason, author });
+  }
+
+  // Jump forward to a later stage, leaving the stages in between incomplete
+  skipToStage(stage, { triggeredBy, reason, author } = {}) {
+    const order = this.getStageOrder();
+    const currentIndex = order.indexOf(this.stage);
+    const targetIndex = order.indexOf(stage);
+    if (targetIndex <= currentIndex) {
+      throw new Error(`Can only skip to a stage after ${this.stage}`);
+    }
+
+    order.slice(currentIndex, targetIndex).forEach(skippedStage => {
+      if (!this.stageData[skippedStage].completed) {
+        this.updateStageData(skippedStage, { skipped: true });
+      }
+    });
+    this.transitionTo(stage, { type: 'skip', triggeredBy, reason, author });
+  }
+
+  // Saved sessions leave out artifact text: it stays encrypted next to the
+  // upload and is purged with it
+  toJSON() {
+    const { artifactContent, ...data } = this;
+    return data;
+  }
+
+  static fromJSON(data) {
+    const session = Object.assign(new SessionState(data.sessionId), data);
+    session.progressMetrics.startTime = new Date(data.progressMetrics.startTime);
+    session.progressMetrics.transitions = session.progressMetrics.transitions || [];
+    session.artifactContent = session.artifactContent || {};
+    session.planEdits = session.planEdits || {};
+    session.assessment = session.assessment || null;
+    session.lineage = session.lineage || null;
+    session.latestVersion = session.latestVersion || null;
+    session.grantProposal = session.grantProposal || null;
+    // Sessions saved before Scaling & Learning existed
+    session.stageData[COMPAS_STAGES.SCALING_LEARNING] = session.stageData[COMPAS_STAGES.SCALING_LEARNING]
+      || { outcomeReview: '', learningDecisions: [], completed: false };
+    return session;
+  }
+
+  getSystemPrompt(passages = []) {
+    const currentStageData = this.getCurrentStageData();
+    const stageCriteria = STAGE_CRITERIA[this.stage];
+    
+    let stageSpecificPrompt = '';
+    
+    switch (this.stage) {
+      case COMPAS_STAGES.CONTEXT_DISCOVERY:
+        stageSpecificPrompt = `
+CONTEXT DISCOVERY PHASE (${stageCriteria.timeEstimate}):
+Your goal is to understand the user's challenge completely. Ask clarifying questions until you can restate their situation back to them accurately.
+
+Required Information to Extract:
+- Situation description: What exactly is the challenge?
+- Stakeholders: Who is involved or affected?
+- Constraints: What limitations exist (time, budget, resources, politics)?
+- Context artifacts: What supporting documents/data exist?
+
+Progress Trigger: When you can restate the situation and the user confirms "Yes, that's right," automatically progress to Objective Definition.
+
+Current Status: ${JSON.stringify(currentStageData, null, 2)}`;
+        break;
+        
+      case COMPAS_STAGES.OBJECTIVE_DEFINITION:
+        stageSpecificPrompt = `
+OBJECTIVE DEFINITION PHASE (${stageCriteria.timeEstimate}):
+Help the user identify the ROOT PROBLEM, not solutions. Reject solution statements like "We need an AI chatbot" and push for problem statements like "We lose 20 hours/month triaging email."
+
+Required Information to Extract:
+- Root problem: The underlying issue causing the challenge
+- Problem statement: Clear, measurable problem description
+
+Progress Trigger: When you have a clear problem statement that focuses on the problem (not a solution), automatically progress to Method Ideation.
+
+Previous Context: ${JSON.stringify(this.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY], null, 2)}
+Current Status: ${JSON.stringify(currentStageData, null, 2)}`;
+        break;
+        
+      case COMPAS_STAGES.METHOD_IDEATION:
+        stageSpecificPrompt = `
+METHOD IDEATION PHASE (${stageCriteria.timeEstimate}):
+Propose 2-3 distinct methods that could solve the identified problem. Each method should bridge Context → Objective with a clear rationale.
+
+Required Information to Extract:
+- Methods: At least 2 different approaches (tech, process, or hybrid)
+- Rationales: One-line explanation for each method
+
+Progress Trigger: When you have proposed at least 2 distinct methods with rationales, automatically progress to Method Selection.
+
+Context: ${JSON.stringify(this.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY], null, 2)}
+Objective: ${JSON.stringify(this.stageData[COMPAS_STAGES.OBJECTIVE_DEFINITION], null, 2)}
+Current Status: ${JSON.stringify(currentStageData, null, 2)}`;
+        break;
+        
+      case COMPAS_STAGES.METHOD_SELECTION:
+        stageSpecificPrompt = `
+METHOD SELECTION PHASE (${stageCriteria.timeEstimate}):
+Guide the user to select the best method from the proposed options. Provide recommendation if needed.
+
+Required Information to Extract:
+- Chosen method: The selected approach
+- Method rationale: Why this method is best for their situation
+
+Progress Trigger: When user selects a method or accepts your recommendation, automatically progress to Implementation Plan.
+
+Available Methods: ${JSON.stringify(this.stageData[COMPAS_STAGES.METHOD_IDEATION], null, 2)}
+Current Status: ${JSON.stringify(currentStageData, null, 2)}`;
+        break;
+        
+      case COMPAS_STAGES.IMPLEMENTATION_PLAN:
+        stageSpecificPrompt = `
+IMPLEMENTATION PLAN PHASE (${stageCriteria.timeEstimate}):
+Create a detailed, actionable implementation plan for the chosen method.
+
+Required Information to Extract:
+- Implementation steps: Specific, actionable steps with owners and timelines. Where known, give each step a durationDays, the titles of the steps it dependsOn, start/end dates (YYYY-MM-DD), and mark checkpoints as milestones
+- Timeline: When each step should be completed
+- Performance measures: 2-5 success metrics with baselines and targets, and where known the date (YYYY-MM-DD) each target should be reached by
+- Learning questions: What results would trigger pivot, scale-up, or kill
+
+Progress Trigger: When you have a complete implementation plan with all required elements, automatically progress to Complete.
+
+Chosen Method: ${JSON.stringify(this.stageData[COMPAS_STAGES.METHOD_SELECTION], null, 2)}
+Current Status: ${JSON.stringify(currentStageData, null, 2)}`;
+        break;
+
+      case COMPAS_STAGES.SCALING_LEARNING:
+        stageSpecificPrompt = `
+SCALING & LEARNING PHASE (${stageCriteria.timeEstimate}):
+This is version ${this.lineage.version} of the plan for this challenge. The team has carried out the previous version; walk them through what actually happened compared with the plan, then answer each learning question with a decision to scale up, pivot, or kill, and why.
+
+Required Information to Extract:
+- Outcome review: What happened compared with the plan, step by step and measure by measure
+- Learning decisions: For each learning question, the answer, the decision (scale, pivot, or kill), and the rationale
+
+Progress Trigger: When the results are reviewed and every learning question has a decision, automatically progress to Complete. If the decisions change the method or plan, the team can reopen those stages.
+
+Previous Plan: ${JSON.stringify(this.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN], null, 2)}
+Measured Results: ${JSON.stringify(this.lineage.previousResults, null, 2)}
+Current Status: ${JSON.stringify(currentStageData, null, 2)}`;
+        break;
+
+      case COMPAS_STAGES.COMPLETE:
+        stageSpecificPrompt = `
+COMPLETION PHASE:
+The COMPAS journey is complete. Generate the final report and prepare for export.
+
+Status: Journey completed successfully!`;
+        break;
+    }
+
+    if (this.assessment) {
+      stageSpecificPrompt += `
+
+ASSESSMENT:
+The team is now carrying out the plan and logging its performance measures. Help them read the results below: celebrate what is on track, dig into what is at risk or off track, and use the plan's learning questions to decide whether to persist, adjust, or pivot.
+${buildAssessmentContext(this)}`;
+    }
+
+    const participants = this.getParticipants();
+    if (participants.length > 1) {
+      stageSpecificPrompt += `
+
+TEAM SESSION:
+Several staff members are working through this session together: ${participants.map(p => p.username).join(', ')}.
+Each user message starts with the speaker's name. Address people by name when you answer them, notice where they agree or disagree, and help the team converge instead of siding with whoever spoke last.`;
+    }
+
+    const artifactContext = this.buildArtifactContext(passages);
+    if (artifactContext) {
+      stageSpecificPrompt += `
+
+UPLOADED ARTIFACTS:
+When a passage below backs something you say, cite its tag, e.g. [S1]. Do not cite tags that are not listed.
+${artifactContext}`;
+    }
+
+    return `You are COMPAS Navigator, a coaching agent for nonprofit practitioners. Your goal is to steer each user through a real-world challenge with the COMPAS framework and return a concise, action-ready plan.
+
+${stageSpecificPrompt}
+
+IMPORTANT INSTRUCTIONS:
+1. Stay focused on the current stage - don't jump ahead
+2. Ask clarifying questions to extract all required information
+3. When stage completion criteria are met, clearly indicate readiness to progress
+4. Keep responses conversational but structured
+5. Extract and organize information for the final report
+6. Use plain language, maximum 300 words per response
+7. Format your responses for readability using:
+   - **Bold text** for important points and key terms
+   - Numbered lists (1. 2. 3.) for sequential steps or priorities
+   - Bullet points (- or *) for options, features, or related items
+   - ## Headers for major sections when appropriate
+   - Use formatting to make responses scannable and easy to digest`;
+  }
+}
+
+// Analysis replies that fail validation are sent back for repair this many times
+const MAX_ANALYSIS_ATTEMPTS = 3;
+
+// Ask the analysis model for a reply matching the stage's schema. Invalid
+// replies are returned to the model with the validation errors for repair.
+async function requestStageAnalysis(session, analysisPrompt) {
+  const schema = buildAnalysisSchema(STAGE_CRITERIA[session.stage]);
+  const messages = [{ role: 'user', content: analysisPrompt }];
+  let parsed = null;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS; attempt++) {
+    const reply = await getLLMProvider().complete('analysis', messages, {
+      metadata: { stage: session.stage, attempt }
+    });
+
+    try {
+      parsed = extractJSON(reply);
+      errors = validateAgainstSchema(parsed, schema);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      return { analysis: parsed, attempts: attempt, errors };
+    }
+
+    console.warn(`Stage analysis attempt ${attempt} invalid: ${errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: reply },
+      {
+        role: 'user',
+        content: `Your reply did not match the required schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object, with no prose or code fences.`
+      }
+    );
+  }
+
+  return { analysis: parsed, attempts: MAX_ANALYSIS_ATTEMPTS, errors };
+}
+
+// AI-powered data extraction and stage check for the latest turn. `history`
+// is the conversation including that turn. Leaves the session as it is:
+// applyStageAnalysis records the result.
+async function analyzeStage(session, userMessage, assistantResponse, history = session.conversationHistory) {
+  const criteria = STAGE_CRITERIA[session.stage];
+  const extractedDataSchema = buildExtractedDataSchema(criteria);
+  const editedFields = getEditedFields(session, session.stage);
+  const editedNote = editedFields.length > 0
+    ? `The user has edited these fields directly and they are final: ${editedFields.join(', ')}. Only extract list items that are missing from them.\n`
+    : '';
+
+  const analysisPrompt = `Analyze this COMPAS conversation to determine:
+1. Should we progress to the next stage?
+2. What structured data can be extracted from the conversation?
+
+Current Stage: ${session.stage}
+Stage Criteria: ${JSON.stringify(criteria, null, 2)}
+Current Stage Data: ${JSON.stringify(session.getCurrentStageData(), null, 2)}
+${editedNote}
+Recent User Message: "${userMessage}"
+Assistant Response: "${assistantResponse}"
+
+Conversation History: ${JSON.stringify(history.slice(-4), null, 2)}
+
+Respond with only a JSON object, with no prose or code fences:
+{
+  "shouldProgress": boolean,
+  "progressReason": "string explanation",
+  "extractedData": {
+    // Structured data based on current stage requirements
+  },
+  "completionPercentage": number (0-100),
+  "missingInformation": ["list", "of", "missing", "items"]
+}
+
+"extractedData" must match this JSON schema. Only include fields you have information for, and no other keys:
+${JSON.stringify(extractedDataSchema, null, 2)}`;
+
+  try {
+    const { analysis, attempts, errors } = await requestStageAnalysis(session, analysisPrompt);
+
+    if (!analysis) {
+      throw new Error(errors.join('; '));
+    }
+
+    // Only fields the stage schema declares and that validate are kept
+    const { valid, rejected } = pickValidFields(analysis.extractedData, extractedDataSchema);
+
+    // An analysis that never validated is not trusted to move the stage on
+    const shouldProgress = errors.length === 0 && analysis.shouldProgress;
+
+    return {
+      shouldProgress,
+      progressReason: errors.length === 0
+        ? analysis.progressReason
+        : `Analysis did not validate after ${attempts} attempts`,
+      extractedData: valid,
+      completionPercentage: typeof analysis.completionPercentage === 'number' ? analysis.completionPercentage : 0,
+      missingInformation: Array.isArray(analysis.missingInformation) ? analysis.missingInformation : [],
+      analysisAttempts: attempts,
+      validationErrors: errors,
+      rejectedFields: rejected
+    };
+  } catch (error) {
+    console.error('Error in stage analysis:', error);
+    return {
+      shouldProgress: false,
+      progressReason: `Analysis error: ${error.message}`,
+      extractedData: {},
+      completionPercentage: 0,
+      missingInformation: [],
+      analysisAttempts: MAX_ANALYSIS_ATTEMPTS,
+      validationErrors: [error.message],
+      rejectedFields: []
+    };
+  }
+}
+
+// Record an analysis of `stage`: merge its data, where lists the user edited
+// keep their items, and move the stage on if it is still the current one
+function applyStageAnalysis(session, stage, analysis) {
+  mergeExtractedData(session, stage, analysis.extractedData);
+
+  if (analysis.shouldProgress && session.stage === stage && session.getNextStage()) {
+    session.advanceStage({ triggeredBy: 'ai', reason: analysis.progressReason });
+
+    console.log(`Stage progressed: ${stage} -> ${session.stage}. Reason: ${analysis.progressReason}`);
+  }
+}
+
+// Analyze the latest turn and record the result on the session
+async function analyzeAndProgressStage(session, userMessage, assistantResponse) {
+  const stage = session.stage;
+  const analysis = await analyzeStage(session, userMessage, assistantResponse);
+  applyStageAnalysis(session, stage, analysis);
+  return analysis;
+}
+
+// Ask the coach for a reply, streaming fragments to onToken when given
+async function generateReply(session, messages, onToken) {
+  const provider = getLLMProvider();
+  const options = { metadata: { stage: session.stage } };
+
+  if (!onToken) {
+    return provider.complete('chat', messages, options);
+  }
+
+  let reply = '';
+  for await (const token of provider.stream('chat', messages, options)) {
+    reply += token;
+    onToken(token);
+  }
+  return reply;
+}
+
+// A history message as sent to the LLM; user messages carry their speaker
+function toLLMMessage(msg) {
+  const content = msg.role === 'user' && msg.author ? `${msg.author.username}: ${msg.content}` : msg.content;
+  return { role: msg.role, content };
+}
+
+// Generate one conversation turn from the session as it is now: ask the
+// coach, then analyze the stage. Pass `onToken` to receive the reply
+// incrementally as it is generated, and `author` ({ id, username }) to
+// attribute the message in team sessions. The session is left as it is;
+// applyChatTurn records the turn, on this session or a newer copy of it.
+async function generateChatTurn(session, message, { onToken, author } = {}) {
+  const userMessage = { role: 'user', content: message, timestamp: new Date(), ...(author ? { author } : {}) };
+  const history = [...session.conversationHistory, userMessage];
+
+  // Retrieve artifact passages for what the user has just been talking about
+  const query = history
+    .filter(msg => msg.role === 'user')
+    .slice(-RETRIEVAL_QUERY_MESSAGES)
+    .map(msg => msg.content)
+    .join('\n');
+  const passages = retrieveArtifactPassages(session, query, { limit: RETRIEVAL_LIMIT });
+
+  const messages = [
+    { role: 'system', content: session.getSystemPrompt(passages) },
+    ...history.map(toLLMMessage)
+  ];
+
+  const reply = await generateReply(session, messages, onToken);
+  const citations = findCitedPassages(reply, passages).map(passage => ({
+    ref: passage.ref,
+    artifactId: passage.artifactId,
+    filename: passage.filename,
+    chunkId: passage.chunkId,
+    location: passage.location
+  }));
+  const assistantMessage = { role: 'assistant', content: reply, timestamp: new Date(), citations };
+
+  const analysis = await analyzeStage(session, message, reply, [...history, assistantMessage]);
+
+  return { stage: session.stage, messages: [userMessage, assistantMessage], analysis };
+}
+
+// Record a generated turn: add its messages and apply its stage analysis
+function applyChatTurn(session, turn) {
+  const [, assistantMessage] = turn.messages;
+  session.conversationHistory.push(...turn.messages);
+  applyStageAnalysis(session, turn.stage, turn.analysis);
+
+  return {
+    message: assistantMessage.content,
+    citations: assistantMessage.citations,
+    stage: session.stage,
+    stageAnalysis: turn.analysis,
+    sessionState: getSessionState(session)
+  };
+}
+
+// Run one conversation turn on the session and record it
+async function processChatMessage(session, message, options = {}) {
+  return applyChatTurn(session, await generateChatTurn(session, message, options));
+}
+
+// Session state as returned to the frontend after each turn
+function getSessionState(session) {
+  return {
+    currentStageData: session.getCurrentStageData(),
+    allStageData: session.stageData,
+    stageOrder: session.getStageOrder(),
+    artifacts: session.getArtifacts(),
+    progressMetrics: session.progressMetrics
+  };
+}
+
+module.exports = {
+  COMPAS_STAGES,
+  STAGE_ORDER,
+  STAGE_CRITERIA,
+  SessionState,
+  analyzeAndProgressStage,
+  generateChatTurn,
+  applyChatTurn,
+  processChatMessage,
+  getSessionState
+};
@@ -0,0 +1,614 @@
+// Shared COMPAS HTTP API. The same router is mounted by the Express server
+// and by the Netlify functions, so sessions behave identically everywhere.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const { SessionState, STAGE_ORDER, generateChatTurn, applyChatTurn, getSessionState } = require('./compas-engine');
+const { createExportRoutes } = require('./export');
+const { createPlanRoutes } = require('./plan-editor');
+const { createScoringRoutes } = require('./method-scoring');
+const { createTimelineRoutes } = require('./plan-timeline');
+const { createAssessmentRoutes } = require('./measure-tracking');
+const { createIterationRoutes } = require('./session-iterations');
+const { createGrantProposalRoutes } = require('./grant-proposal');
+const { extractArtifactContent } = require('./artifact-ingestion');
+const { validateSensitivity } = require('./validation');
+const { createAuthMiddleware, createAuthRoutes } = require('./auth');
+const { HEARTBEAT_MS, SessionEventHub, openEventStream } = require('./session-events');
+const {
+  isValidRole,
+  hasRole,
+  resolveSessionRole,
+  createShareLink,
+  parseShareToken,
+  findShareLink,
+  describeShareLink,
+  createOrganizationRoutes
+} = require('./organizations');
+
+// Uploads are held in memory and written only to the encrypted store
+const storage = multer.memoryStorage();
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024 }, // 10MB default
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'text/csv', 'application/json', 'text/plain'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'));
+    }
+  }
+});
+
+// Replace extracted text with its redacted form
+function redactArtifactContent(content, securityService) {
+  content.chunks.forEach(chunk => {
+    chunk.text = securityService.redactPII(chunk.text);
+  });
+  content.summary = securityService.redactPII(content.summary);
+  content.redacted = true;
+}
+
+// Tries at saving a change before giving up on a busy session
+const MAX_UPDATE_ATTEMPTS = 3;
+
+// Summary of a session for the "my sessions" listing
+function summarizeSession(session) {
+  const history = session.conversationHistory;
+  const lastMessage = history[history.length - 1];
+  const contextData = session.stageData[STAGE_ORDER[0]];
+
+  return {
+    sessionId: session.sessionId,
+    stage: session.stage,
+    title: contextData.situationDescription || 'Untitled challenge',
+    version: session.lineage ? session.lineage.version : 1,
+    startedAt: session.progressMetrics.startTime,
+    lastActivityAt: lastMessage ? lastMessage.timestamp : session.progressMetrics.startTime,
+    messageCount: history.length,
+    artifactCount: session.getArtifacts().length
+  };
+}
+
+// The author stored on messages, transitions and uploads
+function describeAuthor(user) {
+  return { id: user.id, username: user.username };
+}
+
+function createCompasRouter({ sessionStore, validationMiddleware, securityService, authService, organizationService, sessionEvents = new SessionEventHub() }) {
+  const router = express.Router();
+  const auth = createAuthMiddleware(authService);
+
+  // Every route sees req.user; sessions and organizations require sign-in.
+  // Only /shared routes work without an account, through a share link.
+  router.use(auth.authenticate);
+  createAuthRoutes(router, {
+    authService,
+    requireAuth: auth.requireAuth,
+    loginLimiter: securityService.createUserRateLimiter()
+  });
+  router.use('/sessions', auth.requireAuth);
+  createOrganizationRoutes(router, {
+    organizationService,
+    authService,
+    requireAuth: auth.requireAuth,
+    sessionStore,
+    summarizeSession
+  });
+
+  // Load the COMPAS session named in the URL onto req.compasSession, requiring
+  // at least `minimumRole`. Sessions the user cannot see at all are reported
+  // as missing.
+  const loadSession = (minimumRole) => async (req, res, next) => {
+    const session = await sessionStore.get(req.params.sessionId);
+    const organization = session ? await organizationService.get(session.organizationId) : null;
+    const role = session ? resolveSessionRole(session, req.user, organization) : null;
+
+    if (!role) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!hasRole(role, minimumRole)) {
+      return res.status(403).json({ error: `Requires ${minimumRole} access to this session` });
+    }
+
+    req.compasSession = session;
+    req.sessionRole = role;
+    next();
+  };
+
+  // Load the session behind a read-only share link
+  const loadSharedSession = async (req, res, next) => {
+    const parsed = parseShareToken(req.params.shareToken);
+    const session = parsed ? await sessionStore.get(parsed.sessionId) : null;
+
+    if (!session || !findShareLink(session, parsed.secret)) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    req.compasSession = session;
+    req.sessionRole = 'viewer';
+    next();
+  };
+
+  // Extracted artifact text is stored encrypted next to each upload and
+  // purged with it. Load what is still there before the coach reads it.
+  const loadArtifactContent = async (session) => {
+    for (const artifact of session.getArtifacts()) {
+      if (artifact.contentSecurePath && !session.getArtifactContent(artifact.id)) {
+        const file = await securityService.retrieveSecureFile(artifact.contentSecurePath);
+        if (file) {
+          session.setArtifactContent(artifact.id, JSON.parse(file.content));
+        }
+      }
+    }
+  };
+
+  const saveSession = (session) => sessionStore.set(session.sessionId, session);
+
+  // Apply a change to the latest saved state of a session and save it, so a
+  // collaborator's chat turn or upload is never overwritten by another's.
+  // Changes queue behind each other in this process; the store's version
+  // check catches writers in other processes, and the change is retried on
+  // the newer state. `change` may run more than once, so it must only
+  // change the session it is given. Work that must happen once, such as
+  // asking the LLM, goes in `prepare`: it runs on the session before the
+  // first attempt, and its result is passed to every attempt of `change`.
+  const updateSession = (sessionId, change, { prepare } = {}) => sessionEvents.runExclusive(sessionId, async () => {
+    let prepared;
+    for (let attempt = 1; ; attempt++) {
+      const entry = await sessionStore.getVersioned(sessionId);
+      if (!entry) {
+        throw Object.assign(new Error('Session not found'), { status: 404 });
+      }
+
+      if (attempt === 1 && prepare) {
+        prepared = await prepare(entry.session);
+      }
+      const result = await change(entry.session, prepared);
+      try {
+        await sessionStore.set(sessionId, entry.session, { expectedVersion: entry.version });
+        return result;
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT') {
+          throw error;
+        }
+        if (attempt === MAX_UPDATE_ATTEMPTS) {
+          throw Object.assign(new Error('Someone else is changing this session; please try again'), { status: 409 });
+        }
+      }
+    }
+  });
+
+  // Publish a change to the session's other live connections. Clients send
+  // their event stream's connection id so they are not told about their own
+  // changes.
+  const publish = (req, event, data) => {
+    sessionEvents.publish(req.params.sessionId, event, data, { origin: req.get('X-Connection-Id') });
+  };
+
+  // Sessions can only be filed into organizations the user edits in
+  const canUseOrganization = async (organizationId, user) => {
+    const organization = await organizationService.get(organizationId);
+    const member = organization && organization.members.find(m => m.userId === user.id);
+    return Boolean(member) && hasRole(member.role, 'editor');
+  };
+
+  // List every session the user can open, most recently active first
+  router.get('/sessions', async (req, res) => {
+    const organizations = await organizationService.listForUser(req.user);
+    const organizationsById = new Map(organizations.map(organization => [organization.id, organization]));
+
+    const sessions = (await sessionStore.list())
+      .map(session => ({
+        session,
+        role: resolveSessionRole(session, req.user, organizationsById.get(session.organizationId))
+      }))
+      .filter(({ role }) => role)
+      .map(({ session, role }) => ({ ...summarizeSession(session), organizationId: session.organizationId, role }))
+      .sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+
+    res.json({ sessions });
+  });
+
+  // Create new session, optionally inside an organization the user edits in
+  router.post('/sessions', async (req, res) => {
+    const { organizationId } = req.body || {};
+    if (organizationId) {
+      if (!(await canUseOrganization(organizationId, req.user))) {
+        return res.status(403).json({ error: 'Requires editor access to that organization' });
+      }
+    }
+
+    const sessionId = uuidv4();
+    const session = new SessionState(sessionId, req.user.id);
+    session.organizationId = organizationId || null;
+    await saveSession(session);
+
+    res.json({ sessionId, stage: session.stage });
+  });
+
+  // Get session state
+  router.get('/sessions/:sessionId', loadSession('viewer'), (req, res) => {
+    const session = req.compasSession;
+
+    res.json({
+      sessionId: session.sessionId,
+      stage: session.stage,
+      role: req.sessionRole,
+      organizationId: session.organizationId,
+      lineage: session.lineage,
+      ...getSessionState(session),
+      conversationHistory: session.conversationHistory
+    });
+  });
+
+  // Move a session into an organization, or back out with organizationId null
+  router.put('/sessions/:sessionId/organization', loadSession('owner'), async (req, res) => {
+    const session = req.compasSession;
+    const { organizationId = null } = req.body || {};
+
+    if (organizationId) {
+      if (!(await canUseOrganization(organizationId, req.user))) {
+        return res.status(403).json({ error: 'Requires editor access to that organization' });
+      }
+    }
+
+    await updateSession(session.sessionId, (latest) => {
+      latest.organizationId = organizationId;
+    });
+    res.json({ organizationId });
+  });
+
+  // Invite a colleague to this session as an editor or viewer
+  router.post('/sessions/:sessionId/collaborators', loadSession('owner'), async (req, res) => {
+    const session = req.compasSession;
+    const { username, role = 'editor' } = req.body || {};
+
+    if (!isValidRole(role) || role === 'owner') {
+      return res.status(400).json({ error: 'Role must be editor or viewer' });
+    }
+
+    const user = await authService.findUser(username);
+    if (!user) {
+      return res.status(404).json({ error: 'No user with that username' });
+    }
+    if (user.id === session.ownerId) {
+      return res.status(400).json({ error: 'The session owner already has full access' });
+    }
+
+    const collaborators = await updateSession(session.sessionId, (latest) => {
+      latest.collaborators = latest.collaborators.filter(c => c.userId !== user.id);
+      latest.collaborators.push({ userId: user.id, username: user.username, role, invitedBy: req.user.id, invitedAt: new Date() });
+      return latest.collaborators;
+    });
+
+    res.json({ collaborators });
+  });
+
+  router.delete('/sessions/:sessionId/collaborators/:userId', loadSession('owner'), async (req, res) => {
+    const collaborators = await updateSession(req.params.sessionId, (session) => {
+      session.collaborators = session.collaborators.filter(c => c.userId !== req.params.userId);
+      return session.collaborators;
+    });
+
+    res.json({ collaborators });
+  });
+
+  // Read-only share links, e.g. for board members without an account
+  router.get('/sessions/:sessionId/share-links', loadSession('owner'), (req, res) => {
+    res.json({ shareLinks: req.compasSession.shareLinks.map(describeShareLink) });
+  });
+
+  router.post('/sessions/:sessionId/share-links', loadSession('owner'), async (req, res) => {
+    const expiresInDays = parseFloat((req.body || {}).expiresInDays);
+    const { link, token } = await updateSession(req.params.sessionId, (session) =>
+      createShareLink(session, req.user, expiresInDays > 0 ? { expiresInDays } : {}));
+
+    // The token is only shown once; the session keeps a hash of it
+    res.status(201).json({ shareLink: describeShareLink(link), token });
+  });
+
+  router.delete('/sessions/:sessionId/share-links/:linkId', loadSession('owner'), async (req, res) => {
+    if (!req.compasSession.shareLinks.some(l => l.id === req.params.linkId)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const link = await updateSession(req.params.sessionId, (session) => {
+      const latest = session.shareLinks.find(l => l.id === req.params.linkId);
+      latest.revoked = true;
+      return latest;
+    });
+    res.json({ shareLink: describeShareLink(link) });
+  });
+
+  // Shared, read-only view: stage data and report, without the conversation
+  router.get('/shared/:shareToken', loadSharedSession, (req, res) => {
+    const session = req.compasSession;
+
+    res.json({
+      sessionId: session.sessionId,
+      stage: session.stage,
+      role: req.sessionRole,
+      ...getSessionState(session)
+    });
+  });
+
+  // Run one chat turn on the latest session state, telling collaborators
+  // about the message straight away and about the reply when it is done
+  const runChatTurn = async (req, onToken) => {
+    const author = describeAuthor(req.user);
+    const { message } = req.body;
+
+    publish(req, 'message', { message: { role: 'user', content: message, author, timestamp: new Date() } });
+
+    // The reply and stage analysis are generated once; only recording them
+    // is retried when another writer saved the session first
+    const { result, reply, previousStage } = await updateSession(req.params.sessionId, (session, turn) => {
+      const previousStage = session.stage;
+      const result = applyChatTurn(session, turn);
+      return { result, reply: turn.messages[1], previousStage };
+    }, {
+      prepare: async (session) => {
+        await loadArtifactContent(session);
+        return generateChatTurn(session, message, { onToken, author });
+      }
+    });
+
+    publish(req, 'message', { message: reply });
+    if (result.stage !== previousStage) {
+      publish(req, 'stage', { stage: result.stage, previousStage, author: null, sessionState: result.sessionState });
+    }
+    return result;
+  };
+
+  // What this deployment can do. Serverless functions buffer whole
+  // responses, so the chat reply cannot stream there, and live events need
+  // every collaborator connected to the same long-running server.
+  router.get('/capabilities', (req, res) => {
+    const serverless = Boolean(req.app.get('serverless'));
+    res.json({ streaming: !serverless, liveEvents: !serverless });
+  });
+
+  const requireLiveEvents = (req, res, next) => {
+    if (req.app.get('serverless')) {
+      return res.status(501).json({ error: 'Live co-coaching needs the long-running server (npm start)' });
+    }
+    next();
+  };
+
+  // Process conversation
+  router.post('/sessions/:sessionId/chat', validationMiddleware.validateObjective, loadSession('editor'), async (req, res) => {
+    try {
+      const result = await runChatTurn(req);
+      res.json(result);
+    } catch (error) {
+      if (!error.status) {
+        console.error('LLM provider error:', error);
+      }
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to process message' });
+    }
+  });
+
+  // Process conversation, streaming the reply as Server-Sent Events.
+  // Emits `token` events while the coach writes, then one `done` event
+  // carrying the same payload as the plain chat endpoint.
+  router.post('/sessions/:sessionId/chat/stream', validationMiddleware.validateObjective, loadSession('editor'), async (req, res) => {
+    const sendEvent = openEventStream(res);
+
+    try {
+      const result = await runChatTurn(req, token => sendEvent('token', { token }));
+      sendEvent('done', result);
+    } catch (error) {
+      if (!error.status) {
+        console.error('LLM provider error:', error);
+      }
+      sendEvent('error', { error: error.status ? error.message : 'Failed to process message' });
+    }
+
+    res.end();
+  });
+
+  // Live updates from collaborators on this session (Server-Sent Events).
+  // The first `connected` event carries this connection's id and who else
+  // is here. Then come `message`, `stage`, `artifact`, `plan`, `scoring`,
+  // `typing` and `presence` events.
+  router.get('/sessions/:sessionId/events', requireLiveEvents, loadSession('viewer'), (req, res) => {
+    const sendEvent = openEventStream(res);
+    const sessionId = req.params.sessionId;
+    const { connectionId, unsubscribe } = sessionEvents.subscribe(sessionId, req.user, sendEvent);
+
+    sendEvent('connected', { connectionId, role: req.sessionRole, participants: sessionEvents.getPresence(sessionId) });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // Tell collaborators this user started or stopped typing
+  router.post('/sessions/:sessionId/typing', requireLiveEvents, loadSession('editor'), (req, res) => {
+    publish(req, 'typing', { user: describeAuthor(req.user), typing: Boolean((req.body || {}).typing) });
+    res.json({ success: true });
+  });
+
+  // Manual stage navigation: advance now, reopen an earlier stage, or skip ahead
+  const STAGE_ACTIONS = {
+    advance: (session, body, options) => session.advanceStage(options),
+    reopen: (session, body, options) => session.reopenStage(body.stage, options),
+    skip: (session, body, options) => session.skipToStage(body.stage, options)
+  };
+
+  router.post('/sessions/:sessionId/stage/:action', loadSession('editor'), async (req, res) => {
+    const body = req.body || {};
+    const applyAction = STAGE_ACTIONS[req.params.action];
+
+    if (!applyAction) {
+      return res.status(404).json({ error: 'Unknown stage action' });
+    }
+    if (req.params.action !== 'advance' && !STAGE_ORDER.includes(body.stage)) {
+      return res.status(400).json({ error: 'A valid target stage is required' });
+    }
+
+    const author = describeAuthor(req.user);
+    let update;
+    try {
+      update = await updateSession(req.params.sessionId, (session) => {
+        const previousStage = session.stage;
+        applyAction(session, body, { triggeredBy: 'user', reason: body.reason, author });
+        return { stage: session.stage, previousStage, sessionState: getSessionState(session) };
+      });
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    publish(req, 'stage', { ...update, author });
+    res.json({ stage: update.stage, sessionState: update.sessionState });
+  });
+
+  // Files are only accepted, and served, with a fixed encryption key
+  const requireEncryptionKey = (req, res, next) => {
+    if (!securityService.hasEncryptionKey()) {
+      return res.status(503).json({ error: 'File uploads are disabled until ENCRYPTION_KEY is set on the server' });
+    }
+    next();
+  };
+
+  // File upload endpoint
+  router.post('/sessions/:sessionId/upload', requireEncryptionKey, loadSession('editor'), upload.single('file'), validationMiddleware.validateUpload, async (req, res) => {
+    const session = req.compasSession;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const artifactId = uuidv4();
+    const stored = await securityService.storeFileSecurely(req.file.originalname, req.file.buffer, {
+      sessionId: session.sessionId,
+      artifactId,
+      mimetype: req.file.mimetype
+    });
+
+    const artifact = {
+      id: artifactId,
+      filename: req.file.originalname,
+      securePath: stored.securePath,
+      size: req.file.size,
+      mimetype: req.file.mimetype,
+      uploadedAt: new Date(),
+      owner: req.body.owner || 'Unknown',
+      sensitivity: req.body.sensitivity || 'normal', // confirmed by the PII scan below
+      source: req.body.source || 'Manual upload',
+      uploadedBy: describeAuthor(req.user)
+    };
+
+    // Pull the file's text into the coaching context. A file we cannot read
+    // is still kept as an artifact, just without content.
+    try {
+      const content = await extractArtifactContent(req.file.buffer, { artifactId: artifact.id, mimetype: artifact.mimetype });
+
+      // Scan for PII. Found PII raises the file to high sensitivity, and only
+      // the redacted text of a high-sensitivity file reaches the LLM.
+      const scan = securityService.scanPII(content.chunks.map(chunk => chunk.text).join('\n'));
+      const { suggestedLevel } = validateSensitivity(req.body.sensitivity, scan.findings);
+      artifact.sensitivity = req.body.sensitivity === 'high' || suggestedLevel === 'high' ? 'high' : 'normal';
+      artifact.pii = {
+        findings: scan.findings,
+        total: scan.total,
+        suggestedSensitivity: suggestedLevel,
+        redacted: artifact.sensitivity === 'high'
+      };
+
+      if (artifact.pii.redacted) {
+        redactArtifactContent(content, securityService);
+        const redactedCopy = await securityService.storeFileSecurely(
+          `${req.file.originalname}.redacted.txt`,
+          content.chunks.map(chunk => chunk.text).join('\n\n'),
+          { sessionId: session.sessionId, artifactId, mimetype: 'text/plain', redacted: true }
+        );
+        artifact.redactedSecurePath = redactedCopy.securePath;
+      }
+
+      // The text the coach retrieves from, encrypted like the file itself
+      const storedContent = await securityService.storeFileSecurely(
+        `${req.file.originalname}.content.json`,
+        JSON.stringify(content),
+        { sessionId: session.sessionId, artifactId, mimetype: 'application/json', extracted: true }
+      );
+      artifact.contentSecurePath = storedContent.securePath;
+
+      artifact.content = { status: 'extracted', summary: content.summary, ...content.stats };
+    } catch (error) {
+      console.error('Artifact extraction error:', error);
+      artifact.content = { status: 'failed', error: error.message };
+    }
+
+    await updateSession(session.sessionId, (latest) => {
+      latest.addArtifact(artifact);
+    });
+
+    publish(req, 'artifact', { artifact });
+    res.json({ artifact });
+  });
+
+  // Download an uploaded artifact, decrypted. `?version=redacted` serves the
+  // redacted copy kept for high-sensitivity files.
+  router.get('/sessions/:sessionId/artifacts/:artifactId/download', requireEncryptionKey, loadSession('viewer'), async (req, res) => {
+    const artifact = req.compasSession.getArtifact(req.params.artifactId);
+    if (!artifact) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    const redacted = req.query.version === 'redacted';
+    const securePath = redacted ? artifact.redactedSecurePath : artifact.securePath;
+    if (!securePath) {
+      return res.status(404).json({ error: redacted ? 'Artifact has no redacted copy' : 'Artifact has no stored file' });
+    }
+
+    const file = await securityService.retrieveSecureFile(securePath);
+    if (!file) {
+      return res.status(410).json({ error: 'Artifact file has been purged or is unreadable' });
+    }
+
+    res.attachment(redacted ? `${artifact.filename}.redacted.txt` : artifact.filename);
+    res.type(redacted ? 'text/plain' : artifact.mimetype);
+    res.send(file.content);
+  });
+
+  // Report and export routes
+  createExportRoutes(router, { loadSession, loadSharedSession, organizationService });
+
+  // Plan editor routes
+  createPlanRoutes(router, { loadSession, updateSession, publish });
+
+  // Method comparison routes
+  createScoringRoutes(router, { loadSession, updateSession, publish });
+
+  // Implementation timeline routes
+  createTimelineRoutes(router, { loadSession, updateSession, publish });
+
+  // Performance measure tracking routes
+  createAssessmentRoutes(router, { loadSession, updateSession, publish });
+
+  // Follow-up iteration routes
+  createIterationRoutes(router, { loadSession, sessionStore, organizationService, saveSession, updateSession, summarizeSession });
+
+  // Grant proposal routes
+  createGrantProposalRoutes(router, { loadSession, updateSession, publish });
+
+  // Session changes that could not be saved, e.g. a 409 when another writer
+  // kept getting there first
+  router.use((error, req, res, next) => {
+    if (!error.status) {
+      return next(error);
+    }
+    res.status(error.status).json({ error: error.message });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCompasRouter
+};
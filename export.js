@@ -1,53 +1,241 @@
-const puppeteer = require('puppeteer');
-const { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, HeadingLevel } = require('docx');
-const fs = require('fs').promises;
-const path = require('path');
+const {
+    Document,
+    Packer,
+    Paragraph,
+    TextRun,
+    Table,
+    TableRow,
+    TableCell,
+    HeadingLevel,
+    Header,
+    Footer,
+    PageNumber,
+    AlignmentType,
+    LevelFormat,
+    ShadingType,
+    WidthType,
+    ImageRun,
+    ExternalHyperlink,
+    BorderStyle
+} = require('docx');
+const { COMPAS_STAGES } = require('./compas-engine');
+const { getBrowserPool } = require('./browser-pool');
+const { buildTimeline } = require('./plan-timeline');
+const { buildCalendar } = require('./calendar-export');
+const { resolveColumns, toCSV, toTaskJSON } = require('./task-export');
+const {
+    DEFAULT_TEMPLATE,
+    buildReportData,
+    findTemplate,
+    listTemplates,
+    renderReport,
+    getBranding
+} = require('./report-templates');
+const { describeProposal, proposalToMarkdown } = require('./grant-proposal');
+const { renderInline, parseMarkdown, renderMarkdown } = require('./public/markdown');
 
-class ExportService {
-    constructor() {
-        this.exportDir = path.join(__dirname, 'exports');
-        this.ensureExportDir();
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// DOCX building blocks. Text is 11pt; widths are in twentieths of a point,
+// and an A4 page with 2cm margins is about 9600 wide.
+const DOCX_NUMBERING = 'compas-numbered';
+const DOCX_TABLE_WIDTH = 9600;
+const DOCX_LOGO_HEIGHT = 60;
+const DOCX_INDENT = 720;
+const DOCX_CODE_FONT = 'Courier New';
+const DOCX_ALIGNMENTS = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+// Report headings move up a level: the "#" title is the document title
+const DOCX_HEADINGS = [HeadingLevel.TITLE, HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5];
+const DOCX_INLINE_FORMATS = { strong: { bold: true }, em: { italics: true }, del: { strike: true }, code: { font: DOCX_CODE_FONT } };
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function docxHeading(text, heading = HeadingLevel.HEADING_1) {
+    return new Paragraph({ text, heading });
+}
+
+function docxField(label, value) {
+    return new Paragraph({
+        children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+    });
+}
+
+function unescapeHtml(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity]);
+}
+
+// Text runs for a line of Markdown. They are read from the shared renderer's
+// inline HTML, which only has strong, em, del, code and link tags around
+// escaped text, so Word and the chat agree on what is bold or a link.
+function docxRuns(markdown, format = {}) {
+    const runs = [];
+    const open = [];
+    let link = null;
+
+    renderInline(markdown).split(/(<[^>]*>)/).forEach(part => {
+        const tag = /^<(\/?)(strong|em|del|code|a)\b([^>]*)>$/.exec(part);
+        if (!tag) {
+            if (part) {
+                const formatting = Object.assign({}, format, ...open.map(name => DOCX_INLINE_FORMATS[name]), link ? { style: 'Hyperlink' } : {});
+                (link ? link.children : runs).push(new TextRun({ text: unescapeHtml(part), ...formatting }));
+            }
+            return;
+        }
+
+        const [, closing, name, attributes] = tag;
+        if (name === 'a') {
+            if (!closing) {
+                link = { link: unescapeHtml(/href="([^"]*)"/.exec(attributes)[1]), children: [] };
+            } else if (link) {
+                runs.push(new ExternalHyperlink(link));
+                link = null;
+            }
+        } else if (closing) {
+            open.splice(open.lastIndexOf(name), 1);
+        } else {
+            open.push(name);
+        }
+    });
+
+    return runs;
+}
+
+// Lines of a paragraph, keeping their line breaks
+function docxLines(lines, format = {}) {
+    return lines.flatMap((line, index) => [
+        ...(index > 0 ? [new TextRun({ break: 1 })] : []),
+        ...docxRuns(line, format)
+    ]);
+}
+
+// Word colors are hex without the "#"
+function docxColor(color) {
+    return color.slice(1).toUpperCase();
+}
+
+// Document styles: the branding's font, and its primary color for headings.
+// Word takes one font, so the first of the family list is used.
+function docxStyles(branding) {
+    const font = branding.fontFamily ? branding.fontFamily.split(',')[0].replace(/'/g, '').trim() : 'Calibri';
+    const headingStyle = { run: { color: docxColor(branding.primaryColor) } };
+
+    return {
+        default: {
+            document: { run: { font, size: 22 } },
+            title: headingStyle,
+            heading1: headingStyle,
+            heading2: headingStyle
+        }
+    };
+}
+
+// A full-width table of Markdown cells, with a shaded header row that
+// repeats on every page
+function docxTable(headings, rows, headerFill, alignments = []) {
+    const columnWidth = Math.floor(DOCX_TABLE_WIDTH / headings.length);
+    const row = (cells, header) => new TableRow({
+        tableHeader: header,
+        children: headings.map((heading, column) => new TableCell({
+            width: { size: columnWidth, type: WidthType.DXA },
+            shading: header ? { fill: headerFill, type: ShadingType.CLEAR, color: 'auto' } : undefined,
+            margins: { top: 60, bottom: 60, left: 100, right: 100 },
+            children: [new Paragraph({
+                alignment: DOCX_ALIGNMENTS[alignments[column]],
+                children: docxRuns(cells[column] || '', header ? { bold: true } : {})
+            })]
+        }))
+    });
+
+    return new Table({
+        width: { size: DOCX_TABLE_WIDTH, type: WidthType.DXA },
+        columnWidths: headings.map(() => columnWidth),
+        rows: [row(headings, true), ...rows.map(cells => row(cells, false))]
+    });
+}
+
+// The branding logo as an image run DOCX_LOGO_HEIGHT high, or null when
+// its size cannot be read. Logos are PNG or JPEG data URLs.
+function docxLogo(logo) {
+    const [, type, data] = /^data:image\/(png|jpeg);base64,(.*)$/.exec(logo);
+    const buffer = Buffer.from(data, 'base64');
+    const size = type === 'png' ? pngSize(buffer) : jpegSize(buffer);
+    if (!size) {
+        return null;
     }
 
-    async ensureExportDir() {
-        try {
-            await fs.mkdir(this.exportDir, { recursive: true });
-        } catch (error) {
-            console.error('Failed to create export directory:', error);
+    return new ImageRun({
+        type: type === 'png' ? 'png' : 'jpg',
+        data: buffer,
+        transformation: { width: Math.round(size.width * DOCX_LOGO_HEIGHT / size.height), height: DOCX_LOGO_HEIGHT }
+    });
+}
+
+function pngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// The size is in the first start-of-frame segment
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
         }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+// Exports are built in memory and streamed back to the client, so they also
+// work on read-only serverless filesystems.
+class ExportService {
+    // PDFs render in a browser shared with other exports (see browser-pool.js)
+    constructor(options = {}) {
+        this.browserPool = options.browserPool || getBrowserPool();
+    }
+
+    reportFilename(sessionData, extension, prefix = 'compas-report') {
+        return `${prefix}-${sessionData.sessionId}-${Date.now()}.${extension}`;
     }
 
     // Export to Markdown
-    async exportToMarkdown(sessionData) {
-        const report = this.generateMarkdownReport(sessionData);
-        const filename = `compas-report-${sessionData.sessionId}-${Date.now()}.md`;
-        const filepath = path.join(this.exportDir, filename);
-        
-        await fs.writeFile(filepath, report, 'utf8');
+    async exportToMarkdown(sessionData, options = {}) {
+        const report = this.generateMarkdownReport(sessionData, options);
         
         return {
-            filename,
-            filepath,
-            content: report
+            filename: this.reportFilename(sessionData, 'md'),
+            mimetype: 'text/markdown',
+            buffer: Buffer.from(report, 'utf8')
         };
     }
 
-    // Export to PDF using Puppeteer
-    async exportToPDF(sessionData) {
-        const markdownContent = this.generateMarkdownReport(sessionData);
+    // Export to PDF using the pooled headless browser, styled with the
+    // organization's branding
+    async exportToPDF(sessionData, { template = DEFAULT_TEMPLATE, organization = null } = {}) {
+        const markdownContent = this.generateMarkdownReport(sessionData, { template, organization });
         const htmlContent = this.convertMarkdownToHTML(markdownContent);
+        const branding = getBranding(organization);
+        const { ganttChart = true } = findTemplate(template, organization);
         
-        const browser = await puppeteer.launch({ headless: 'new' });
-        const page = await browser.newPage();
-        
-        // Set content with styling
-        await page.setContent(`
+        return this.browserPool.withPage(async (page) => {
+            // Set content with styling
+            await page.setContent(`
             <!DOCTYPE html>
             <html>
             <head>
+                <meta charset="UTF-8">
                 <style>
                     body {
-                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                        font-family: ${branding.fontFamily || "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"};
                         line-height: 1.6;
                         color: #333;
                         max-width: 800px;
@@ -55,7 +243,7 @@ class ExportService {
                         padding: 40px 20px;
                     }
                     h1, h2, h3 {
-                        color: #2563eb;
+                        color: ${branding.primaryColor};
                         margin-top: 24px;
                         margin-bottom: 16px;
                     }
@@ -73,319 +261,460 @@ class ExportService {
                         text-align: left;
                     }
                     th {
-                        background-color: #f8f9fa;
+                        background-color: ${branding.accentColor};
                         font-weight: 600;
                     }
-                    ul {
+                    ul, ol {
                         margin: 10px 0;
                         padding-left: 30px;
                     }
+                    blockquote {
+                        margin: 16px 0;
+                        padding: 4px 16px;
+                        border-left: 4px solid #ddd;
+                        color: #555;
+                    }
+                    code {
+                        font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+                        font-size: 0.9em;
+                        background-color: #f3f4f6;
+                        padding: 1px 4px;
+                        border-radius: 3px;
+                    }
+                    pre {
+                        background-color: #f3f4f6;
+                        padding: 12px;
+                        border-radius: 6px;
+                        white-space: pre-wrap;
+                    }
+                    pre code {
+                        padding: 0;
+                    }
                     li {
                         margin: 5px 0;
                     }
+                    .logo {
+                        display: block;
+                        max-width: 240px;
+                        max-height: 60px;
+                        margin-bottom: 16px;
+                    }
                     .metadata {
                         font-size: 0.9em;
                         color: #666;
                         margin-bottom: 30px;
                     }
+                    .gantt { margin: 20px 0; font-size: 0.85em; }
+                    .gantt-row { display: flex; align-items: center; margin: 4px 0; }
+                    .gantt-label { width: 200px; flex-shrink: 0; padding-right: 10px; }
+                    .gantt-track { position: relative; flex: 1; height: 18px; background: #f3f4f6; }
+                    .gantt-bar { position: absolute; top: 3px; height: 12px; background: #93c5fd; border-radius: 2px; }
+                    .gantt-bar.critical { background: #dc2626; }
+                    .gantt-milestone { position: absolute; top: 2px; width: 12px; height: 12px; margin-left: -6px; background: #2563eb; transform: rotate(45deg); }
+                    .gantt-milestone.critical { background: #dc2626; }
+                    .gantt-axis { display: flex; justify-content: space-between; margin-left: 200px; color: #666; }
                 </style>
             </head>
             <body>
+                ${branding.logo ? `<img class="logo" src="${branding.logo}" alt="">` : ''}
                 ${htmlContent}
+                ${ganttChart ? this.generateGanttHTML(sessionData) : ''}
                 <div class="metadata">
                     <p>Generated on: ${new Date().toLocaleString()}</p>
                     <p>Session ID: ${sessionData.sessionId}</p>
                 </div>
             </body>
             </html>
-        `);
-        
-        const filename = `compas-report-${sessionData.sessionId}-${Date.now()}.pdf`;
-        const filepath = path.join(this.exportDir, filename);
-        
-        await page.pdf({
-            path: filepath,
-            format: 'A4',
-            printBackground: true,
-            margin: {
-                top: '20mm',
-                right: '20mm',
-                bottom: '20mm',
-                left: '20mm'
-            }
+            `);
+            
+            const buffer = await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                margin: {
+                    top: '20mm',
+                    right: '20mm',
+                    bottom: '20mm',
+                    left: '20mm'
+                }
+            });
+            
+            return {
+                filename: this.reportFilename(sessionData, 'pdf'),
+                mimetype: 'application/pdf',
+                buffer: Buffer.from(buffer)
+            };
+        });
+    }
+
+    // Export the implementation steps and measure check-ins as iCalendar
+    async exportToICS(sessionData) {
+        return {
+            filename: this.reportFilename(sessionData, 'ics'),
+            mimetype: 'text/calendar; charset=utf-8',
+            buffer: Buffer.from(buildCalendar(sessionData), 'utf8')
+        };
+    }
+
+    // Export the plan as tasks for a tracker; `columns` is a preset name or
+    // a mapping of column headings to task fields (see task-export.js)
+    async exportToCSV(sessionData, { columns } = {}) {
+        return {
+            filename: this.reportFilename(sessionData, 'csv'),
+            mimetype: 'text/csv; charset=utf-8',
+            buffer: Buffer.from(toCSV(sessionData, resolveColumns(columns)), 'utf8')
+        };
+    }
+
+    async exportToTaskJSON(sessionData, { columns } = {}) {
+        return {
+            filename: this.reportFilename(sessionData, 'json'),
+            mimetype: 'application/json; charset=utf-8',
+            buffer: Buffer.from(toTaskJSON(sessionData, resolveColumns(columns)), 'utf8')
+        };
+    }
+
+    // Export to DOCX: a cover page, then the report in the chosen template,
+    // with the organization's branding. The footer disclaimer goes in every
+    // page footer.
+    async exportToDocx(sessionData, { template = DEFAULT_TEMPLATE, organization = null } = {}) {
+        const report = buildReportData(sessionData, { organization });
+        const markdown = this.generateMarkdownReport(sessionData, { template, organization });
+
+        const doc = new Document({
+            title: `COMPAS Report – ${report.title}`,
+            creator: 'COMPAS Navigator',
+            styles: docxStyles(report.branding),
+            numbering: {
+                config: [{
+                    reference: DOCX_NUMBERING,
+                    levels: [0, 1, 2, 3].map(level => ({
+                        level,
+                        format: LevelFormat.DECIMAL,
+                        text: `%${level + 1}.`,
+                        alignment: AlignmentType.START,
+                        style: { paragraph: { indent: { left: DOCX_INDENT * (level + 1), hanging: 360 } } }
+                    }))
+                }]
+            },
+            sections: [
+                {
+                    children: this.generateDocxCover(report)
+                },
+                {
+                    ...this.generateDocxPageFrame(sessionData, `COMPAS Report – ${report.title}`, report.branding),
+                    children: this.generateDocxContent(markdown, report.branding)
+                }
+            ]
         });
         
-        await browser.close();
+        const buffer = await Packer.toBuffer(doc);
         
         return {
-            filename,
-            filepath
+            filename: this.reportFilename(sessionData, 'docx'),
+            mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            buffer
+        };
+    }
+
+    // Export the grant proposal sections (see grant-proposal.js)
+    async exportGrantMarkdown(sessionData, { organization = null } = {}) {
+        return {
+            filename: this.reportFilename(sessionData, 'md', 'grant-proposal'),
+            mimetype: 'text/markdown',
+            buffer: Buffer.from(proposalToMarkdown(sessionData, { organization }), 'utf8')
         };
     }
 
-    // Export to DOCX
-    async exportToDocx(sessionData) {
+    async exportGrantDocx(sessionData, { organization = null } = {}) {
+        const title = sessionData.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY].situationDescription || 'Challenge Analysis';
+        const branding = getBranding(organization);
+        const logo = branding.logo ? docxLogo(branding.logo) : null;
+
+        // Paragraphs are separated by blank lines
+        const sections = describeProposal(sessionData).sections.flatMap(section => [
+            docxHeading(section.title),
+            ...(section.drafted
+                ? section.text.split(/\n\s*\n/).map(paragraph => new Paragraph({ text: paragraph.replace(/\s*\n\s*/g, ' '), spacing: { after: 160 } }))
+                : [new Paragraph({ children: [new TextRun({ text: 'Not drafted yet', italics: true, color: '666666' })] })])
+        ]);
+
         const doc = new Document({
+            title: `Grant Proposal – ${title}`,
+            creator: 'COMPAS Navigator',
+            styles: docxStyles(branding),
             sections: [{
-                properties: {},
-                children: this.generateDocxContent(sessionData)
+                ...this.generateDocxPageFrame(sessionData, `Grant Proposal – ${title}`, branding),
+                children: [
+                    ...(logo ? [new Paragraph({ children: [logo] })] : []),
+                    new Paragraph({ text: `Grant Proposal – ${title}`, heading: HeadingLevel.TITLE }),
+                    new Paragraph({
+                        children: [new TextRun({
+                            text: `Drafted from the COMPAS plan${organization ? ` by ${organization.name}` : ''} on ${new Date().toLocaleDateString()}`,
+                            italics: true,
+                            color: '666666'
+                        })],
+                        spacing: { after: 400 }
+                    }),
+                    ...sections
+                ]
             }]
         });
-        
-        const filename = `compas-report-${sessionData.sessionId}-${Date.now()}.docx`;
-        const filepath = path.join(this.exportDir, filename);
-        
-        const buffer = await Packer.toBuffer(doc);
-        await fs.writeFile(filepath, buffer);
-        
+
         return {
-            filename,
-            filepath
+            filename: this.reportFilename(sessionData, 'docx', 'grant-proposal'),
+            mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            buffer: await Packer.toBuffer(doc)
         };
     }
 
-    // Generate markdown report
-    generateMarkdownReport(sessionData) {
-        const challengeTitle = sessionData.objective || 'Nonprofit Challenge';
-        
-        let report = `# COMPAS Report – ${challengeTitle}\n\n`;
-        report += `**Generated:** ${new Date().toLocaleString()}\n`;
-        report += `**Session ID:** ${sessionData.sessionId}\n\n`;
-        
-        // Data/Context section
-        report += `## 0. Data / Context to Supply AI\n\n`;
-        report += `| Artifact | Current format | Owner | Prep needed | Upload method |\n`;
-        report += `|----------|----------------|-------|-------------|---------------|\n`;
-        
-        if (sessionData.context && sessionData.context.artifacts) {
-            sessionData.context.artifacts.forEach(artifact => {
-                const prepNeeded = artifact.sensitivity === 'high' ? 'Redact PII' : 'None';
-                report += `| ${artifact.filename} | ${artifact.mimetype} | ${artifact.owner} | ${prepNeeded} | ${artifact.source} |\n`;
-            });
-        }
-        
-        // Context summary
-        report += `\n## 1. Context (summary)\n\n`;
-        if (sessionData.context && sessionData.context.facts) {
-            sessionData.context.facts.forEach(fact => {
-                report += `- ${fact}\n`;
-            });
-        } else {
-            report += `- Context to be gathered\n`;
-        }
-        
-        // Objective
-        report += `\n## 2. Objective (root problem)\n\n`;
-        report += `- ${sessionData.objective || 'To be defined'}\n`;
-        
-        // Chosen method
-        report += `\n## 3. Chosen Method(s)\n\n`;
-        report += `- ${sessionData.chosenMethod || 'To be selected'}\n`;
-        
-        // Implementation plan
-        report += `\n## 4. Implementation Plan\n\n`;
-        if (sessionData.implementationPlan && sessionData.implementationPlan.steps) {
-            report += `| Step | Owner | When | Notes |\n`;
-            report += `|------|-------|------|-------|\n`;
-            sessionData.implementationPlan.steps.forEach(step => {
-                report += `| ${step.description} | ${step.owner} | ${step.timeline} | ${step.notes || '-'} |\n`;
-            });
-        } else {
-            report += `Implementation plan to be developed\n`;
-        }
-        
-        // Performance measures
-        report += `\n## 5. Performance Measures\n\n`;
-        if (sessionData.performanceMeasures && sessionData.performanceMeasures.length > 0) {
-            sessionData.performanceMeasures.forEach(measure => {
-                report += `- ${measure.metric} • ${measure.target} • ${measure.collection}\n`;
-            });
-        } else {
-            report += `- Measures to be defined\n`;
-        }
-        
-        // Learning questions
-        report += `\n## 6. Learning Questions\n\n`;
-        if (sessionData.learningQuestions && sessionData.learningQuestions.length > 0) {
-            sessionData.learningQuestions.forEach(question => {
-                report += `- ${question}\n`;
-            });
-        } else {
-            report += `- Questions to be identified\n`;
+    // DOCX page header with `heading`, and footer with the session, page
+    // numbers and the branding's disclaimer
+    generateDocxPageFrame(sessionData, heading, branding) {
+        const small = (text) => new TextRun({ text, size: 18, color: '666666' });
+
+        return {
+            headers: {
+                default: new Header({
+                    children: [new Paragraph({ children: [small(heading)] })]
+                })
+            },
+            footers: {
+                default: new Footer({
+                    children: [...(branding.footerDisclaimer ? [new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [small(branding.footerDisclaimer)]
+                    })] : []), new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [
+                            small(`Session ${sessionData.sessionId} · Page `),
+                            new TextRun({ children: [PageNumber.CURRENT], size: 18, color: '666666' }),
+                            small(' of '),
+                            new TextRun({ children: [PageNumber.TOTAL_PAGES], size: 18, color: '666666' })
+                        ]
+                    })]
+                })
+            }
+        };
+    }
+
+    // Gantt chart of the implementation steps for the PDF, or '' when the
+    // steps cannot be scheduled
+    generateGanttHTML(session) {
+        const timeline = buildTimeline(session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN]);
+        if (timeline.errors.length > 0 || timeline.steps.length === 0) {
+            return '';
         }
-        
-        return report;
+
+        const span = Math.max(timeline.durationDays, 1);
+        const rows = timeline.steps.map(step => {
+            const left = (step.startOffset / span) * 100;
+            const marker = step.milestone
+                ? `<div class="gantt-milestone${step.critical ? ' critical' : ''}" style="left: ${left}%"></div>`
+                : `<div class="gantt-bar${step.critical ? ' critical' : ''}" style="left: ${left}%; width: ${Math.max((step.durationDays / span) * 100, 0.5)}%"></div>`;
+
+            return `<div class="gantt-row">
+                <div class="gantt-label">${escapeHtml(step.title)}</div>
+                <div class="gantt-track" title="${escapeHtml(`${step.startDate} to ${step.endDate}`)}">${marker}</div>
+            </div>`;
+        });
+
+        return `<h2>Implementation Timeline</h2>
+            <div class="gantt">
+                ${rows.join('')}
+                <div class="gantt-axis"><span>${timeline.startDate}</span><span>${timeline.endDate}</span></div>
+            </div>
+            <p><strong>Critical path</strong> (red): ${escapeHtml(timeline.criticalPath.join(' → '))}</p>`;
+    }
+
+    // The session's report as Markdown. `template` names a built-in or
+    // organization template (see report-templates.js).
+    generateMarkdownReport(session, { template = DEFAULT_TEMPLATE, organization = null } = {}) {
+        return renderReport(session, { template, organization });
     }
 
-    // Convert markdown to HTML
+    // Convert markdown to HTML, the same way the chat shows it
     convertMarkdownToHTML(markdown) {
-        // Simple markdown to HTML conversion
-        let html = markdown
-            .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-            .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-            .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-            .replace(/^\- (.*$)/gim, '<li>$1</li>')
-            .replace(/\*\*(.*)\*\*/g, '<strong>$1</strong>')
-            .replace(/\n\n/g, '</p><p>')
-            .replace(/\n/g, '<br>');
-        
-        // Convert markdown tables to HTML
-        html = html.replace(/\|(.+)\|[\s\S]*?\|(.+)\|/g, (match) => {
-            const lines = match.trim().split('\n');
-            let table = '<table>';
-            
-            lines.forEach((line, index) => {
-                if (index === 1) return; // Skip separator line
-                
-                const cells = line.split('|').filter(cell => cell.trim());
-                const tag = index === 0 ? 'th' : 'td';
-                
-                table += '<tr>';
-                cells.forEach(cell => {
-                    table += `<${tag}>${cell.trim()}</${tag}>`;
-                });
-                table += '</tr>';
-            });
-            
-            table += '</table>';
-            return table;
+        return renderMarkdown(markdown);
+    }
+
+    // DOCX body: the report's Markdown as Word headings, paragraphs, lists
+    // and tables
+    generateDocxContent(markdown, branding = getBranding()) {
+        return this.generateDocxBlocks(parseMarkdown(markdown), {
+            headerFill: docxColor(branding.accentColor),
+            numberedLists: 0
         });
-        
-        // Wrap lists
-        html = html.replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
-        
-        return `<p>${html}</p>`;
     }
 
-    // Generate DOCX content
-    generateDocxContent(sessionData) {
-        const content = [];
-        const challengeTitle = sessionData.objective || 'Nonprofit Challenge';
-        
-        // Title
-        content.push(
-            new Paragraph({
-                text: `COMPAS Report – ${challengeTitle}`,
-                heading: HeadingLevel.HEADING_1
-            })
-        );
-        
-        // Metadata
-        content.push(
-            new Paragraph({
-                children: [
-                    new TextRun({ text: 'Generated: ', bold: true }),
-                    new TextRun(new Date().toLocaleString())
-                ]
-            }),
+    // Word content for Markdown blocks (see parseMarkdown in
+    // public/markdown.js). Inside a list item, `marker` is the item's bullet
+    // or number for its first paragraph, and `indent` lines the rest up with it.
+    generateDocxBlocks(blocks, state, { level = 0, marker = null, indent = 0, quoted = false } = {}) {
+        const placement = (position) => ({
+            ...(marker && position === 0 ? marker : indent ? { indent: { left: indent } } : {}),
+            ...(quoted ? { border: { left: { style: BorderStyle.SINGLE, size: 12, color: 'DDDDDD', space: 8 } } } : {})
+        });
+
+        return blocks.flatMap((block, position) => {
+            switch (block.type) {
+                case 'heading':
+                    return [new Paragraph({ heading: DOCX_HEADINGS[block.level - 1], children: docxRuns(block.text) })];
+                case 'rule':
+                    return [new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'CCCCCC', space: 1 } } })];
+                case 'code':
+                    return [new Paragraph({
+                        ...placement(position),
+                        shading: { fill: 'F3F4F6', type: ShadingType.CLEAR, color: 'auto' },
+                        children: block.text.split('\n').map((line, index) => new TextRun({ text: line, font: DOCX_CODE_FONT, break: index > 0 ? 1 : 0 }))
+                    })];
+                case 'quote':
+                    return this.generateDocxBlocks(block.blocks, state, { level, indent: indent + DOCX_INDENT, quoted: true });
+                case 'table':
+                    return [docxTable(block.header, block.rows, state.headerFill, block.alignments)];
+                case 'list': {
+                    // Lists in a list item are a level deeper, and each
+                    // numbered list restarts at 1
+                    const itemLevel = marker ? level + 1 : level;
+                    const instance = block.ordered ? ++state.numberedLists : null;
+                    const itemMarker = block.ordered
+                        ? { numbering: { reference: DOCX_NUMBERING, level: itemLevel, instance } }
+                        : { bullet: { level: itemLevel } };
+
+                    return block.items.flatMap(item => this.generateDocxBlocks(item, state, {
+                        level: itemLevel,
+                        marker: itemMarker,
+                        indent: DOCX_INDENT * (itemLevel + 1),
+                        quoted
+                    }));
+                }
+                default:
+                    return [new Paragraph({ ...placement(position), children: docxLines(block.lines) })];
+            }
+        });
+    }
+
+    // Cover page: the organization's logo, the challenge, the chosen method
+    // and the session, from the report data
+    generateDocxCover(report) {
+        const logo = report.branding.logo ? docxLogo(report.branding.logo) : null;
+
+        return [
+            ...(logo ? [new Paragraph({ children: [logo], spacing: { before: 1200 } })] : []),
+            new Paragraph({ text: 'COMPAS Report', heading: HeadingLevel.TITLE, spacing: { before: logo ? 1200 : 2400 } }),
             new Paragraph({
-                children: [
-                    new TextRun({ text: 'Session ID: ', bold: true }),
-                    new TextRun(sessionData.sessionId)
-                ]
+                children: [new TextRun({ text: report.title, size: 32 })],
+                spacing: { after: 600 }
             }),
-            new Paragraph({ text: '' }) // Empty line
-        );
-        
-        // Data/Context section
-        content.push(
-            new Paragraph({
-                text: '0. Data / Context to Supply AI',
-                heading: HeadingLevel.HEADING_2
-            })
-        );
-        
-        if (sessionData.context && sessionData.context.artifacts && sessionData.context.artifacts.length > 0) {
-            // Create table for artifacts
-            const table = new Table({
-                rows: [
-                    new TableRow({
-                        children: [
-                            new TableCell({ children: [new Paragraph('Artifact')] }),
-                            new TableCell({ children: [new Paragraph('Current format')] }),
-                            new TableCell({ children: [new Paragraph('Owner')] }),
-                            new TableCell({ children: [new Paragraph('Prep needed')] }),
-                            new TableCell({ children: [new Paragraph('Upload method')] })
-                        ]
-                    }),
-                    ...sessionData.context.artifacts.map(artifact => 
-                        new TableRow({
-                            children: [
-                                new TableCell({ children: [new Paragraph(artifact.filename)] }),
-                                new TableCell({ children: [new Paragraph(artifact.mimetype)] }),
-                                new TableCell({ children: [new Paragraph(artifact.owner)] }),
-                                new TableCell({ children: [new Paragraph(artifact.sensitivity === 'high' ? 'Redact PII' : 'None')] }),
-                                new TableCell({ children: [new Paragraph(artifact.source)] })
-                            ]
-                        })
-                    )
-                ]
-            });
-            content.push(table);
-        }
-        
-        // Continue with other sections...
-        // (Similar pattern for other sections)
-        
-        return content;
+            ...(report.chosenMethod ? [docxField('Chosen method', report.chosenMethod.name)] : []),
+            ...(report.organization ? [docxField('Organization', report.organization.name)] : []),
+            ...(report.version > 1 ? [docxField('Version', report.version)] : []),
+            docxField('Generated', report.generatedAt),
+            docxField('Session ID', report.sessionId)
+        ];
     }
 }
 
-// Express route handlers
-function createExportRoutes(app) {
+const EXPORT_FORMATS = {
+    markdown: 'exportToMarkdown',
+    pdf: 'exportToPDF',
+    docx: 'exportToDocx',
+    ics: 'exportToICS',
+    csv: 'exportToCSV',
+    json: 'exportToTaskJSON',
+    'grant-markdown': 'exportGrantMarkdown',
+    'grant-docx': 'exportGrantDocx'
+};
+
+// Formats laid out by a report template
+const TEMPLATE_FORMATS = ['markdown', 'pdf', 'docx'];
+
+// Route handlers, mounted on the shared COMPAS router
+// `loadSession(role)` checks the user's role on the session; `loadSharedSession`
+// resolves a read-only share link. Reports use the templates and branding of
+// the session's organization.
+function createExportRoutes(router, { loadSession, loadSharedSession, organizationService }) {
     const exportService = new ExportService();
+
+    const getOrganization = (session) => organizationService.get(session.organizationId);
+
+    // The report as Markdown, in the template named by `?template=`
+    const sendReport = async (req, res) => {
+        const organization = await getOrganization(req.compasSession);
+        const template = req.query.template || DEFAULT_TEMPLATE;
+        if (!findTemplate(template, organization)) {
+            return res.status(400).json({ error: `Unknown report template "${template}"` });
+        }
+
+        const report = exportService.generateMarkdownReport(req.compasSession, { template, organization });
+        res.json({ report, template });
+    };
+
+    const sendTemplates = async (req, res) => {
+        const organization = await getOrganization(req.compasSession);
+        res.json({ templates: listTemplates(organization), defaultTemplate: DEFAULT_TEMPLATE });
+    };
     
-    // Export endpoint
-    app.post('/api/sessions/:sessionId/export', async (req, res) => {
-        const { format } = req.body;
-        const sessionId = req.params.sessionId;
+    // Export a session; the format comes from the path or the request body
+    const exportSession = async (req, res) => {
+        const format = req.params.format || (req.body && req.body.format);
+        const exporter = EXPORT_FORMATS[format];
         
-        // Get session data
-        const session = req.app.locals.sessions.get(sessionId);
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
+        if (!exporter) {
+            return res.status(400).json({ error: 'Invalid export format' });
         }
         
+        // Task exports take an optional column mapping; reject a bad one here
+        // rather than as a failed export
+        const organization = await getOrganization(req.compasSession);
+        const options = {
+            columns: req.body && req.body.columns,
+            template: (req.body && req.body.template) || DEFAULT_TEMPLATE,
+            organization
+        };
         try {
-            let result;
-            
-            switch (format) {
-                case 'markdown':
-                    result = await exportService.exportToMarkdown(session);
-                    res.download(result.filepath, result.filename);
-                    break;
-                    
-                case 'pdf':
-                    result = await exportService.exportToPDF(session);
-                    res.download(result.filepath, result.filename);
-                    break;
-                    
-                case 'docx':
-                    result = await exportService.exportToDocx(session);
-                    res.download(result.filepath, result.filename);
-                    break;
-                    
-                default:
-                    return res.status(400).json({ error: 'Invalid export format' });
-            }
-            
-            // Clean up file after download
-            setTimeout(async () => {
-                try {
-                    await fs.unlink(result.filepath);
-                } catch (error) {
-                    console.error('Failed to clean up export file:', error);
-                }
-            }, 60000); // Delete after 1 minute
+            resolveColumns(options.columns);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!findTemplate(options.template, organization)) {
+            return res.status(400).json({ error: `Unknown report template "${options.template}"` });
+        }
+        if (options.template !== DEFAULT_TEMPLATE && !TEMPLATE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Report templates apply to ${TEMPLATE_FORMATS.join(', ')} exports` });
+        }
+        
+        try {
+            const result = await exportService[exporter](req.compasSession, options);
             
+            res.attachment(result.filename);
+            res.type(result.mimetype);
+            res.send(result.buffer);
         } catch (error) {
+            // A full PDF queue or a shutdown is worth retrying, unlike a
+            // failed export
+            if (error.code === 'POOL_BUSY' || error.code === 'POOL_CLOSED') {
+                res.set('Retry-After', '30');
+                return res.status(503).json({ error: error.message });
+            }
             console.error('Export failed:', error);
+            if (error.code === 'RENDER_TIMEOUT') {
+                return res.status(504).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Export failed' });
         }
-    });
+    };
+    
+    // Viewers and above may read reports and export; share links are
+    // read-only, so they can too
+    router.get('/sessions/:sessionId/report', loadSession('viewer'), sendReport);
+    router.get('/shared/:shareToken/report', loadSharedSession, sendReport);
+    router.get('/sessions/:sessionId/report-templates', loadSession('viewer'), sendTemplates);
+    router.get('/shared/:shareToken/report-templates', loadSharedSession, sendTemplates);
+    router.post('/sessions/:sessionId/export{/:format}', loadSession('viewer'), exportSession);
+    router.post('/shared/:shareToken/export{/:format}', loadSharedSession, exportSession);
 }
 
 module.exports = {
     ExportService,
     createExportRoutes
-};
\ No newline at end of file
+};
@@ -0,0 +1,341 @@
+// Grant proposal sections drafted from a completed plan.
+//
+// Funders ask for the same few narrative sections. The AI drafts each one
+// from the session's stage data, within a word limit the user sets, and
+// sections can be redrafted or edited one at a time. The sections export as
+// Markdown or DOCX (see export.js).
+
+const { COMPAS_STAGES } = require('./compas-engine');
+const { getLLMProvider } = require('./llm-provider');
+const { buildTimeline } = require('./plan-timeline');
+const { getBranding } = require('./report-templates');
+
+const MIN_WORD_LIMIT = 50;
+const MAX_WORD_LIMIT = 1500;
+
+// `facts` picks the stage data a section is written from
+const GRANT_SECTIONS = [
+    {
+        id: 'need',
+        title: 'Statement of Need',
+        wordLimit: 500,
+        instructions: 'Describe the problem the organization faces, who it affects and why it matters now. Lead with the root problem, and use the constraints to show why the organization cannot solve it without support.',
+        facts: (session) => {
+            const context = session.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY];
+            const objective = session.stageData[COMPAS_STAGES.OBJECTIVE_DEFINITION];
+            return {
+                situation: context.situationDescription,
+                stakeholders: context.stakeholders,
+                constraints: context.constraints,
+                rootProblem: objective.rootProblem,
+                problemStatement: objective.problemStatement
+            };
+        }
+    },
+    {
+        id: 'project',
+        title: 'Project Description',
+        wordLimit: 750,
+        instructions: 'Describe the project: the approach chosen, why it was chosen over the alternatives, and the main activities, who leads them and the resources they need.',
+        facts: (session) => {
+            const methods = session.stageData[COMPAS_STAGES.METHOD_IDEATION].methods;
+            const selection = session.stageData[COMPAS_STAGES.METHOD_SELECTION];
+            const plan = session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+            return {
+                chosenMethod: selection.chosenMethod,
+                selectionRationale: selection.methodRationale,
+                alternatives: methods
+                    .filter(method => !selection.chosenMethod || method.name !== selection.chosenMethod.name)
+                    .map(method => method.name),
+                steps: plan.implementationSteps.map(({ title, owner, description, resources }) => ({ title, owner, description, resources }))
+            };
+        }
+    },
+    {
+        id: 'evaluation',
+        title: 'Evaluation Plan',
+        wordLimit: 500,
+        instructions: 'Explain how the organization will know whether the project worked: each measure with its baseline, target, how the data is collected and how often, and the questions the project will answer.',
+        facts: (session) => {
+            const plan = session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+            return {
+                performanceMeasures: plan.performanceMeasures,
+                learningQuestions: plan.learningQuestions
+            };
+        }
+    },
+    {
+        id: 'timeline',
+        title: 'Timeline',
+        wordLimit: 300,
+        instructions: 'Summarize when the work happens: the overall period, the order of the main activities and the milestones a funder can check progress against.',
+        facts: (session) => {
+            const plan = session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+            const timeline = buildTimeline(plan);
+            return {
+                overallTimeline: plan.timeline,
+                schedule: timeline.errors.length > 0 ? null : {
+                    startDate: timeline.startDate,
+                    endDate: timeline.endDate,
+                    steps: timeline.steps.map(({ title, startDate, endDate, milestone }) => ({ title, startDate, endDate, milestone }))
+                },
+                stepTimelines: plan.implementationSteps.map(({ title, timeline: stepTimeline }) => ({ title, timeline: stepTimeline }))
+            };
+        }
+    }
+];
+
+function findSection(sectionId) {
+    const section = GRANT_SECTIONS.find(candidate => candidate.id === sectionId);
+    if (!section) {
+        throw new Error(`Grant section not found: ${sectionId}`);
+    }
+    return section;
+}
+
+function getProposal(session) {
+    if (!session.grantProposal) {
+        session.grantProposal = { sections: {} };
+    }
+    return session.grantProposal;
+}
+
+function countWords(text) {
+    return (String(text || '').match(/\S+/g) || []).length;
+}
+
+function assertWordLimit(wordLimit) {
+    if (!Number.isInteger(wordLimit) || wordLimit < MIN_WORD_LIMIT || wordLimit > MAX_WORD_LIMIT) {
+        throw new Error(`Word limits are whole numbers from ${MIN_WORD_LIMIT} to ${MAX_WORD_LIMIT}`);
+    }
+}
+
+// Cut text to `wordLimit` words, at the end of a sentence where one falls in
+// the second half of what is kept
+function trimToWordLimit(text, wordLimit) {
+    const words = [...text.matchAll(/\S+/g)];
+    if (words.length <= wordLimit) {
+        return text.trim();
+    }
+
+    const last = words[wordLimit - 1];
+    const kept = text.slice(0, last.index + last[0].length);
+    const sentenceEnd = Math.max(...[...kept.matchAll(/[.!?]["')\]]?(?=\s|$)/g)].map(match => match.index + match[0].length), -1);
+    if (sentenceEnd > 0 && countWords(kept.slice(0, sentenceEnd)) >= wordLimit / 2) {
+        return kept.slice(0, sentenceEnd).trim();
+    }
+    return `${kept.trim()}…`;
+}
+
+function buildSectionPrompt(session, section, wordLimit) {
+    return `Write the "${section.title}" section of a grant proposal for a nonprofit, from the plan it made with the COMPAS framework.
+
+${section.instructions}
+
+Write in plain, confident prose for a funder, in the first person plural ("we"). Use only the facts below; do not invent figures, names or dates. Write at most ${wordLimit} words, in paragraphs separated by blank lines, with no heading and no Markdown.
+
+Facts: ${JSON.stringify(section.facts(session), null, 2)}`;
+}
+
+// Ask the AI to draft one section; resolves to { sectionId, text, wordLimit }
+// for saveSectionDraft to record. Uses the section's saved word limit
+// unless a new one is given.
+async function writeSectionDraft(session, sectionId, { wordLimit } = {}) {
+    if (session.stage !== COMPAS_STAGES.COMPLETE) {
+        throw new Error('Finish the plan before drafting grant sections');
+    }
+
+    const section = findSection(sectionId);
+    const saved = (session.grantProposal || { sections: {} }).sections[sectionId] || {};
+    const limit = wordLimit === undefined ? saved.wordLimit || section.wordLimit : wordLimit;
+    assertWordLimit(limit);
+
+    const reply = await getLLMProvider().complete('grant', [
+        { role: 'user', content: buildSectionPrompt(session, section, limit) }
+    ], {
+        metadata: { stage: session.stage, section: section.id, title: section.title, wordLimit: limit }
+    });
+
+    // Drop a heading or code fence the model added anyway
+    const text = reply
+        .replace(/^```\w*\n?|\n?```$/g, '')
+        .replace(/^\s*#+\s*.*\n/, '')
+        .trim();
+
+    return { sectionId, text: trimToWordLimit(text, limit), wordLimit: limit };
+}
+
+// Record an AI draft, replacing what was there
+function saveSectionDraft(session, draft, { author } = {}) {
+    getProposal(session).sections[draft.sectionId] = {
+        text: draft.text,
+        wordLimit: draft.wordLimit,
+        source: 'ai',
+        updatedBy: author ? author.username : null,
+        updatedAt: new Date()
+    };
+}
+
+// The AI's draft of one section, replacing what was there
+async function draftSection(session, sectionId, { wordLimit, author } = {}) {
+    saveSectionDraft(session, await writeSectionDraft(session, sectionId, { wordLimit }), { author });
+}
+
+function isDrafted(session, sectionId) {
+    const saved = (session.grantProposal || { sections: {} }).sections[sectionId];
+    return Boolean(saved && saved.text);
+}
+
+// Ask the AI to draft every section not drafted yet, in order
+async function writeProposalDrafts(session) {
+    const drafts = [];
+    for (const section of GRANT_SECTIONS) {
+        if (!isDrafted(session, section.id)) {
+            drafts.push(await writeSectionDraft(session, section.id));
+        }
+    }
+    return drafts;
+}
+
+// Record drafts of sections that are still not drafted, so text written
+// meanwhile is kept
+function saveProposalDrafts(session, drafts, { author } = {}) {
+    drafts
+        .filter(draft => !isDrafted(session, draft.sectionId))
+        .forEach(draft => saveSectionDraft(session, draft, { author }));
+}
+
+// Draft every section not drafted yet, in order
+async function draftProposal(session, { author } = {}) {
+    saveProposalDrafts(session, await writeProposalDrafts(session), { author });
+}
+
+// A user's change to a section's text, its word limit or both. Text has to
+// fit the limit; a lowered limit leaves longer text in place to be redrafted.
+function editSection(session, sectionId, { text, wordLimit } = {}, { author } = {}) {
+    const section = findSection(sectionId);
+    const proposal = getProposal(session);
+    const saved = proposal.sections[sectionId] || { text: '', wordLimit: section.wordLimit, source: 'user' };
+
+    if (wordLimit !== undefined) {
+        assertWordLimit(wordLimit);
+        saved.wordLimit = wordLimit;
+    }
+    if (text !== undefined) {
+        if (typeof text !== 'string') {
+            throw new Error('Section text must be a string');
+        }
+        if (countWords(text) > saved.wordLimit) {
+            throw new Error(`${section.title} is ${countWords(text)} words; the limit is ${saved.wordLimit}`);
+        }
+        saved.text = text.trim();
+        saved.source = 'user';
+    }
+
+    saved.updatedBy = author ? author.username : null;
+    saved.updatedAt = new Date();
+    proposal.sections[sectionId] = saved;
+}
+
+// Every section, drafted or not, with its word count
+function describeProposal(session) {
+    const proposal = session.grantProposal || { sections: {} };
+
+    return {
+        canDraft: session.stage === COMPAS_STAGES.COMPLETE,
+        sections: GRANT_SECTIONS.map(section => {
+            const saved = proposal.sections[section.id];
+            const wordLimit = saved ? saved.wordLimit : section.wordLimit;
+            const wordCount = saved ? countWords(saved.text) : 0;
+            return {
+                id: section.id,
+                title: section.title,
+                wordLimit,
+                wordCount,
+                overLimit: wordCount > wordLimit,
+                text: saved ? saved.text : '',
+                drafted: Boolean(saved && saved.text),
+                source: saved ? saved.source : null,
+                updatedBy: saved ? saved.updatedBy : null,
+                updatedAt: saved ? saved.updatedAt : null
+            };
+        })
+    };
+}
+
+// The sections as a Markdown document, ending with the organization's
+// footer disclaimer
+function proposalToMarkdown(session, { organization = null } = {}) {
+    const title = session.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY].situationDescription || 'Challenge Analysis';
+    const sections = describeProposal(session).sections.map(section =>
+        `## ${section.title}\n\n${section.drafted ? section.text : '*Not drafted yet*'}`
+    );
+    const { footerDisclaimer } = getBranding(organization);
+
+    return `# Grant Proposal – ${title}
+
+*Drafted from the COMPAS plan${organization ? ` by ${organization.name}` : ''} on ${new Date().toLocaleDateString()}*
+
+${sections.join('\n\n')}
+${footerDisclaimer ? `\n---\n\n${footerDisclaimer}\n` : ''}`;
+}
+
+// Add the grant proposal routes to a router. `updateSession` applies a
+// change to the latest saved session; `publish` tells live collaborators.
+function createGrantProposalRoutes(router, { loadSession, updateSession, publish }) {
+    // `prepare` does the edit's one-off work, such as asking the AI for
+    // drafts; see updateSession
+    const editProposal = (edit, prepare) => async (req, res) => {
+        const author = { id: req.user.id, username: req.user.username };
+        let result;
+
+        try {
+            result = await updateSession(req.params.sessionId, (session, prepared) => {
+                edit(session, req, author, prepared);
+                return describeProposal(session);
+            }, { prepare: prepare && (session => prepare(session, req)) });
+        } catch (error) {
+            return res.status(error.status || (/not found/.test(error.message) ? 404 : 400)).json({ error: error.message });
+        }
+
+        publish(req, 'grantProposal', { ...result, author });
+        res.json(result);
+    };
+
+    router.get('/sessions/:sessionId/grant-proposal', loadSession('viewer'), (req, res) => {
+        res.json(describeProposal(req.compasSession));
+    });
+
+    router.post('/sessions/:sessionId/grant-proposal/draft', loadSession('editor'),
+        editProposal(
+            (session, req, author, drafts) => saveProposalDrafts(session, drafts, { author }),
+            session => writeProposalDrafts(session)
+        ));
+
+    router.post('/sessions/:sessionId/grant-proposal/sections/:sectionId/draft', loadSession('editor'),
+        editProposal(
+            (session, req, author, draft) => saveSectionDraft(session, draft, { author }),
+            (session, req) => writeSectionDraft(session, req.params.sectionId, { wordLimit: (req.body || {}).wordLimit })
+        ));
+
+    // Sent as { section: { text, wordLimit } }
+    router.put('/sessions/:sessionId/grant-proposal/sections/:sectionId', loadSession('editor'),
+        editProposal((session, req, author) => {
+            const { text, wordLimit } = (req.body || {}).section || {};
+            editSection(session, req.params.sectionId, { text, wordLimit }, { author });
+        }));
+}
+
+module.exports = {
+    GRANT_SECTIONS,
+    MIN_WORD_LIMIT,
+    MAX_WORD_LIMIT,
+    countWords,
+    trimToWordLimit,
+    draftSection,
+    draftProposal,
+    editSection,
+    describeProposal,
+    proposalToMarkdown,
+    createGrantProposalRoutes
+};
@@ -0,0 +1,288 @@
+// Assessment mode: once a plan is complete, staff log measured values for
+// each performance measure over time and see how far each has moved from its
+// baseline toward its target.
+//
+// Each measure gets a status. With a scheduled plan (see plan-timeline),
+// progress is compared with how much of the plan period has passed; without
+// one, the last two values show whether the measure is improving. The coach
+// sees the statuses in follow-up conversations.
+
+const { v4: uuidv4 } = require('uuid');
+const { isDate } = require('./stage-schema');
+const { buildTimeline } = require('./plan-timeline');
+
+const STATUSES = {
+    ON_TRACK: 'on_track',
+    AT_RISK: 'at_risk',
+    OFF_TRACK: 'off_track'
+};
+
+const STATUS_LABELS = {
+    [STATUSES.ON_TRACK]: 'on track',
+    [STATUSES.AT_RISK]: 'at risk',
+    [STATUSES.OFF_TRACK]: 'off track'
+};
+
+// Percentage points progress may trail the elapsed plan period and still be
+// on track, or at risk
+const ON_TRACK_GAP = 10;
+const AT_RISK_GAP = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries are kept by measure name, ignoring case
+function measureKey(metric) {
+    return String(metric || '').trim().toLowerCase();
+}
+
+// The number in a baseline or target such as "45%" or "1,200 families"
+function parseMeasureValue(text) {
+    if (typeof text === 'number') {
+        return text;
+    }
+    const match = /-?\d[\d,]*(\.\d+)?/.exec(String(text || ''));
+    return match ? Number(match[0].replace(/,/g, '')) : null;
+}
+
+function getMeasures(session) {
+    return session.stageData.implementation_plan.performanceMeasures || [];
+}
+
+function getEntries(session, measure) {
+    const tracked = session.assessment.measures[measureKey(measure.metric)];
+    return tracked ? tracked.entries : [];
+}
+
+function today(now) {
+    return now.toISOString().slice(0, 10);
+}
+
+// Share of the scheduled plan period that has passed, 0-100, or null when
+// the plan has no schedule
+function getExpectedProgress(session, now) {
+    const timeline = buildTimeline(session.stageData.implementation_plan);
+    if (timeline.steps.length === 0) {
+        return null;
+    }
+
+    const start = new Date(`${timeline.startDate}T00:00:00Z`).getTime();
+    const end = new Date(`${timeline.endDate}T00:00:00Z`).getTime() + DAY_MS;
+    const elapsed = (now.getTime() - start) / (end - start);
+    return Math.round(Math.min(1, Math.max(0, elapsed)) * 100);
+}
+
+// { status, reason } for a measure's progress
+function assessProgress({ progress, expectedProgress, entries, baselineValue, targetValue }) {
+    if (entries.length === 0) {
+        return { status: null, reason: 'No values logged yet' };
+    }
+    if (progress === null) {
+        return { status: null, reason: 'The baseline and target need numbers to measure progress' };
+    }
+    if (progress >= 100) {
+        return { status: STATUSES.ON_TRACK, reason: 'Target reached' };
+    }
+    if (progress < 0) {
+        return { status: STATUSES.OFF_TRACK, reason: `Moved away from the baseline (${baselineValue}), not toward the target (${targetValue})` };
+    }
+
+    if (expectedProgress !== null) {
+        const gap = expectedProgress - progress;
+        const reason = `${progress}% of the way to target with ${expectedProgress}% of the plan period gone`;
+        if (gap <= ON_TRACK_GAP) return { status: STATUSES.ON_TRACK, reason };
+        if (gap <= AT_RISK_GAP) return { status: STATUSES.AT_RISK, reason };
+        return { status: STATUSES.OFF_TRACK, reason };
+    }
+
+    // No schedule: judge by the direction of the last two values
+    if (entries.length < 2) {
+        return { status: STATUSES.AT_RISK, reason: `${progress}% of the way to target; log another value to see the trend` };
+    }
+    const [previous, latest] = entries.slice(-2);
+    const improving = (latest.value - previous.value) * Math.sign(targetValue - baselineValue);
+    if (improving > 0) return { status: STATUSES.ON_TRACK, reason: `${progress}% of the way to target and improving` };
+    if (improving === 0) return { status: STATUSES.AT_RISK, reason: `${progress}% of the way to target and flat since the last value` };
+    return { status: STATUSES.OFF_TRACK, reason: `${progress}% of the way to target and getting worse` };
+}
+
+// One measure with its logged values, progress and status
+function describeMeasure(session, measure, index, expectedProgress) {
+    const entries = getEntries(session, measure);
+    const latest = entries[entries.length - 1] || null;
+    const baselineValue = parseMeasureValue(measure.baseline);
+    const targetValue = parseMeasureValue(measure.target);
+    const measurable = latest && baselineValue !== null && targetValue !== null && targetValue !== baselineValue;
+    const progress = measurable
+        ? Math.round(((latest.value - baselineValue) / (targetValue - baselineValue)) * 100)
+        : null;
+
+    return {
+        index,
+        metric: measure.metric,
+        baseline: measure.baseline || '',
+        target: measure.target || '',
+        frequency: measure.frequency || '',
+        baselineValue,
+        targetValue,
+        entries,
+        latest,
+        progress,
+        expectedProgress,
+        ...assessProgress({ progress, expectedProgress, entries, baselineValue, targetValue })
+    };
+}
+
+// Assessment state as returned to clients
+function describeAssessment(session, now = new Date()) {
+    if (!session.assessment) {
+        return { active: false, measures: [] };
+    }
+
+    const expectedProgress = getExpectedProgress(session, now);
+    return {
+        active: true,
+        startedAt: session.assessment.startedAt,
+        startedBy: session.assessment.startedBy,
+        expectedProgress,
+        measures: getMeasures(session).map((measure, index) => describeMeasure(session, measure, index, expectedProgress))
+    };
+}
+
+// Assessment starts once the plan is complete and has measures
+function startAssessment(session, { author } = {}) {
+    if (session.assessment) {
+        return;
+    }
+    if (session.stage !== 'complete') {
+        throw new Error('Finish the implementation plan before starting assessment');
+    }
+    if (getMeasures(session).length === 0) {
+        throw new Error('The plan has no performance measures to track');
+    }
+
+    session.assessment = {
+        startedAt: new Date(),
+        startedBy: author ? author.username : null,
+        measures: {}
+    };
+}
+
+function getMeasure(session, index) {
+    if (!session.assessment) {
+        throw new Error('Start assessment before logging values');
+    }
+    const measure = getMeasures(session)[index];
+    if (!measure) {
+        throw new Error('Measure not found');
+    }
+    return measure;
+}
+
+// Log a measured value; `date` defaults to today
+function recordMeasurement(session, index, { value, date, note, author, now = new Date() } = {}) {
+    const measure = getMeasure(session, index);
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error('value must be a number');
+    }
+    if (date !== undefined && date !== null && date !== '' && !isDate(date)) {
+        throw new Error('date must be a date (YYYY-MM-DD)');
+    }
+    if (date && date > today(now)) {
+        throw new Error('date cannot be in the future');
+    }
+
+    const key = measureKey(measure.metric);
+    session.assessment.measures[key] = session.assessment.measures[key] || { entries: [] };
+    const { entries } = session.assessment.measures[key];
+    const entry = {
+        id: uuidv4(),
+        value,
+        date: date || today(now),
+        note: typeof note === 'string' ? note.trim() : '',
+        recordedBy: author ? author.username : null,
+        recordedAt: now
+    };
+
+    entries.push(entry);
+    entries.sort((a, b) => a.date.localeCompare(b.date));
+    return entry;
+}
+
+function removeMeasurement(session, index, entryId) {
+    const entries = getEntries(session, getMeasure(session, index));
+    const at = entries.findIndex(entry => entry.id === entryId);
+    if (at === -1) {
+        throw new Error('Measurement not found');
+    }
+    entries.splice(at, 1);
+}
+
+// Keep a renamed measure's logged values
+function renameTrackedMeasure(session, previousMetric, metric) {
+    const tracked = session.assessment && session.assessment.measures;
+    const previousKey = measureKey(previousMetric);
+    if (tracked && tracked[previousKey] && !tracked[measureKey(metric)]) {
+        tracked[measureKey(metric)] = tracked[previousKey];
+        delete tracked[previousKey];
+    }
+}
+
+// The measures and their statuses for the coach's follow-up conversations
+function buildAssessmentContext(session, now = new Date()) {
+    return describeAssessment(session, now).measures.map(measure => {
+        const latest = measure.latest
+            ? `latest ${measure.latest.value} on ${measure.latest.date}${measure.latest.note ? ` ("${measure.latest.note}")` : ''}`
+            : 'no values logged';
+        const status = measure.status ? STATUS_LABELS[measure.status] : 'no status';
+        return `- ${measure.metric}: baseline ${measure.baseline || 'not set'}, target ${measure.target || 'not set'}, ${latest}. Status: ${status} (${measure.reason}).`;
+    }).join('\n');
+}
+
+// Add the assessment routes to a router. `updateSession` applies a change to
+// the latest saved session; `publish` tells live collaborators.
+function createAssessmentRoutes(router, { loadSession, updateSession, publish }) {
+    const editAssessment = (edit, status = 200) => async (req, res) => {
+        const author = { id: req.user.id, username: req.user.username };
+        let result;
+
+        try {
+            result = await updateSession(req.params.sessionId, (session) => {
+                edit(session, req, author);
+                return describeAssessment(session);
+            });
+        } catch (error) {
+            return res.status(error.status || (/not found/.test(error.message) ? 404 : 400)).json({ error: error.message });
+        }
+
+        publish(req, 'assessment', { ...result, author });
+        res.status(status).json(result);
+    };
+
+    router.get('/sessions/:sessionId/assessment', loadSession('viewer'), (req, res) => {
+        res.json(describeAssessment(req.compasSession));
+    });
+
+    router.post('/sessions/:sessionId/assessment', loadSession('editor'),
+        editAssessment((session, req, author) => startAssessment(session, { author })));
+
+    router.post('/sessions/:sessionId/assessment/measures/:index/entries', loadSession('editor'),
+        editAssessment((session, req, author) => {
+            const { value, date, note } = req.body || {};
+            recordMeasurement(session, Number(req.params.index), { value, date, note, author });
+        }, 201));
+
+    router.delete('/sessions/:sessionId/assessment/measures/:index/entries/:entryId', loadSession('editor'),
+        editAssessment((session, req) => removeMeasurement(session, Number(req.params.index), req.params.entryId)));
+}
+
+module.exports = {
+    STATUSES,
+    parseMeasureValue,
+    describeAssessment,
+    startAssessment,
+    recordMeasurement,
+    removeMeasurement,
+    renameTrackedMeasure,
+    buildAssessmentContext,
+    createAssessmentRoutes
+};
@@ -0,0 +1,347 @@
+// Weighted method comparison for Method Selection.
+//
+// Every method from Method Ideation gets a 1-5 score per criterion, where 5 is
+// always best (cheapest, fastest, least risky, ...). The AI suggests scores
+// with justifications; users adjust the weights and can override any score.
+// A method's total is its weighted average, scaled to 0-100.
+//
+// Scores a user set are authoritative: later AI suggestions never replace them.
+
+const { getLLMProvider } = require('./llm-provider');
+const { validateAgainstSchema, extractJSON } = require('./stage-schema');
+const { markFieldEdited } = require('./plan-editor');
+
+const SCORE_MIN = 1;
+const SCORE_MAX = 5;
+const WEIGHT_MAX = 5;
+
+const DEFAULT_CRITERIA = [
+    { id: 'cost', label: 'Cost', description: 'Money needed to start and run it (5 = cheapest)', weight: 3 },
+    { id: 'timeToValue', label: 'Time to value', description: 'How soon it shows results (5 = fastest)', weight: 3 },
+    { id: 'staffCapacity', label: 'Staff capacity', description: 'Fit with the staff time available (5 = least demanding)', weight: 3 },
+    { id: 'dataReadiness', label: 'Data readiness', description: 'Whether the data it needs exists and is usable (5 = ready now)', weight: 2 },
+    { id: 'risk', label: 'Risk', description: 'Chance of failure or harm (5 = lowest risk)', weight: 2 }
+];
+
+// Scores are kept by method name, ignoring case
+function methodKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+function getMethods(session) {
+    return session.stageData.method_ideation.methods || [];
+}
+
+function getScoring(session) {
+    if (!session.methodScoring) {
+        session.methodScoring = {
+            criteria: DEFAULT_CRITERIA.map(criterion => ({ ...criterion })),
+            scores: {},
+            suggestedAt: null
+        };
+    }
+    return session.methodScoring;
+}
+
+// Methods with their scores and weighted totals, best first. Methods missing
+// a score for a weighted criterion have no total yet.
+function rankMethods(session) {
+    const { criteria, scores } = getScoring(session);
+    const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+    return getMethods(session)
+        .map((method, index) => {
+            const methodScores = scores[methodKey(method.name)] || {};
+            const missing = criteria.filter(criterion => criterion.weight > 0 && !methodScores[criterion.id]);
+            const weighted = criteria.reduce((sum, criterion) =>
+                sum + criterion.weight * (methodScores[criterion.id] ? methodScores[criterion.id].score : 0), 0);
+
+            return {
+                index,
+                name: method.name,
+                description: method.description || '',
+                scores: methodScores,
+                missing: missing.map(criterion => criterion.id),
+                total: missing.length === 0 && totalWeight > 0
+                    ? Math.round((weighted / (totalWeight * SCORE_MAX)) * 100)
+                    : null
+            };
+        })
+        .sort((a, b) => (b.total === null ? -1 : b.total) - (a.total === null ? -1 : a.total));
+}
+
+// The comparison matrix as returned to clients
+function describeScoring(session) {
+    const scoring = getScoring(session);
+    return {
+        criteria: scoring.criteria,
+        methods: rankMethods(session),
+        suggestedAt: scoring.suggestedAt,
+        chosenMethod: session.stageData.method_selection.chosenMethod
+    };
+}
+
+// `weights` maps criterion ids to a weight from 0 (ignore) to WEIGHT_MAX
+function setWeights(session, weights) {
+    const { criteria } = getScoring(session);
+    const updates = Object.entries(weights || {});
+
+    if (updates.length === 0) {
+        throw new Error('weights must map criterion ids to numbers');
+    }
+    updates.forEach(([id, weight]) => {
+        if (!criteria.some(criterion => criterion.id === id)) {
+            throw new Error(`Unknown criterion: ${id}`);
+        }
+        if (typeof weight !== 'number' || weight < 0 || weight > WEIGHT_MAX) {
+            throw new Error(`Weight for ${id} must be a number from 0 to ${WEIGHT_MAX}`);
+        }
+    });
+
+    updates.forEach(([id, weight]) => {
+        criteria.find(criterion => criterion.id === id).weight = weight;
+    });
+}
+
+function assertScore(score) {
+    if (!Number.isInteger(score) || score < SCORE_MIN || score > SCORE_MAX) {
+        throw new Error(`Score must be a whole number from ${SCORE_MIN} to ${SCORE_MAX}`);
+    }
+}
+
+// A user's score for one method and criterion
+function setScore(session, methodIndex, criterionId, score, { justification, author } = {}) {
+    const scoring = getScoring(session);
+    const method = getMethods(session)[methodIndex];
+
+    if (!method) {
+        throw new Error('Method not found');
+    }
+    if (!scoring.criteria.some(criterion => criterion.id === criterionId)) {
+        throw new Error(`Unknown criterion: ${criterionId}`);
+    }
+    assertScore(score);
+
+    const key = methodKey(method.name);
+    const previous = (scoring.scores[key] || {})[criterionId];
+    scoring.scores[key] = scoring.scores[key] || {};
+    scoring.scores[key][criterionId] = {
+        score,
+        justification: justification || (previous ? previous.justification : ''),
+        source: 'user',
+        updatedBy: author ? author.username : null,
+        updatedAt: new Date()
+    };
+}
+
+// Schema for the AI's suggested scores
+function buildSuggestionSchema(criteria) {
+    return {
+        type: 'object',
+        properties: {
+            scores: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        method: { type: 'string' },
+                        criterion: { type: 'string', enum: criteria.map(criterion => criterion.id) },
+                        score: { type: 'number', minimum: SCORE_MIN, maximum: SCORE_MAX },
+                        justification: { type: 'string' }
+                    },
+                    required: ['method', 'criterion', 'score', 'justification'],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ['scores'],
+        additionalProperties: false
+    };
+}
+
+function buildSuggestionPrompt(session, criteria) {
+    const context = session.stageData.context_discovery;
+    const objective = session.stageData.objective_definition;
+
+    return `Score each proposed method for this nonprofit against each criterion, from ${SCORE_MIN} to ${SCORE_MAX}, where ${SCORE_MAX} is always best. Base the scores on the organization's situation and constraints, and justify each one in one sentence.
+
+Situation: ${context.situationDescription || 'Not provided'}
+Constraints: ${JSON.stringify(context.constraints)}
+Problem statement: ${objective.problemStatement || 'Not provided'}
+
+Methods: ${JSON.stringify(getMethods(session), null, 2)}
+
+Criteria: ${JSON.stringify(criteria.map(({ id, label, description }) => ({ id, label, description })), null, 2)}
+
+Respond with only a JSON object, with no prose or code fences:
+{"scores": [{"method": "method name", "criterion": "criterion id", "score": 1-5, "justification": "one sentence"}]}`;
+}
+
+// Ask the AI to score every method; resolves to its validated suggestions,
+// for applyMethodScores to record
+async function requestMethodScores(session) {
+    const scoring = getScoring(session);
+    const methods = getMethods(session);
+    if (methods.length === 0) {
+        throw new Error('No methods to score yet');
+    }
+
+    // A failed or unusable reply is the AI's problem, not the request's:
+    // report it as an upstream error, as the chat routes do
+    let scores;
+    try {
+        const reply = await getLLMProvider().complete('scoring', [
+            { role: 'user', content: buildSuggestionPrompt(session, scoring.criteria) }
+        ], {
+            metadata: {
+                stage: session.stage,
+                methods: methods.map(method => method.name),
+                criteria: scoring.criteria.map(criterion => criterion.id)
+            }
+        });
+
+        const parsed = extractJSON(reply);
+        const errors = validateAgainstSchema(parsed, buildSuggestionSchema(scoring.criteria));
+        if (errors.length > 0) {
+            throw new Error(`Suggested scores did not validate: ${errors.join('; ')}`);
+        }
+
+        scores = parsed.scores;
+    } catch (error) {
+        console.error('LLM provider error:', error);
+        throw Object.assign(new Error('Failed to suggest scores'), { status: 502 });
+    }
+
+    return scores;
+}
+
+// Record suggested scores for the methods and criteria the session still
+// has. Scores users set are kept; returns the number of scores applied.
+function applyMethodScores(session, suggestions) {
+    const scoring = getScoring(session);
+    const knownMethods = new Set(getMethods(session).map(method => methodKey(method.name)));
+    const knownCriteria = new Set(scoring.criteria.map(criterion => criterion.id));
+    let applied = 0;
+
+    suggestions.forEach(suggestion => {
+        const key = methodKey(suggestion.method);
+        const current = (scoring.scores[key] || {})[suggestion.criterion];
+        if (!knownMethods.has(key) || !knownCriteria.has(suggestion.criterion) || (current && current.source === 'user')) {
+            return;
+        }
+
+        scoring.scores[key] = scoring.scores[key] || {};
+        scoring.scores[key][suggestion.criterion] = {
+            score: Math.round(suggestion.score),
+            justification: suggestion.justification,
+            source: 'ai',
+            updatedAt: new Date()
+        };
+        applied++;
+    });
+
+    scoring.suggestedAt = new Date();
+    return applied;
+}
+
+// Ask the AI to score every method and record its scores
+async function suggestMethodScores(session) {
+    return applyMethodScores(session, await requestMethodScores(session));
+}
+
+// "Buddy program scored 82/100 (Automated check-ins: 64). Cost 5/5: ..."
+function buildSelectionRationale(session, winner, ranking) {
+    const { criteria } = getScoring(session);
+    const others = ranking.filter(method => method.index !== winner.index && method.total !== null);
+    const lines = criteria
+        .filter(criterion => criterion.weight > 0 && winner.scores[criterion.id])
+        .map(criterion => {
+            const { score, justification } = winner.scores[criterion.id];
+            return `${criterion.label} ${score}/${SCORE_MAX} (weight ${criterion.weight})${justification ? `: ${justification}` : ''}`;
+        });
+
+    return `${winner.name} scored ${winner.total}/100 in the weighted comparison` +
+        `${others.length > 0 ? ` (${others.map(method => `${method.name}: ${method.total}`).join(', ')})` : ''}. ` +
+        lines.map(line => line.replace(/\.?$/, '.')).join(' ');
+}
+
+// Choose a fully scored method, writing it and its scores into Method Selection
+function selectMethod(session, methodIndex, { author } = {}) {
+    const ranking = rankMethods(session);
+    const winner = ranking.find(method => method.index === methodIndex);
+
+    if (!winner) {
+        throw new Error('Method not found');
+    }
+    if (winner.total === null) {
+        throw new Error(`Score ${winner.name} on every weighted criterion first`);
+    }
+
+    const scores = {};
+    Object.entries(winner.scores).forEach(([criterion, entry]) => {
+        scores[criterion] = entry.score;
+    });
+
+    session.updateStageData('method_selection', {
+        chosenMethod: { name: winner.name, description: winner.description, score: winner.total, scores },
+        methodRationale: buildSelectionRationale(session, winner, ranking)
+    });
+
+    // A chosen method is the user's decision, not extraction's to change
+    markFieldEdited(session, 'method_selection', 'chosenMethod', author);
+    markFieldEdited(session, 'method_selection', 'methodRationale', author);
+}
+
+// Add the method scoring routes to a router. `updateSession` applies a change
+// to the latest saved session; `publish` tells live collaborators.
+function createScoringRoutes(router, { loadSession, updateSession, publish }) {
+    // `prepare` does the edit's one-off work, see updateSession
+    const editScoring = (edit, prepare) => async (req, res) => {
+        const author = { id: req.user.id, username: req.user.username };
+        let result;
+
+        try {
+            result = await updateSession(req.params.sessionId, (session, prepared) => {
+                edit(session, req.body || {}, author, prepared);
+                return describeScoring(session);
+            }, { prepare });
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        publish(req, 'scoring', { ...result, author });
+        res.json(result);
+    };
+
+    router.get('/sessions/:sessionId/method-scoring', loadSession('viewer'), (req, res) => {
+        res.json(describeScoring(req.compasSession));
+    });
+
+    router.put('/sessions/:sessionId/method-scoring/weights', loadSession('editor'),
+        editScoring((session, body) => setWeights(session, body.weights)));
+
+    router.put('/sessions/:sessionId/method-scoring/scores', loadSession('editor'),
+        editScoring((session, body, author) => setScore(session, body.method, body.criterion, body.score, {
+            justification: body.justification,
+            author
+        })));
+
+    router.post('/sessions/:sessionId/method-scoring/suggest', loadSession('editor'),
+        editScoring((session, body, author, suggestions) => applyMethodScores(session, suggestions), requestMethodScores));
+
+    router.post('/sessions/:sessionId/method-scoring/select', loadSession('editor'),
+        editScoring((session, body, author) => selectMethod(session, body.method, { author })));
+}
+
+module.exports = {
+    DEFAULT_CRITERIA,
+    rankMethods,
+    describeScoring,
+    setWeights,
+    setScore,
+    requestMethodScores,
+    applyMethodScores,
+    suggestMethodScores,
+    selectMethod,
+    createScoringRoutes
+};
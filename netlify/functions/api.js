@@ -1,17 +1,30 @@
 const serverless = require('serverless-http');
+const { connectLambda } = require('@netlify/blobs');
+
+// Set before the app loads, so its session, user and organization stores
+// default to Netlify Blobs instead of the function's read-only disk
+process.env.NETLIFY = 'true';
 const app = require('../../server');
 
+// serverless-http buffers each response, so nothing can stream from here
+app.set('serverless', true);
+
 // Configure serverless-http for better compatibility
 const handler = serverless(app, {
-  binary: false,
+  binary: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'multipart/form-data'
+  ],
   requestId: false,
   stripBasePath: true
 });
 
 // Export handler for Netlify Functions
 exports.handler = async (event, context) => {
-  // Set Netlify environment flag
-  process.env.NETLIFY = 'true';
+  if (event.blobs && !process.env.NETLIFY_BLOBS_TOKEN) {
+    connectLambda(event);
+  }
   
   try {
     const result = await handler(event, context);
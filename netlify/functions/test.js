@@ -1,20 +1,14 @@
-const { OpenAI } = require('openai');
+const { createLLMProvider } = require('../../llm-provider');
 
 exports.handler = async (event, context) => {
-  // Test OpenAI API key
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
+  // Test the configured LLM provider
+  const provider = createLLMProvider();
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        { role: 'system', content: 'You are a helpful assistant.' },
-        { role: 'user', content: 'Say "Hello from COMPAS Navigator test!"' }
-      ],
-      max_tokens: 50
-    });
+    const message = await provider.complete('healthcheck', [
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'Say "Hello from COMPAS Navigator test!"' }
+    ]);
 
     return {
       statusCode: 200,
@@ -24,7 +18,8 @@ exports.handler = async (event, context) => {
       },
       body: JSON.stringify({
         success: true,
-        message: response.choices[0].message.content,
+        message,
+        provider: provider.name,
         apiKeyStatus: process.env.OPENAI_API_KEY ? 'configured' : 'missing'
       })
     };
@@ -38,8 +33,9 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: false,
         error: error.message,
+        provider: provider.name,
         apiKeyStatus: process.env.OPENAI_API_KEY ? 'configured but invalid' : 'missing'
       })
     };
   }
-};
\ No newline at end of file
+};
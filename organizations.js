@@ -0,0 +1,361 @@
+// Organizations (workspaces) and session permissions for COMPAS Navigator
+//
+// Roles, weakest first: viewer (read, report, export), editor (chat, stage
+// changes, uploads) and owner (sharing and membership). A user's role on a
+// session is the strongest of:
+//   - owning the session
+//   - being invited to the session as a collaborator
+//   - membership of the organization the session belongs to
+// Read-only share links give viewer access without an account.
+
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createSessionStore } = require('./session-store');
+const { normalizeBranding, normalizeTemplate } = require('./report-templates');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const DEFAULT_SHARE_LINK_DAYS = 30;
+const MAX_UPDATE_ATTEMPTS = 3;
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+// Whether `role` grants at least `minimumRole`
+function hasRole(role, minimumRole) {
+    return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+function strongestRole(roles) {
+    return roles.filter(isValidRole).sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+}
+
+function getMemberRole(organization, user) {
+    if (!organization || !user) {
+        return null;
+    }
+    const member = organization.members.find(m => m.userId === user.id);
+    return member ? member.role : null;
+}
+
+// A user's role on a session, or null when they have no access
+function resolveSessionRole(session, user, organization = null) {
+    if (!user) {
+        return null;
+    }
+
+    const collaborator = (session.collaborators || []).find(c => c.userId === user.id);
+
+    return strongestRole([
+        session.ownerId === user.id ? 'owner' : null,
+        collaborator ? collaborator.role : null,
+        session.organizationId && organization && organization.id === session.organizationId
+            ? getMemberRole(organization, user)
+            : null
+    ]);
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Share tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+function createShareLink(session, user, { expiresInDays = DEFAULT_SHARE_LINK_DAYS } = {}) {
+    const secret = crypto.randomBytes(24).toString('hex');
+    const link = {
+        id: uuidv4(),
+        secretHash: hashSecret(secret),
+        createdBy: user.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+        revoked: false
+    };
+
+    session.shareLinks = session.shareLinks || [];
+    session.shareLinks.push(link);
+
+    return { link, token: `${session.sessionId}.${secret}` };
+}
+
+function parseShareToken(token) {
+    const [sessionId, secret] = String(token || '').split('.');
+    return sessionId && secret ? { sessionId, secret } : null;
+}
+
+// The live share link a secret belongs to, or null
+function findShareLink(session, secret) {
+    const secretHash = hashSecret(secret);
+    return (session.shareLinks || []).find(link =>
+        !link.revoked &&
+        new Date(link.expiresAt) > new Date() &&
+        crypto.timingSafeEqual(Buffer.from(link.secretHash), Buffer.from(secretHash))
+    ) || null;
+}
+
+// Share links as shown to the session owner, without the secret hash
+function describeShareLink(link) {
+    const { secretHash, ...visible } = link;
+    return visible;
+}
+
+// Organizations share the session-store adapters, without expiry
+function createOrganizationStore(options = {}) {
+    return createSessionStore({
+        type: options.type || process.env.ORGANIZATION_STORE || process.env.SESSION_STORE,
+        directory: options.directory || process.env.ORGANIZATION_STORE_PATH || path.join(__dirname, 'data', 'organizations'),
+        name: 'organizations',
+        ttlMs: null
+    });
+}
+
+class OrganizationService {
+    constructor(options = {}) {
+        this.store = options.store || createOrganizationStore();
+    }
+
+    async get(organizationId) {
+        return organizationId ? this.store.get(organizationId) : null;
+    }
+
+    async create(name, user) {
+        const organization = {
+            id: uuidv4(),
+            name,
+            createdAt: new Date().toISOString(),
+            members: [{ userId: user.id, username: user.username, role: 'owner', addedAt: new Date().toISOString() }]
+        };
+
+        await this.store.set(organization.id, organization, { expectedVersion: null });
+        return organization;
+    }
+
+    // Apply a change to the latest saved organization and save it with the
+    // store's version check, so two owners changing it at once both keep
+    // their change. On a conflict the change is retried on the newer
+    // organization, so it must only change the organization it is given.
+    async update(organizationId, change) {
+        for (let attempt = 1; ; attempt++) {
+            const entry = await this.store.getVersioned(organizationId);
+            if (!entry) {
+                throw Object.assign(new Error('Organization not found'), { status: 404 });
+            }
+
+            const result = change(entry.session);
+            try {
+                await this.store.set(organizationId, entry.session, { expectedVersion: entry.version });
+                return result;
+            } catch (error) {
+                if (error.code !== 'VERSION_CONFLICT') {
+                    throw error;
+                }
+                if (attempt === MAX_UPDATE_ATTEMPTS) {
+                    throw Object.assign(new Error('Someone else is changing this organization; please try again'), { status: 409 });
+                }
+            }
+        }
+    }
+
+    async listForUser(user) {
+        const organizations = await this.store.list();
+        return organizations.filter(organization => getMemberRole(organization, user));
+    }
+
+    // Add a member, or change the role of an existing one
+    async setMember(organization, member, role) {
+        if (!isValidRole(role)) {
+            throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+        }
+
+        return this.update(organization.id, (latest) => {
+            const existing = latest.members.find(m => m.userId === member.id);
+            if (existing && existing.role === 'owner' && role !== 'owner') {
+                this.assertAnotherOwner(latest, member.id);
+            }
+
+            if (existing) {
+                existing.role = role;
+            } else {
+                latest.members.push({ userId: member.id, username: member.username, role, addedAt: new Date().toISOString() });
+            }
+            return latest;
+        });
+    }
+
+    async removeMember(organization, userId) {
+        return this.update(organization.id, (latest) => {
+            const existing = latest.members.find(m => m.userId === userId);
+            if (!existing) {
+                throw new Error('User is not a member of this organization');
+            }
+            if (existing.role === 'owner') {
+                this.assertAnotherOwner(latest, userId);
+            }
+
+            latest.members = latest.members.filter(m => m.userId !== userId);
+            return latest;
+        });
+    }
+
+    // Change some of the organization's report branding (see report-templates.js)
+    async setBranding(organization, branding) {
+        const changes = normalizeBranding(branding);
+        return this.update(organization.id, (latest) => {
+            latest.branding = { ...(latest.branding || {}), ...changes };
+            return latest;
+        });
+    }
+
+    // Add a custom report template, or replace one with the same id
+    async setReportTemplate(organization, templateId, template, user) {
+        const saved = { ...normalizeTemplate(templateId, template), updatedBy: user.id, updatedAt: new Date().toISOString() };
+        return this.update(organization.id, (latest) => {
+            const templates = (latest.reportTemplates || []).filter(existing => existing.id !== templateId);
+            latest.reportTemplates = [...templates, saved];
+            return saved;
+        });
+    }
+
+    async removeReportTemplate(organization, templateId) {
+        return this.update(organization.id, (latest) => {
+            const templates = latest.reportTemplates || [];
+            if (!templates.some(template => template.id === templateId)) {
+                throw new Error('No report template with that id');
+            }
+
+            latest.reportTemplates = templates.filter(template => template.id !== templateId);
+            return latest;
+        });
+    }
+
+    assertAnotherOwner(organization, userId) {
+        if (!organization.members.some(m => m.role === 'owner' && m.userId !== userId)) {
+            throw new Error('An organization needs at least one owner');
+        }
+    }
+}
+
+// Add organization routes to a router. `sessionStore` and `summarizeSession`
+// back the organization's session listing.
+function createOrganizationRoutes(router, { organizationService, authService, requireAuth, sessionStore, summarizeSession }) {
+    // Load the organization named in the URL, requiring a minimum member role
+    const loadOrganization = (minimumRole) => async (req, res, next) => {
+        const organization = await organizationService.get(req.params.organizationId);
+        const role = getMemberRole(organization, req.user);
+
+        if (!organization || !role) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+        if (!hasRole(role, minimumRole)) {
+            return res.status(403).json({ error: `Requires ${minimumRole} access to this organization` });
+        }
+
+        req.organization = organization;
+        req.organizationRole = role;
+        next();
+    };
+
+    router.use('/organizations', requireAuth);
+
+    router.get('/organizations', async (req, res) => {
+        const organizations = await organizationService.listForUser(req.user);
+        res.json({
+            organizations: organizations.map(organization => ({
+                id: organization.id,
+                name: organization.name,
+                role: getMemberRole(organization, req.user),
+                memberCount: organization.members.length
+            }))
+        });
+    });
+
+    router.post('/organizations', async (req, res) => {
+        const name = String((req.body || {}).name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Organization name is required' });
+        }
+
+        const organization = await organizationService.create(name, req.user);
+        res.status(201).json({ organization });
+    });
+
+    router.get('/organizations/:organizationId', loadOrganization('viewer'), (req, res) => {
+        res.json({ organization: req.organization, role: req.organizationRole });
+    });
+
+    // Invite a colleague by username, or change their role
+    router.post('/organizations/:organizationId/members', loadOrganization('owner'), async (req, res) => {
+        const { username, role = 'editor' } = req.body || {};
+        const member = await authService.findUser(username);
+        if (!member) {
+            return res.status(404).json({ error: 'No user with that username' });
+        }
+
+        try {
+            const organization = await organizationService.setMember(req.organization, member, role);
+            res.json({ organization });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+
+    router.delete('/organizations/:organizationId/members/:userId', loadOrganization('owner'), async (req, res) => {
+        try {
+            const organization = await organizationService.removeMember(req.organization, req.params.userId);
+            res.json({ organization });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+
+    // Report branding and custom templates, sent as { branding } and
+    // { template }
+    router.put('/organizations/:organizationId/branding', loadOrganization('owner'), async (req, res) => {
+        try {
+            const organization = await organizationService.setBranding(req.organization, (req.body || {}).branding);
+            res.json({ branding: organization.branding });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+
+    router.put('/organizations/:organizationId/report-templates/:templateId', loadOrganization('owner'), async (req, res) => {
+        try {
+            const template = await organizationService.setReportTemplate(req.organization, req.params.templateId, (req.body || {}).template, req.user);
+            res.json({ template });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+
+    router.delete('/organizations/:organizationId/report-templates/:templateId', loadOrganization('owner'), async (req, res) => {
+        try {
+            const organization = await organizationService.removeReportTemplate(req.organization, req.params.templateId);
+            res.json({ organization });
+        } catch (error) {
+            res.status(error.status || 404).json({ error: error.message });
+        }
+    });
+
+    router.get('/organizations/:organizationId/sessions', loadOrganization('viewer'), async (req, res) => {
+        const sessions = (await sessionStore.list())
+            .filter(session => session.organizationId === req.organization.id)
+            .map(session => ({ ...summarizeSession(session), role: resolveSessionRole(session, req.user, req.organization) }));
+
+        res.json({ sessions });
+    });
+}
+
+module.exports = {
+    ROLES,
+    isValidRole,
+    hasRole,
+    resolveSessionRole,
+    createShareLink,
+    parseShareToken,
+    findShareLink,
+    describeShareLink,
+    OrganizationService,
+    createOrganizationStore,
+    createOrganizationRoutes
+};
@@ -0,0 +1,332 @@
+// Editable structured plan: users add, edit, reorder and delete the list items
+// in stageData that the analysis model otherwise fills in from the chat.
+//
+// A list the user has edited is authoritative. Later extraction may still add
+// items that are new to it, but never changes, reorders or removes the user's
+// items, and never brings back an item the user deleted or renamed. Other
+// fields the user has set (see markFieldEdited) are never overwritten.
+
+const { FIELD_SCHEMAS, validateAgainstSchema } = require('./stage-schema');
+const { findScheduleErrors, renameDependency, removeDependency } = require('./plan-timeline');
+const { renameTrackedMeasure } = require('./measure-tracking');
+
+const ITEM_NOT_FOUND = 'Plan item not found';
+
+// Editable lists, the stage whose data holds each one, and for lists of
+// objects the field that names an item. `findErrors` checks the whole list
+// after an edit; `onRename` and `onRemove` fix references to an item, and
+// are called with the list, the item's name(s) and the session.
+const PLAN_COLLECTIONS = {
+    stakeholders: { stage: 'context_discovery', label: 'Stakeholders' },
+    constraints: { stage: 'context_discovery', label: 'Constraints' },
+    methods: { stage: 'method_ideation', label: 'Methods', keyField: 'name' },
+    implementationSteps: {
+        stage: 'implementation_plan',
+        label: 'Implementation steps',
+        keyField: 'title',
+        findErrors: findScheduleErrors,
+        onRename: renameDependency,
+        onRemove: removeDependency
+    },
+    performanceMeasures: {
+        stage: 'implementation_plan',
+        label: 'Performance measures',
+        keyField: 'metric',
+        onRename: (items, previousMetric, metric, session) => renameTrackedMeasure(session, previousMetric, metric)
+    },
+    learningQuestions: { stage: 'implementation_plan', label: 'Learning questions' },
+    learningDecisions: { stage: 'scaling_learning', label: 'Learning decisions', keyField: 'question' }
+};
+
+function isPlanCollection(collection) {
+    return Object.prototype.hasOwnProperty.call(PLAN_COLLECTIONS, collection);
+}
+
+// The lists in the stages this session walks through
+function getSessionCollections(session) {
+    const stages = session.getStageOrder();
+    return Object.keys(PLAN_COLLECTIONS).filter(collection => stages.includes(PLAN_COLLECTIONS[collection].stage));
+}
+
+// Items match across edits and extractions by name, ignoring case
+function itemKey(collection, item) {
+    const { keyField } = PLAN_COLLECTIONS[collection];
+    const name = keyField ? (item || {})[keyField] : item;
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+// Trim an item and drop blank optional fields; returns { item, errors }
+function normalizeItem(collection, input) {
+    const schema = FIELD_SCHEMAS[collection].items;
+    let item = input;
+
+    if (typeof input === 'string') {
+        item = input.trim();
+    } else if (input && typeof input === 'object' && !Array.isArray(input)) {
+        item = {};
+        Object.keys(input).forEach(field => {
+            const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+            if (value !== '' && value !== null && value !== undefined) {
+                item[field] = value;
+            }
+        });
+    }
+
+    const errors = validateAgainstSchema(item, schema, 'item');
+    if (errors.length === 0 && !itemKey(collection, item)) {
+        errors.push('item: must not be empty');
+    }
+
+    return { item, errors };
+}
+
+function getItems(session, collection) {
+    const stageData = session.stageData[PLAN_COLLECTIONS[collection].stage];
+    if (!Array.isArray(stageData[collection])) {
+        stageData[collection] = [];
+    }
+    return stageData[collection];
+}
+
+// Record that the user now owns this list. `retiredKeys` are names that must
+// not come back from extraction.
+function markEdited(session, collection, author, retiredKeys = []) {
+    const previous = session.planEdits[collection] || { removed: [] };
+    const removed = new Set(previous.removed);
+    retiredKeys.filter(Boolean).forEach(key => removed.add(key));
+
+    // Names the list holds again are no longer removed
+    getItems(session, collection).forEach(item => removed.delete(itemKey(collection, item)));
+
+    session.planEdits[collection] = {
+        editedAt: new Date(),
+        editedBy: author ? author.username : null,
+        removed: Array.from(removed)
+    };
+}
+
+// Record that the user set a single stageData field, e.g. the chosen method
+function markFieldEdited(session, stage, field, author) {
+    session.planEdits[field] = {
+        stage,
+        editedAt: new Date(),
+        editedBy: author ? author.username : null
+    };
+}
+
+function assertIndex(items, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+        throw new Error(ITEM_NOT_FOUND);
+    }
+}
+
+function addPlanItem(session, collection, item, { position, author } = {}) {
+    const items = getItems(session, collection);
+    const at = Number.isInteger(position) && position >= 0 && position <= items.length ? position : items.length;
+
+    items.splice(at, 0, item);
+    markEdited(session, collection, author);
+    return items;
+}
+
+function updatePlanItem(session, collection, index, item, { author } = {}) {
+    const items = getItems(session, collection);
+    assertIndex(items, index);
+
+    const { keyField, onRename } = PLAN_COLLECTIONS[collection];
+    const previous = items[index];
+    const renamed = itemKey(collection, previous) !== itemKey(collection, item);
+
+    items[index] = item;
+    if (renamed && onRename) {
+        onRename(items, previous[keyField], item[keyField], session);
+    }
+    markEdited(session, collection, author, renamed ? [itemKey(collection, previous)] : []);
+    return items;
+}
+
+function removePlanItem(session, collection, index, { author } = {}) {
+    const items = getItems(session, collection);
+    assertIndex(items, index);
+
+    const [removed] = items.splice(index, 1);
+    const { keyField, onRemove } = PLAN_COLLECTIONS[collection];
+    if (onRemove) {
+        onRemove(items, keyField ? removed[keyField] : removed, session);
+    }
+    markEdited(session, collection, author, [itemKey(collection, removed)]);
+    return items;
+}
+
+// `order` lists every current index once, in the new order
+function reorderPlanItems(session, collection, order, { author } = {}) {
+    const items = getItems(session, collection);
+    const isPermutation = Array.isArray(order) &&
+        order.length === items.length &&
+        new Set(order).size === items.length &&
+        order.every(index => Number.isInteger(index) && index >= 0 && index < items.length);
+
+    if (!isPermutation) {
+        throw new Error('order must list every item index exactly once');
+    }
+
+    const reordered = order.map(index => items[index]);
+    items.splice(0, items.length, ...reordered);
+    markEdited(session, collection, author);
+    return items;
+}
+
+// Merge extracted stage data, keeping user-edited lists authoritative
+function mergeExtractedData(session, stage, data) {
+    const merged = {};
+
+    Object.keys(data).forEach(field => {
+        const edits = session.planEdits[field];
+        if (!edits) {
+            merged[field] = data[field];
+            return;
+        }
+        if (!isPlanCollection(field)) {
+            return;
+        }
+
+        const items = getItems(session, field);
+        const known = new Set([...items.map(item => itemKey(field, item)), ...edits.removed]);
+        const added = data[field].filter(item => {
+            const key = itemKey(field, item);
+            if (!key || known.has(key)) {
+                return false;
+            }
+            known.add(key);
+            return true;
+        });
+
+        merged[field] = [...items, ...added];
+    });
+
+    session.updateStageData(stage, merged);
+}
+
+// Names of the user-edited fields in a stage, for the analysis prompt
+function getEditedFields(session, stage) {
+    return Object.keys(session.planEdits).filter(field =>
+        (isPlanCollection(field) ? PLAN_COLLECTIONS[field].stage : session.planEdits[field].stage) === stage
+    );
+}
+
+// One list as returned to clients
+function describeCollection(session, collection) {
+    const schema = FIELD_SCHEMAS[collection].items;
+    const fieldTypes = {};
+    const fieldOptions = {};
+    Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+        fieldTypes[field] = fieldSchema.format || fieldSchema.type;
+        if (fieldSchema.enum) {
+            fieldOptions[field] = fieldSchema.enum;
+        }
+    });
+
+    return {
+        collection,
+        label: PLAN_COLLECTIONS[collection].label,
+        stage: PLAN_COLLECTIONS[collection].stage,
+        fields: schema.type === 'object' ? Object.keys(schema.properties) : null,
+        fieldTypes,
+        fieldOptions,
+        required: schema.required || [],
+        items: getItems(session, collection),
+        edited: session.planEdits[collection] || null
+    };
+}
+
+// Add the plan editing routes to a router. `updateSession` applies a change
+// to the latest saved session; `publish` tells live collaborators.
+function createPlanRoutes(router, { loadSession, updateSession, publish }) {
+    const requireCollection = (req, res, next) => {
+        if (!getSessionCollections(req.compasSession).includes(req.params.collection)) {
+            return res.status(404).json({ error: 'Unknown plan section' });
+        }
+        next();
+    };
+
+    // Validate the item in the body onto req.planItem
+    const requireItem = (req, res, next) => {
+        const { item, errors } = normalizeItem(req.params.collection, (req.body || {}).item);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid plan item', errors });
+        }
+        req.planItem = item;
+        next();
+    };
+
+    // Apply an edit and answer with the whole list
+    const editCollection = (edit, status = 200) => async (req, res) => {
+        const { collection } = req.params;
+        const author = { id: req.user.id, username: req.user.username };
+        let result;
+
+        try {
+            result = await updateSession(req.params.sessionId, (session) => {
+                const { findErrors } = PLAN_COLLECTIONS[collection];
+                const existing = findErrors ? findErrors(getItems(session, collection)) : [];
+
+                edit(session, req, author);
+
+                // Refuse edits that break the list, but not ones that leave
+                // earlier problems in place
+                const introduced = findErrors
+                    ? findErrors(getItems(session, collection)).filter(error => !existing.includes(error))
+                    : [];
+                if (introduced.length > 0) {
+                    throw new Error(introduced.join('; '));
+                }
+                return describeCollection(session, collection);
+            });
+        } catch (error) {
+            return res.status(error.status || (error.message === ITEM_NOT_FOUND ? 404 : 400)).json({ error: error.message });
+        }
+
+        publish(req, 'plan', { ...result, author });
+        res.status(status).json(result);
+    };
+
+    router.get('/sessions/:sessionId/plan', loadSession('viewer'), (req, res) => {
+        const session = req.compasSession;
+        res.json({
+            collections: getSessionCollections(session).map(collection => describeCollection(session, collection))
+        });
+    });
+
+    router.post('/sessions/:sessionId/plan/:collection', loadSession('editor'), requireCollection, requireItem,
+        editCollection((session, req, author) => {
+            addPlanItem(session, req.params.collection, req.planItem, { position: (req.body || {}).position, author });
+        }, 201));
+
+    router.put('/sessions/:sessionId/plan/:collection/order', loadSession('editor'), requireCollection,
+        editCollection((session, req, author) => {
+            reorderPlanItems(session, req.params.collection, (req.body || {}).order, { author });
+        }));
+
+    router.put('/sessions/:sessionId/plan/:collection/:index', loadSession('editor'), requireCollection, requireItem,
+        editCollection((session, req, author) => {
+            updatePlanItem(session, req.params.collection, Number(req.params.index), req.planItem, { author });
+        }));
+
+    router.delete('/sessions/:sessionId/plan/:collection/:index', loadSession('editor'), requireCollection,
+        editCollection((session, req, author) => {
+            removePlanItem(session, req.params.collection, Number(req.params.index), { author });
+        }));
+}
+
+module.exports = {
+    PLAN_COLLECTIONS,
+    normalizeItem,
+    addPlanItem,
+    updatePlanItem,
+    removePlanItem,
+    reorderPlanItems,
+    markFieldEdited,
+    mergeExtractedData,
+    getEditedFields,
+    createPlanRoutes
+};
@@ -0,0 +1,290 @@
+// Timeline for the implementation plan: dates, durations, dependencies and
+// milestones on implementationSteps, scheduled into a Gantt chart with its
+// critical path.
+//
+// Steps depend on other steps by title. A step starts when everything it
+// depends on has finished, and no earlier than its own start date or
+// "Week N" timeline. Steps on the critical path have no slack: any delay to
+// them delays the whole plan.
+
+const { isDate } = require('./stage-schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Steps with no dates, duration or "Week N-M" timeline take a week
+const DEFAULT_DURATION_DAYS = 7;
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+    return formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to).getTime() - parseDate(from).getTime()) / DAY_MS);
+}
+
+// Steps match dependencies by title, ignoring case
+function stepKey(title) {
+    return String(title || '').trim().toLowerCase();
+}
+
+// "Week 3" or "Weeks 2-4" as days from the plan start and a duration
+function parseWeekRange(timeline) {
+    const match = /weeks?\s*(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/i.exec(timeline || '');
+    if (!match) {
+        return null;
+    }
+    const first = Number(match[1]);
+    const last = Math.max(first, Number(match[2] || match[1]));
+    return { offset: Math.max(0, first - 1) * 7, durationDays: (last - first + 1) * 7 };
+}
+
+function getDurationDays(step, weeks) {
+    if (step.milestone) {
+        return 0;
+    }
+    if (typeof step.durationDays === 'number') {
+        return step.durationDays;
+    }
+    if (step.startDate && step.endDate) {
+        return daysBetween(step.startDate, step.endDate) + 1;
+    }
+    return weeks ? weeks.durationDays : DEFAULT_DURATION_DAYS;
+}
+
+// Follow dependencies depth-first; returns the first cycle as a list of
+// titles ending where it started, or null
+function findCycle(steps, byKey) {
+    const state = new Map();
+    const path = [];
+
+    const visit = (step) => {
+        const key = stepKey(step.title);
+        if (state.get(key) === 'done') {
+            return null;
+        }
+        if (state.get(key) === 'visiting') {
+            const start = path.findIndex(title => stepKey(title) === key);
+            return [...path.slice(start), step.title];
+        }
+
+        state.set(key, 'visiting');
+        path.push(step.title);
+        for (const dependency of step.dependsOn || []) {
+            const next = byKey.get(stepKey(dependency));
+            const cycle = next ? visit(next) : null;
+            if (cycle) {
+                return cycle;
+            }
+        }
+        path.pop();
+        state.set(key, 'done');
+        return null;
+    };
+
+    for (const step of steps) {
+        const cycle = visit(step);
+        if (cycle) {
+            return cycle;
+        }
+    }
+    return null;
+}
+
+// Problems that stop the steps from being scheduled
+function findScheduleErrors(steps) {
+    const errors = [];
+    const byKey = new Map();
+
+    steps.forEach(step => {
+        const key = stepKey(step.title);
+        if (byKey.has(key)) {
+            errors.push(`Two steps are named "${step.title}"`);
+        }
+        byKey.set(key, step);
+    });
+
+    steps.forEach(step => {
+        (step.dependsOn || []).forEach(dependency => {
+            if (stepKey(dependency) === stepKey(step.title)) {
+                errors.push(`"${step.title}" depends on itself`);
+            } else if (!byKey.has(stepKey(dependency))) {
+                errors.push(`"${step.title}" depends on unknown step "${dependency}"`);
+            }
+        });
+        if (step.startDate && step.endDate && step.endDate < step.startDate) {
+            errors.push(`"${step.title}" ends before it starts`);
+        }
+    });
+
+    const cycle = errors.length === 0 ? findCycle(steps, byKey) : null;
+    if (cycle) {
+        errors.push(`Steps depend on each other in a cycle: ${cycle.join(' → ')}`);
+    }
+
+    return errors;
+}
+
+// Point dependencies on a renamed step at its new title
+function renameDependency(steps, previousTitle, title) {
+    steps.forEach(step => {
+        if (Array.isArray(step.dependsOn)) {
+            step.dependsOn = step.dependsOn.map(dependency =>
+                stepKey(dependency) === stepKey(previousTitle) ? title : dependency);
+        }
+    });
+}
+
+// Drop dependencies on a removed step
+function removeDependency(steps, title) {
+    steps.forEach(step => {
+        if (Array.isArray(step.dependsOn)) {
+            step.dependsOn = step.dependsOn.filter(dependency => stepKey(dependency) !== stepKey(title));
+            if (step.dependsOn.length === 0) {
+                delete step.dependsOn;
+            }
+        }
+    });
+}
+
+// Earliest of the plan start date and any step start date, else today
+function getProjectStart(planData, steps) {
+    const dates = steps.map(step => step.startDate).filter(Boolean);
+    if (planData.startDate) {
+        dates.push(planData.startDate);
+    }
+    return dates.length > 0 ? dates.sort()[0] : formatDate(new Date());
+}
+
+// Schedule the implementation steps. Days are counted from the project start;
+// a step occupies [start, start + duration).
+function buildTimeline(planData) {
+    const steps = planData.implementationSteps || [];
+    const startDate = getProjectStart(planData, steps);
+    const errors = findScheduleErrors(steps);
+    const timeline = {
+        startDate,
+        endDate: startDate,
+        durationDays: 0,
+        steps: [],
+        criticalPath: [],
+        warnings: [],
+        errors
+    };
+
+    if (errors.length > 0 || steps.length === 0) {
+        return timeline;
+    }
+
+    const byKey = new Map(steps.map((step, index) => [stepKey(step.title), index]));
+    const dependencies = steps.map(step => (step.dependsOn || []).map(title => byKey.get(stepKey(title))));
+    const durations = steps.map(step => getDurationDays(step, parseWeekRange(step.timeline)));
+
+    // Dependencies before dependents
+    const order = [];
+    const placed = new Set();
+    while (order.length < steps.length) {
+        steps.forEach((step, index) => {
+            if (!placed.has(index) && dependencies[index].every(dependency => placed.has(dependency))) {
+                placed.add(index);
+                order.push(index);
+            }
+        });
+    }
+
+    // Forward pass: earliest start and finish
+    const earliestStart = [];
+    const earliestFinish = [];
+    order.forEach(index => {
+        const step = steps[index];
+        const weeks = parseWeekRange(step.timeline);
+        const notBefore = step.startDate ? daysBetween(startDate, step.startDate) : (weeks ? weeks.offset : 0);
+        const blockers = dependencies[index].filter(dependency => earliestFinish[dependency] > notBefore);
+
+        if (step.startDate && blockers.length > 0) {
+            timeline.warnings.push(`"${step.title}" is set to start ${step.startDate} but ${blockers.map(dependency => `"${steps[dependency].title}"`).join(', ')} must finish first`);
+        }
+
+        earliestStart[index] = Math.max(notBefore, ...dependencies[index].map(dependency => earliestFinish[dependency]));
+        earliestFinish[index] = earliestStart[index] + durations[index];
+    });
+
+    const projectFinish = Math.max(...earliestFinish);
+
+    // Backward pass: latest finish without delaying the project
+    const latestFinish = [];
+    [...order].reverse().forEach(index => {
+        const dependents = steps
+            .map((step, other) => other)
+            .filter(other => dependencies[other].includes(index));
+        latestFinish[index] = Math.min(projectFinish, ...dependents.map(other => latestFinish[other] - durations[other]));
+    });
+
+    timeline.steps = steps.map((step, index) => {
+        const slackDays = latestFinish[index] - earliestFinish[index];
+        return {
+            index,
+            title: step.title,
+            owner: step.owner || null,
+            milestone: Boolean(step.milestone),
+            dependsOn: step.dependsOn || [],
+            startDate: addDays(startDate, earliestStart[index]),
+            // Inclusive last day; a milestone falls on its start date
+            endDate: addDays(startDate, Math.max(earliestStart[index], earliestFinish[index] - 1)),
+            durationDays: durations[index],
+            startOffset: earliestStart[index],
+            slackDays,
+            critical: slackDays === 0
+        };
+    });
+
+    timeline.criticalPath = timeline.steps
+        .filter(step => step.critical)
+        .sort((a, b) => a.startOffset - b.startOffset || a.index - b.index)
+        .map(step => step.title);
+    // A milestone after the last step falls the day after it
+    timeline.endDate = timeline.steps.map(step => step.endDate).sort().pop();
+    timeline.durationDays = daysBetween(startDate, timeline.endDate) + 1;
+
+    return timeline;
+}
+
+// Add the timeline routes to a router. `updateSession` applies a change to
+// the latest saved session; `publish` tells live collaborators.
+function createTimelineRoutes(router, { loadSession, updateSession, publish }) {
+    router.get('/sessions/:sessionId/timeline', loadSession('viewer'), (req, res) => {
+        res.json(buildTimeline(req.compasSession.stageData.implementation_plan));
+    });
+
+    // Set or clear (null) the date the plan starts
+    router.put('/sessions/:sessionId/timeline', loadSession('editor'), async (req, res) => {
+        const { startDate } = req.body || {};
+        if (startDate !== null && !isDate(startDate)) {
+            return res.status(400).json({ error: 'startDate must be a date (YYYY-MM-DD) or null' });
+        }
+
+        const result = await updateSession(req.params.sessionId, (session) => {
+            session.updateStageData('implementation_plan', { startDate });
+            return buildTimeline(session.stageData.implementation_plan);
+        });
+
+        publish(req, 'timeline', { ...result, author: { id: req.user.id, username: req.user.username } });
+        res.json(result);
+    });
+}
+
+module.exports = {
+    DEFAULT_DURATION_DAYS,
+    findScheduleErrors,
+    renameDependency,
+    removeDependency,
+    buildTimeline,
+    createTimelineRoutes
+};
@@ -1,17 +1,62 @@
+// Served by netlify/functions/simple-api in production and by server.js locally
+const API_BASE = '/.netlify/functions/simple-api';
+
+const STAGE_ORDER = ['context_discovery', 'objective_definition', 'method_ideation', 'method_selection', 'implementation_plan', 'scaling_learning', 'complete'];
+
 class COMPASNavigator {
     constructor() {
         this.sessionId = null;
+        this.user = null;
+        this.shareToken = null;
+        // What the server can do (GET /capabilities); assume the least until it answers
+        this.capabilities = { streaming: false, liveEvents: false };
+        // Live co-coaching: the session's event stream and who is typing
+        this.liveEvents = null;
+        this.connectionId = null;
+        this.typingUsers = new Map();
+        this.typingSentAt = 0;
+        this.typingTimer = null;
+        this.remoteReplyId = null;
+        // Plan editor: editable lists by name, and the item being edited
+        this.plan = {};
+        this.planForm = null;
+        this.readOnly = false;
+        // Method comparison matrix from the server
+        this.scoring = null;
+        this.timeline = null;
+        this.assessment = null;
+        this.grantProposal = null;
+        // Iterations: this session's place among the versions of its challenge
+        this.lineage = null;
+        this.versions = [];
+        this.stageOrder = null;
         this.currentStage = 'context_discovery';
+        this.stageData = {};
         this.artifacts = [];
         this.initializeApp();
     }
 
     async initializeApp() {
+        await this.loadCapabilities();
+        
+        // Read-only share links (?share=...) work without an account
+        const shareToken = new URLSearchParams(window.location.search).get('share');
+        if (shareToken) {
+            await this.showSharedSession(shareToken);
+            return;
+        }
+        
+        // Sessions belong to a user, so sign in first
+        this.user = await this.fetchCurrentUser() || await this.showAuthModal();
+        
         // Show welcome modal
         this.showWelcomeModal();
         
         // Create new session
         await this.createSession();
+        await this.setupUserBar();
+        this.connectLiveUpdates();
+        this.loadSidePanels();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -20,13 +65,337 @@ class COMPASNavigator {
         this.updateProgressBar();
     }
 
+    async fetchCurrentUser() {
+        const response = await fetch(`${API_BASE}/auth/me`);
+        if (!response.ok) return null;
+        
+        const data = await response.json();
+        return data.user;
+    }
+
+    // Resolves with the user once they log in or create an account
+    showAuthModal() {
+        const modal = document.getElementById('authModal');
+        const errorElement = document.getElementById('authError');
+        modal.style.display = 'block';
+        
+        return new Promise(resolve => {
+            document.getElementById('authForm').addEventListener('submit', async (event) => {
+                event.preventDefault();
+                const mode = (event.submitter && event.submitter.dataset.mode) || 'login';
+                errorElement.textContent = '';
+                
+                try {
+                    const response = await fetch(`${API_BASE}/auth/${mode}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            username: document.getElementById('authUsername').value,
+                            password: document.getElementById('authPassword').value
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (!response.ok) {
+                        errorElement.textContent = (data.errors || [data.error]).join(' ');
+                        return;
+                    }
+                    
+                    modal.style.display = 'none';
+                    resolve(data.user);
+                } catch (error) {
+                    console.error('Sign-in failed:', error);
+                    errorElement.textContent = 'Could not reach the server. Please try again.';
+                }
+            });
+        });
+    }
+
+    // Show the signed-in user with a picker of their earlier sessions
+    async setupUserBar() {
+        document.getElementById('userBar').style.display = 'flex';
+        document.getElementById('userName').textContent = this.user.username;
+        
+        document.getElementById('logoutBtn').addEventListener('click', async () => {
+            await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+            window.location.reload();
+        });
+        document.getElementById('newSessionBtn').addEventListener('click', () => window.location.reload());
+        document.getElementById('shareBtn').addEventListener('click', () => this.createShareLink());
+        document.getElementById('inviteBtn').addEventListener('click', () => this.inviteCollaborator());
+        
+        const select = document.getElementById('sessionSelect');
+        select.addEventListener('change', () => this.resumeSession(select.value));
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions`);
+            const data = await response.json();
+            
+            // Empty sessions are just abandoned page loads
+            const sessions = data.sessions.filter(s => s.messageCount > 0 || s.sessionId === this.sessionId);
+            select.innerHTML = '';
+            sessions.forEach(s => {
+                const option = document.createElement('option');
+                option.value = s.sessionId;
+                option.textContent = s.sessionId === this.sessionId
+                    ? 'Current session'
+                    : `${s.title.slice(0, 40)}${s.version > 1 ? ` v${s.version}` : ''} (${this.stageLabel(s.stage)}, ${new Date(s.lastActivityAt).toLocaleDateString()})`;
+                option.selected = s.sessionId === this.sessionId;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+    }
+
+    // Reopen one of the user's earlier sessions
+    async resumeSession(sessionId) {
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${sessionId}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            
+            this.sessionId = data.sessionId;
+            this.stageData = data.allStageData || {};
+            this.stageOrder = data.stageOrder || null;
+            this.lineage = data.lineage || null;
+            this.currentStage = data.stage;
+            
+            document.getElementById('chatMessages').innerHTML = '';
+            data.conversationHistory.forEach(msg => {
+                const contentDiv = this.addMessage(msg.role, msg.content, msg.author);
+                if (msg.role === 'assistant') {
+                    this.renderCitations(contentDiv, msg.citations);
+                }
+            });
+            
+            this.updateProgressBar();
+            document.getElementById('generateReportBtn').disabled = data.stage !== 'complete';
+            this.updateArtifactsDisplay(data.artifacts || []);
+            this.updateOutcomePreview(data);
+            this.setReadOnly(data.role === 'viewer');
+            this.connectLiveUpdates();
+            this.loadSidePanels();
+        } catch (error) {
+            console.error('Failed to resume session:', error);
+            this.showError('Failed to load that session.');
+        }
+    }
+
+    // Follow collaborators' messages, stage changes, uploads and typing
+    connectLiveUpdates() {
+        // Serverless deployments cannot hold event streams open
+        if (!this.capabilities.liveEvents) return;
+        if (this.liveEvents) this.liveEvents.close();
+        this.connectionId = null;
+        this.typingUsers.clear();
+        this.renderTypingStatus();
+        
+        const events = new EventSource(`${this.sessionUrl()}/events`);
+        const on = (type, handler) => events.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+        
+        on('connected', (data) => {
+            this.connectionId = data.connectionId;
+            this.renderPresence(data.participants);
+        });
+        on('presence', (data) => this.renderPresence(data.participants));
+        on('message', (data) => this.showRemoteMessage(data.message));
+        on('stage', (data) => {
+            this.stageData = data.sessionState.allStageData || this.stageData;
+            this.applyStageChange(data.stage);
+            this.updateOutcomePreview(data.sessionState);
+        });
+        on('plan', (data) => {
+            this.plan[data.collection] = data;
+            this.renderPlanEditor();
+            if (data.collection === 'implementationSteps') this.loadTimeline();
+            if (data.collection === 'performanceMeasures') this.loadAssessment();
+        });
+        on('scoring', (data) => {
+            this.scoring = data;
+            this.renderScoring();
+        });
+        on('timeline', (data) => {
+            this.timeline = data;
+            this.renderTimeline();
+        });
+        on('assessment', (data) => {
+            this.assessment = data;
+            this.renderAssessment();
+        });
+        on('grantProposal', (data) => {
+            this.grantProposal = data;
+            this.renderGrantProposal();
+        });
+        on('artifact', (data) => {
+            this.updateArtifactsDisplay([...this.artifacts, data.artifact]);
+            const uploader = data.artifact.uploadedBy ? data.artifact.uploadedBy.username : 'A collaborator';
+            this.showNotification(`${uploader} uploaded "${data.artifact.filename}".`, 'info');
+        });
+        on('typing', (data) => {
+            if (data.typing) {
+                this.typingUsers.set(data.user.id, data.user.username);
+            } else {
+                this.typingUsers.delete(data.user.id);
+            }
+            this.renderTypingStatus();
+        });
+        
+        this.liveEvents = events;
+    }
+
+    // Headers that tell the server which event stream this tab is, so it
+    // does not echo our own changes back to us
+    liveHeaders(headers = {}) {
+        return this.connectionId ? { ...headers, 'X-Connection-Id': this.connectionId } : headers;
+    }
+
+    // A message sent by a collaborator, or the coach's reply to one
+    showRemoteMessage(message) {
+        if (message.role === 'user') {
+            this.typingUsers.delete(message.author.id);
+            this.renderTypingStatus();
+            this.addMessage('user', message.content, message.author);
+            if (!this.remoteReplyId) {
+                this.remoteReplyId = this.showTypingIndicator();
+            }
+            return;
+        }
+        
+        if (this.remoteReplyId) {
+            this.removeTypingIndicator(this.remoteReplyId);
+            this.remoteReplyId = null;
+        }
+        const contentDiv = this.addMessage('assistant', message.content);
+        this.renderCitations(contentDiv, message.citations);
+        this.loadSidePanels();
+    }
+
+    renderPresence(participants) {
+        const others = participants.filter(p => !this.user || p.id !== this.user.id);
+        const presence = document.getElementById('presenceStatus');
+        presence.textContent = others.length > 0 ? `Also here: ${others.map(p => p.username).join(', ')}` : '';
+    }
+
+    renderTypingStatus() {
+        const names = Array.from(this.typingUsers.values());
+        document.getElementById('typingStatus').textContent = names.length === 0
+            ? ''
+            : `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} typing…`;
+    }
+
+    // Let collaborators know we are typing, at most every few seconds, and
+    // that we stopped once the input has been idle for a while
+    notifyTyping(typing = true) {
+        if (!this.sessionId || this.shareToken || !this.capabilities.liveEvents) return;
+        clearTimeout(this.typingTimer);
+        
+        const now = Date.now();
+        if (typing && now - this.typingSentAt < 3000) {
+            this.typingTimer = setTimeout(() => this.notifyTyping(false), 4000);
+            return;
+        }
+        
+        this.typingSentAt = typing ? now : 0;
+        if (typing) {
+            this.typingTimer = setTimeout(() => this.notifyTyping(false), 4000);
+        }
+        
+        fetch(`${API_BASE}/sessions/${this.sessionId}/typing`, {
+            method: 'POST',
+            headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ typing })
+        }).catch(error => console.error('Failed to send typing status:', error));
+    }
+
+    // Base URL of the current session's API, or of the share link being viewed
+    sessionUrl() {
+        return this.shareToken
+            ? `${API_BASE}/shared/${encodeURIComponent(this.shareToken)}`
+            : `${API_BASE}/sessions/${this.sessionId}`;
+    }
+
+    // Viewers can read, generate reports and export, but not chat
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.renderPlanEditor();
+        this.renderScoring();
+        this.renderTimeline();
+        this.renderAssessment();
+        this.renderGrantProposal();
+        document.querySelector('.chat-input-container').style.display = readOnly ? 'none' : '';
+        document.querySelector('.upload-section').style.display = readOnly ? 'none' : '';
+    }
+
+    // Board members opening a share link see the report, read-only
+    async showSharedSession(shareToken) {
+        this.shareToken = shareToken;
+        this.setupEventListeners();
+        this.setReadOnly(true);
+        document.getElementById('planEditor').style.display = 'none';
+        document.getElementById('methodScoring').style.display = 'none';
+        document.getElementById('timelinePanel').style.display = 'none';
+        document.getElementById('assessmentPanel').style.display = 'none';
+        document.getElementById('lineageBar').style.display = 'none';
+        
+        const response = await fetch(`${this.sessionUrl()}`);
+        if (!response.ok) {
+            this.showError('This share link is invalid or has expired.');
+            return;
+        }
+        
+        const data = await response.json();
+        this.currentStage = data.stage;
+        this.stageData = data.allStageData || {};
+        this.stageOrder = data.stageOrder || null;
+        this.updateProgressBar();
+        document.getElementById('chatMessages').innerHTML = '';
+        document.getElementById('generateReportBtn').disabled = false;
+        await this.generateReport();
+    }
+
+    async createShareLink() {
+        const response = await fetch(`${this.sessionUrl()}/share-links`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            this.showError(data.error || 'Failed to create share link.');
+            return;
+        }
+        
+        const url = `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(data.token)}`;
+        prompt(`Read-only link (expires ${new Date(data.shareLink.expiresAt).toLocaleDateString()}). Copy it now, it is only shown once:`, url);
+    }
+
+    async inviteCollaborator() {
+        const username = prompt('Username of the colleague to invite:');
+        if (!username) return;
+        const role = prompt('Their role on this session? (editor/viewer)', 'editor');
+        
+        const response = await fetch(`${this.sessionUrl()}/collaborators`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, role: role || 'editor' })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            this.showError(data.error || 'Failed to invite collaborator.');
+            return;
+        }
+        this.showNotification(`${username} can now open this session as ${role || 'editor'}.`, 'success');
+    }
+
     showWelcomeModal() {
         document.getElementById('welcomeModal').style.display = 'block';
     }
 
     async createSession() {
         try {
-            const response = await fetch('/.netlify/functions/simple-api/sessions', {
+            const response = await fetch(`${API_BASE}/sessions`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
@@ -51,6 +420,7 @@ class COMPASNavigator {
                 this.sendMessage();
             }
         });
+        messageInput.addEventListener('input', () => this.notifyTyping());
 
         // File upload
         const fileInput = document.getElementById('fileInput');
@@ -69,6 +439,19 @@ class COMPASNavigator {
             btn.addEventListener('click', (e) => this.exportReport(e.target.dataset.format));
         });
 
+        // Plan editor and method comparison
+        this.setupPlanEditor();
+        this.setupMethodScoring();
+        this.setupTimeline();
+        this.setupAssessment();
+        this.setupGrantProposal();
+        this.setupLineage();
+
+        // Stage navigation from the progress bar
+        document.querySelectorAll('.progress-step').forEach(step => {
+            step.addEventListener('click', () => this.handleStageClick(step.dataset.stage));
+        });
+
         // Modal close
         document.querySelector('.close').addEventListener('click', () => {
             document.getElementById('exportModal').style.display = 'none';
@@ -92,43 +475,45 @@ class COMPASNavigator {
         
         // Clear input
         messageInput.value = '';
+        this.notifyTyping(false);
+        
+        // Show typing indicator until the first token arrives
+        let typingId = this.showTypingIndicator();
         
         try {
-            // Show typing indicator
-            const typingId = this.showTypingIndicator();
+            let reply = '';
+            let contentDiv = null;
             
-            const response = await fetch(`/.netlify/functions/simple-api/sessions/${this.sessionId}/chat`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message })
-            });
+            const onToken = (token) => {
+                if (typingId) {
+                    this.removeTypingIndicator(typingId);
+                    typingId = null;
+                    contentDiv = this.addMessage('assistant', '');
+                }
+                reply += token;
+                this.renderStreamedReply(contentDiv, reply);
+            };
             
-            const data = await response.json();
+            const data = this.capabilities.streaming
+                ? await this.streamChat(message, onToken)
+                : await this.postChat(message);
             
-            // Remove typing indicator
-            this.removeTypingIndicator(typingId);
+            if (typingId) {
+                this.removeTypingIndicator(typingId);
+                contentDiv = this.addMessage('assistant', '');
+            }
             
-            // Add assistant response
-            this.addMessage('assistant', data.message);
+            // Render the final stored reply once streaming finishes
+            this.renderStreamedReply(contentDiv, data.message);
+            this.renderCitations(contentDiv, data.citations);
             
-            // Update stage if changed
-            if (data.stage !== this.currentStage) {
-                const oldStage = this.currentStage;
-                this.currentStage = data.stage;
-                this.updateProgressBar();
-                this.showMilestone(data.stage, oldStage);
-                
-                // Show artifact basket when needed
-                if (data.stage === 'context_discovery' || data.stage === 'objective_definition') {
-                    document.getElementById('artifactBasket').style.display = 'block';
-                }
-                
-                // Enable report generation if complete
-                if (data.stage === 'complete') {
-                    document.getElementById('generateReportBtn').disabled = false;
-                }
+            if (data.sessionState) {
+                this.stageData = data.sessionState.allStageData || this.stageData;
             }
             
+            // Update stage if changed
+            this.applyStageChange(data.stage);
+            
             // Display stage progress information
             if (data.stageAnalysis) {
                 this.displayStageProgress(data.stageAnalysis);
@@ -149,10 +534,15 @@ class COMPASNavigator {
                 this.updateArtifactsDisplay(data.sessionState.artifacts);
             }
             
+            // The coach may have captured new plan items
+            this.loadSidePanels();
+            
         } catch (error) {
             console.error('Failed to send message:', error);
             this.showError('Failed to send message. Please try again.');
         } finally {
+            if (typingId) this.removeTypingIndicator(typingId);
+            
             // Re-enable input
             messageInput.disabled = false;
             const sendButton = document.getElementById('sendButton');
@@ -162,130 +552,237 @@ class COMPASNavigator {
         }
     }
 
-    addMessage(role, content) {
-        const chatMessages = document.getElementById('chatMessages');
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${role}`;
+    applyStageChange(stage) {
+        if (stage === this.currentStage) {
+            this.updateProgressBar();
+            return;
+        }
         
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
+        const oldStage = this.currentStage;
+        this.currentStage = stage;
+        this.updateProgressBar();
+        this.showMilestone(stage, oldStage);
         
-        // Format content based on role
-        if (role === 'assistant') {
-            contentDiv.innerHTML = this.formatMessage(content);
-        } else {
-            contentDiv.textContent = content;
+        // Show artifact basket when needed
+        if (stage === 'context_discovery' || stage === 'objective_definition') {
+            document.getElementById('artifactBasket').style.display = 'block';
         }
         
-        messageDiv.appendChild(contentDiv);
-        chatMessages.appendChild(messageDiv);
-        
-        // Scroll to bottom
-        chatMessages.scrollTop = chatMessages.scrollHeight;
+        // Report generation, assessment and grant sections are only
+        // available once the plan is complete
+        document.getElementById('generateReportBtn').disabled = stage !== 'complete';
+        this.renderAssessment();
+        this.loadGrantProposal();
     }
 
-    formatMessage(content) {
-        // Escape HTML first to prevent XSS
-        const escapeHtml = (text) => {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
-        };
+    // Clicking a progress step goes back to it, advances the current stage
+    // now, or skips ahead to it
+    async handleStageClick(stage) {
+        const targetIndex = STAGE_ORDER.indexOf(stage);
+        const currentIndex = STAGE_ORDER.indexOf(this.displayStage(this.currentStage));
+        const label = this.stageLabel(stage);
         
-        let formatted = escapeHtml(content);
-        
-        // Convert markdown-style formatting to HTML
-        
-        // Bold text (**text** or __text__)
-        formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-        formatted = formatted.replace(/__(.*?)__/g, '<strong>$1</strong>');
-        
-        // Italic text (*text* or _text_)
-        formatted = formatted.replace(/\*(.*?)\*/g, '<em>$1</em>');
-        formatted = formatted.replace(/_(.*?)_/g, '<em>$1</em>');
+        if (targetIndex < currentIndex) {
+            if (confirm(`Go back to ${label}? Later stages will be marked for review.`)) {
+                await this.navigateStage('reopen', stage);
+            }
+        } else if (targetIndex === currentIndex) {
+            if (this.currentStage !== 'complete' && confirm(`Mark ${this.stageLabel(this.currentStage)} complete and move on now?`)) {
+                await this.navigateStage('advance');
+            }
+        } else if (confirm(`Skip ahead to ${label}? Skipped stages stay incomplete.`)) {
+            await this.navigateStage('skip', stage);
+        }
+    }
+
+    async navigateStage(action, stage) {
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/stage/${action}`, {
+                method: 'POST',
+                headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ stage })
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            
+            this.stageData = data.sessionState.allStageData;
+            this.stageOrder = data.sessionState.stageOrder;
+            this.applyStageChange(data.stage);
+            this.updateOutcomePreview(data.sessionState);
+        } catch (error) {
+            console.error('Failed to change stage:', error);
+            this.showError(`Could not change stage: ${error.message}`);
+        }
+    }
+
+    // The progress bar shows ideation and selection as one step
+    displayStage(stage) {
+        return stage === 'method_selection' ? 'method_ideation' : stage;
+    }
+
+    stageLabel(stage) {
+        const step = document.querySelector(`.progress-step[data-stage="${this.displayStage(stage)}"] .step-label`);
+        return step ? step.textContent : stage.replace(/_/g, ' ');
+    }
+
+    async loadCapabilities() {
+        try {
+            const response = await fetch(`${API_BASE}/capabilities`);
+            if (response.ok) {
+                this.capabilities = { ...this.capabilities, ...await response.json() };
+            }
+        } catch (error) {
+            console.error('Failed to load server capabilities:', error);
+        }
+    }
+    
+    // POST a chat message and wait for the whole reply, where the server
+    // buffers responses and cannot stream
+    async postChat(message) {
+        const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/chat`, {
+            method: 'POST',
+            headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ message })
+        });
         
-        // Headers (## Header)
-        formatted = formatted.replace(/^### (.*$)/gm, '<h4>$1</h4>');
-        formatted = formatted.replace(/^## (.*$)/gm, '<h3>$1</h3>');
-        formatted = formatted.replace(/^# (.*$)/gm, '<h2>$1</h2>');
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Chat failed: ${response.statusText}`);
+        }
         
-        // Code blocks (```code```)
-        formatted = formatted.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
+        return data;
+    }
+    
+    // POST a chat message and read the Server-Sent Events reply.
+    // Calls onToken for each streamed fragment and resolves with the `done` payload.
+    async streamChat(message, onToken) {
+        const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/chat/stream`, {
+            method: 'POST',
+            headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ message })
+        });
         
-        // Inline code (`code`)
-        formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
+        if (!response.ok || !response.body) {
+            throw new Error(`Chat failed: ${response.statusText}`);
+        }
         
-        // Process line breaks first
-        const lines = formatted.split('\n');
-        const processedLines = [];
-        let inList = false;
-        let listType = null;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
             
-            // Check for numbered list items
-            if (/^\d+\.\s+/.test(line)) {
-                const match = line.match(/^(\d+\.\s+)(.*)$/);
-                if (match) {
-                    if (!inList || listType !== 'numbered') {
-                        if (inList) processedLines.push(`</${listType === 'numbered' ? 'ol' : 'ul'}>`);
-                        processedLines.push('<ol class="formatted-list">');
-                        inList = true;
-                        listType = 'numbered';
-                    }
-                    processedLines.push(`<li class="numbered-item"><span class="list-number">${match[1]}</span>${match[2]}</li>`);
-                    continue;
-                }
-            }
+            buffer += decoder.decode(value, { stream: true });
             
-            // Check for bullet list items
-            if (/^[-*]\s+/.test(line)) {
-                const match = line.match(/^[-*]\s+(.*)$/);
-                if (match) {
-                    if (!inList || listType !== 'bullet') {
-                        if (inList) processedLines.push(`</${listType === 'numbered' ? 'ol' : 'ul'}>`);
-                        processedLines.push('<ul class="formatted-list">');
-                        inList = true;
-                        listType = 'bullet';
-                    }
-                    processedLines.push(`<li class="bullet-item">${match[1]}</li>`);
-                    continue;
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                
+                const event = this.parseServerEvent(rawEvent);
+                if (event.type === 'token') {
+                    onToken(event.data.token);
+                } else if (event.type === 'done') {
+                    result = event.data;
+                } else if (event.type === 'error') {
+                    throw new Error(event.data.error);
                 }
             }
-            
-            // If we were in a list and this line doesn't continue it, close the list
-            if (inList && line !== '') {
-                processedLines.push(`</${listType === 'numbered' ? 'ol' : 'ul'}>`);
-                inList = false;
-                listType = null;
-            }
-            
-            // Add regular line
-            if (line !== '' || !inList) {
-                processedLines.push(line);
-            }
         }
         
-        // Close any remaining list
-        if (inList) {
-            processedLines.push(`</${listType === 'numbered' ? 'ol' : 'ul'}>`);
+        if (!result) {
+            throw new Error('Chat stream ended unexpectedly');
         }
         
-        formatted = processedLines.join('\n');
+        return result;
+    }
+    
+    parseServerEvent(rawEvent) {
+        let type = 'message';
+        const dataLines = [];
+        
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+        
+        return { type, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : {} };
+    }
+    
+    renderStreamedReply(contentDiv, content) {
+        contentDiv.innerHTML = this.formatMessage(content);
+        
+        const chatMessages = document.getElementById('chatMessages');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    // List the artifact passages a reply cites underneath it
+    renderCitations(contentDiv, citations) {
+        if (!citations || citations.length === 0) return;
+        
+        const describeLocation = (location = {}) => {
+            if (location.page) return `page ${location.page}`;
+            if (location.rows) return `rows ${location.rows[0]}-${location.rows[1]}`;
+            if (location.lines) return `lines ${location.lines[0]}-${location.lines[1]}`;
+            return 'whole document';
+        };
+        
+        const sourcesDiv = document.createElement('div');
+        sourcesDiv.className = 'message-sources';
+        sourcesDiv.textContent = 'Sources: ' + citations
+            .map(c => `[${c.ref}] ${c.filename}, ${describeLocation(c.location)}`)
+            .join(' • ');
+        contentDiv.appendChild(sourcesDiv);
+    }
+
+    // `author` names who wrote a user message in shared sessions; our own
+    // messages are not labelled
+    addMessage(role, content, author = null) {
+        const chatMessages = document.getElementById('chatMessages');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${role}`;
         
-        // Convert double line breaks to paragraph breaks
-        formatted = formatted.replace(/\n\n+/g, '</p><p>');
+        if (author && (!this.user || author.id !== this.user.id)) {
+            const authorDiv = document.createElement('div');
+            authorDiv.className = 'message-author';
+            authorDiv.textContent = author.username;
+            messageDiv.appendChild(authorDiv);
+            messageDiv.classList.add('from-collaborator');
+        }
         
-        // Convert single line breaks to <br> (but not within lists)
-        formatted = formatted.replace(/\n(?![<\/])/g, '<br>');
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
         
-        // Wrap in paragraphs if needed
-        if (!formatted.includes('<p>') && !formatted.includes('<h') && !formatted.includes('<ul') && !formatted.includes('<ol') && !formatted.includes('<pre>')) {
-            formatted = `<p>${formatted}</p>`;
+        // Format content based on role
+        if (role === 'assistant') {
+            contentDiv.innerHTML = this.formatMessage(content);
+        } else {
+            contentDiv.textContent = content;
         }
         
-        return formatted;
+        messageDiv.appendChild(contentDiv);
+        chatMessages.appendChild(messageDiv);
+        
+        // Scroll to bottom
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        
+        return contentDiv;
+    }
+
+    // Coach replies and reports are Markdown, rendered exactly as in the PDF
+    // export (see markdown.js)
+    formatMessage(content) {
+        return COMPASMarkdown.renderMarkdown(content);
     }
 
     showTypingIndicator() {
@@ -315,11 +812,19 @@ class COMPASNavigator {
     }
 
     updateProgressBar() {
-        const stages = ['context_discovery', 'objective_definition', 'method_ideation', 'method_selection', 'implementation_plan', 'complete'];
-        const currentIndex = stages.indexOf(this.currentStage);
+        const currentIndex = STAGE_ORDER.indexOf(this.displayStage(this.currentStage));
         
-        document.querySelectorAll('.progress-step').forEach((step, index) => {
+        // Scaling & Learning is only part of iterations of a completed plan
+        const iterating = Boolean(this.stageOrder && this.stageOrder.includes('scaling_learning'));
+        document.querySelector('.progress-step[data-stage="scaling_learning"]').style.display = iterating ? '' : 'none';
+        document.querySelector('.progress-step[data-stage="complete"] .step-number').textContent = iterating ? '6' : '5';
+        
+        document.querySelectorAll('.progress-step').forEach(step => {
             const statusElement = step.querySelector('.step-status');
+            const index = STAGE_ORDER.indexOf(step.dataset.stage);
+            const isStale = this.stageData[step.dataset.stage] && this.stageData[step.dataset.stage].stale;
+            
+            step.classList.toggle('stale', !!isStale && index > currentIndex);
             
             if (index < currentIndex) {
                 step.classList.add('completed');
@@ -331,7 +836,7 @@ class COMPASNavigator {
                 if (statusElement) statusElement.textContent = 'In Progress';
             } else {
                 step.classList.remove('active', 'completed');
-                if (statusElement) statusElement.textContent = 'Pending';
+                if (statusElement) statusElement.textContent = isStale ? 'Needs review' : 'Pending';
             }
         });
     }
@@ -343,18 +848,17 @@ class COMPASNavigator {
         const formData = new FormData();
         formData.append('file', file);
         
-        // Get additional metadata
+        // Get additional metadata. Sensitivity comes from the server's PII scan.
         const owner = prompt('Who owns this file?', 'Unknown');
-        const sensitivity = prompt('What is the sensitivity level? (normal/high)', 'normal');
         const source = prompt('What is the source of this file?', 'Manual upload');
         
         formData.append('owner', owner || 'Unknown');
-        formData.append('sensitivity', sensitivity || 'normal');
         formData.append('source', source || 'Manual upload');
         
         try {
-            const response = await fetch(`/.netlify/functions/simple-api/sessions/${this.sessionId}/upload`, {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/upload`, {
                 method: 'POST',
+                headers: this.liveHeaders(),
                 body: formData
             });
             
@@ -363,7 +867,9 @@ class COMPASNavigator {
             if (data.artifact) {
                 this.artifacts.push(data.artifact);
                 this.updateArtifactsDisplay(this.artifacts);
-                this.addMessage('assistant', `File "${file.name}" has been successfully uploaded and added to the artifact basket.`);
+                this.addMessage('assistant', `File "${file.name}" has been successfully uploaded and added to the artifact basket. ${this.describePIIScan(data.artifact.pii)}`);
+            } else {
+                this.showError(`Could not upload the file: ${data.error || response.statusText}`);
             }
         } catch (error) {
             console.error('Failed to upload file:', error);
@@ -374,6 +880,19 @@ class COMPASNavigator {
         event.target.value = '';
     }
 
+    describePIIScan(pii) {
+        if (!pii) return 'Its content could not be scanned for personal data.';
+        if (pii.total === 0) return 'No personal data was found.';
+        
+        const labels = { ssn: 'SSN', email: 'email', creditCard: 'card number', phone: 'phone', ipAddress: 'IP address' };
+        const found = Object.keys(labels)
+            .filter(type => pii.findings[type] > 0)
+            .map(type => `${pii.findings[type]} ${labels[type]}`)
+            .join(', ');
+        
+        return `Personal data found (${found}); it was marked **high** sensitivity and only a redacted copy is shared with the coach.`;
+    }
+
     updateArtifactsDisplay(artifacts) {
         this.artifacts = artifacts;
         const artifactList = document.getElementById('artifactList');
@@ -386,9 +905,11 @@ class COMPASNavigator {
         artifactList.innerHTML = artifacts.map(artifact => `
             <div class="artifact-item">
                 <div class="artifact-info">
-                    <div class="artifact-name">${artifact.filename}</div>
+                    <div class="artifact-name">
+                        <a href="${API_BASE}/sessions/${this.sessionId}/artifacts/${artifact.id}/download">${this.escapeHtml(artifact.filename)}</a>
+                    </div>
                     <div class="artifact-meta">
-                        ${artifact.owner} • ${artifact.sensitivity} • ${this.formatFileSize(artifact.size)}
+                        ${this.escapeHtml(artifact.owner)} • ${this.escapeHtml(artifact.sensitivity)}${artifact.pii && artifact.pii.redacted ? ' (redacted)' : ''} • ${this.formatFileSize(artifact.size)}
                     </div>
                 </div>
                 <button class="remove-artifact" onclick="navigator.removeArtifact('${artifact.id}')">×</button>
@@ -401,6 +922,764 @@ class COMPASNavigator {
         this.updateArtifactsDisplay(this.artifacts);
     }
 
+    // Refresh the plan editor, method comparison, timeline, assessment and
+    // grant sections after the coach may have captured something new
+    loadSidePanels() {
+        this.loadPlan();
+        this.loadScoring();
+        this.loadTimeline();
+        this.loadAssessment();
+        this.loadGrantProposal();
+        this.loadLineage();
+    }
+
+    async loadPlan() {
+        if (!this.sessionId || this.shareToken) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/plan`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            
+            this.plan = {};
+            data.collections.forEach(section => {
+                this.plan[section.collection] = section;
+            });
+            this.renderPlanEditor();
+        } catch (error) {
+            console.error('Failed to load plan:', error);
+        }
+    }
+
+    // One line per plan item: the name, then its other fields
+    describePlanItem(section, item) {
+        if (!section.fields) return this.escapeHtml(item);
+        
+        const [keyField] = section.required;
+        const details = section.fields
+            .filter(field => field !== keyField && item[field] && !(Array.isArray(item[field]) && item[field].length === 0))
+            .map(field => {
+                if (item[field] === true) return field;
+                const value = Array.isArray(item[field]) ? item[field].join(', ') : item[field];
+                return `${field}: ${this.escapeHtml(String(value))}`;
+            });
+        return `<strong>${this.escapeHtml(item[keyField])}</strong>${details.length ? `<br><small>${details.join(' · ')}</small>` : ''}`;
+    }
+
+    renderPlanForm(section, index) {
+        const item = index === null ? null : section.items[index];
+        const fields = section.fields || ['text'];
+        const types = section.fieldTypes || {};
+        const options = section.fieldOptions || {};
+        const valueOf = (field) => {
+            if (!item) return '';
+            const value = section.fields ? item[field] : item;
+            if (value === undefined || value === null) return '';
+            return this.escapeHtml(String(Array.isArray(value) ? value.join(', ') : value));
+        };
+        
+        // Steps are usually owned by one of the stakeholders
+        const stakeholders = this.plan.stakeholders ? this.plan.stakeholders.items : [];
+        const input = (field) => {
+            const required = field === fields[0] ? 'required' : '';
+            if (options[field]) {
+                return `<select name="${field}">
+                    <option value="">${field}</option>
+                    ${options[field].map(option => `<option value="${option}" ${item && item[field] === option ? 'selected' : ''}>${option}</option>`).join('')}
+                </select>`;
+            }
+            if (types[field] === 'boolean') {
+                return `<label class="plan-checkbox"><input type="checkbox" name="${field}" ${item && item[field] ? 'checked' : ''}> ${field}</label>`;
+            }
+            if (types[field] === 'date') {
+                return `<label class="plan-date">${field} <input type="date" name="${field}" value="${valueOf(field)}"></label>`;
+            }
+            if (types[field] === 'number') {
+                return `<input type="number" name="${field}" min="0" step="1" value="${valueOf(field)}" placeholder="${field}">`;
+            }
+            const placeholder = section.fields ? field : section.label.replace(/s$/, '');
+            return `<input name="${field}" value="${valueOf(field)}"
+                placeholder="${types[field] === 'array' ? `${placeholder} (comma-separated)` : placeholder}"
+                ${field === 'owner' && stakeholders.length ? `list="ownerOptions-${section.collection}"` : ''} ${required}>`;
+        };
+        
+        return `
+            <form class="plan-item-form" data-collection="${section.collection}" data-index="${index === null ? '' : index}">
+                ${fields.map(input).join('')}
+                ${fields.includes('owner') && stakeholders.length ? `
+                    <datalist id="ownerOptions-${section.collection}">
+                        ${stakeholders.map(name => `<option value="${this.escapeHtml(name)}">`).join('')}
+                    </datalist>
+                ` : ''}
+                <div class="plan-form-actions">
+                    <button type="submit" class="plan-btn">Save</button>
+                    <button type="button" class="plan-btn" data-action="cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderPlanEditor() {
+        const container = document.getElementById('planSections');
+        const sections = Object.values(this.plan);
+        if (sections.length === 0) return;
+        
+        const isEditing = (collection, index) =>
+            this.planForm && this.planForm.collection === collection && this.planForm.index === index;
+        
+        container.innerHTML = sections.map(section => `
+            <div class="plan-section">
+                <h4>
+                    ${section.label}
+                    ${section.edited ? `<span class="plan-edited" title="Edited by ${this.escapeHtml(section.edited.editedBy || 'a user')}">edited</span>` : ''}
+                </h4>
+                <ul class="plan-items">
+                    ${section.items.map((item, index) => `
+                        <li class="plan-item">
+                            ${isEditing(section.collection, index) ? this.renderPlanForm(section, index) : `
+                                <div class="plan-item-text">${this.describePlanItem(section, item)}</div>
+                                ${this.readOnly ? '' : `
+                                    <div class="plan-item-actions" data-collection="${section.collection}" data-index="${index}">
+                                        <button class="plan-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                                        <button class="plan-btn" data-action="down" title="Move down" ${index === section.items.length - 1 ? 'disabled' : ''}>↓</button>
+                                        <button class="plan-btn" data-action="edit" title="Edit">✎</button>
+                                        <button class="plan-btn" data-action="delete" title="Delete">×</button>
+                                    </div>
+                                `}
+                            `}
+                        </li>
+                    `).join('')}
+                </ul>
+                ${this.readOnly ? '' : isEditing(section.collection, null)
+                    ? this.renderPlanForm(section, null)
+                    : `<div class="plan-item-actions" data-collection="${section.collection}"><button class="plan-btn" data-action="add">+ Add</button></div>`}
+            </div>
+        `).join('');
+    }
+
+    // Handle the plan editor's buttons and forms
+    setupPlanEditor() {
+        const container = document.getElementById('planSections');
+        
+        container.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const holder = button.closest('[data-collection]');
+            const collection = holder.dataset.collection;
+            const index = holder.dataset.index === undefined || holder.dataset.index === '' ? null : Number(holder.dataset.index);
+            const action = button.dataset.action;
+            
+            if (action === 'cancel') {
+                this.planForm = null;
+                this.renderPlanEditor();
+            } else if (action === 'add' || action === 'edit') {
+                this.planForm = { collection, index: action === 'add' ? null : index };
+                this.renderPlanEditor();
+            } else if (action === 'delete') {
+                if (confirm('Delete this item from the plan?')) {
+                    this.editPlan(collection, 'DELETE', `/${index}`);
+                }
+            } else if (action === 'up' || action === 'down') {
+                const order = this.plan[collection].items.map((item, i) => i);
+                const target = action === 'up' ? index - 1 : index + 1;
+                [order[index], order[target]] = [order[target], order[index]];
+                this.editPlan(collection, 'PUT', '/order', { order });
+            }
+        });
+        
+        container.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const form = event.target;
+            const section = this.plan[form.dataset.collection];
+            const values = Object.fromEntries(new FormData(form).entries());
+            
+            // Form values are text; send booleans, numbers and lists as such
+            Object.entries(section.fieldTypes || {}).forEach(([field, type]) => {
+                if (type === 'boolean') {
+                    values[field] = form.elements[field].checked;
+                } else if (type === 'number' && values[field] !== '') {
+                    values[field] = Number(values[field]);
+                } else if (type === 'array') {
+                    const list = (values[field] || '').split(',').map(value => value.trim()).filter(Boolean);
+                    values[field] = list.length ? list : undefined;
+                }
+            });
+            const item = section.fields ? values : values.text;
+            
+            if (form.dataset.index === '') {
+                this.editPlan(section.collection, 'POST', '', { item });
+            } else {
+                this.editPlan(section.collection, 'PUT', `/${form.dataset.index}`, { item });
+            }
+        });
+    }
+
+    async editPlan(collection, method, path, body) {
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/plan/${collection}${path}`, {
+                method,
+                headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.errors ? data.errors.join(', ') : data.error);
+            }
+            
+            this.planForm = null;
+            this.plan[collection] = data;
+            this.renderPlanEditor();
+            if (collection === 'implementationSteps') this.loadTimeline();
+            if (collection === 'performanceMeasures') this.loadAssessment();
+        } catch (error) {
+            console.error('Failed to edit plan:', error);
+            this.showError(`Could not update the plan: ${error.message}`);
+        }
+    }
+
+    async loadScoring() {
+        if (!this.sessionId || this.shareToken) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/method-scoring`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.scoring = await response.json();
+            this.renderScoring();
+        } catch (error) {
+            console.error('Failed to load method comparison:', error);
+        }
+    }
+
+    // Comparison table: adjustable weights, a 1-5 score per method and
+    // criterion (hover for the justification), and weighted totals
+    renderScoring() {
+        const container = document.getElementById('scoringMatrix');
+        if (!this.scoring || this.scoring.methods.length === 0) return;
+        
+        const { criteria, methods, chosenMethod } = this.scoring;
+        const disabled = this.readOnly ? 'disabled' : '';
+        const chosenName = chosenMethod ? chosenMethod.name : null;
+        
+        const scoreCell = (method, criterion) => {
+            const entry = method.scores[criterion.id];
+            const options = ['', 1, 2, 3, 4, 5].map(value =>
+                `<option value="${value}" ${entry && entry.score === value ? 'selected' : ''}>${value || '–'}</option>`
+            ).join('');
+            const title = entry ? `${entry.source === 'user' ? 'Set by ' + (entry.updatedBy || 'a user') : 'Suggested by the coach'}${entry.justification ? ': ' + entry.justification : ''}` : 'Not scored';
+            
+            return `
+                <td class="score-cell ${entry ? `score-${entry.source}` : ''}" title="${this.escapeHtml(title)}">
+                    <select data-method="${method.index}" data-criterion="${criterion.id}" ${disabled}>${options}</select>
+                </td>
+            `;
+        };
+        
+        container.innerHTML = `
+            <table class="scoring-table">
+                <thead>
+                    <tr>
+                        <th>Method</th>
+                        ${criteria.map(criterion => `
+                            <th title="${this.escapeHtml(criterion.description)}">
+                                ${criterion.label}<br>
+                                <label class="weight-label">weight
+                                    <input type="number" min="0" max="5" step="1" value="${criterion.weight}" data-weight="${criterion.id}" ${disabled}>
+                                </label>
+                            </th>
+                        `).join('')}
+                        <th>Total</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${methods.map(method => `
+                        <tr class="${method.name === chosenName ? 'chosen-method' : ''}">
+                            <td><strong>${this.escapeHtml(method.name)}</strong></td>
+                            ${criteria.map(criterion => scoreCell(method, criterion)).join('')}
+                            <td class="score-total">${method.total === null ? '–' : `${method.total}/100`}</td>
+                            <td>
+                                ${method.name === chosenName ? '✓ Chosen' : `<button class="plan-btn" data-choose="${method.index}" ${disabled || (method.total === null ? 'disabled' : '')}>Choose</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${this.readOnly ? '' : '<button class="plan-btn" data-suggest>Suggest scores with AI</button>'}
+        `;
+    }
+
+    setupMethodScoring() {
+        const container = document.getElementById('scoringMatrix');
+        
+        container.addEventListener('change', (event) => {
+            const target = event.target;
+            if (target.dataset.weight) {
+                this.editScoring('PUT', '/weights', { weights: { [target.dataset.weight]: Number(target.value) } });
+            } else if (target.dataset.criterion && target.value) {
+                this.editScoring('PUT', '/scores', {
+                    method: Number(target.dataset.method),
+                    criterion: target.dataset.criterion,
+                    score: Number(target.value)
+                });
+            }
+        });
+        
+        container.addEventListener('click', async (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+            
+            if (button.dataset.suggest !== undefined) {
+                button.disabled = true;
+                button.textContent = 'Scoring…';
+                await this.editScoring('POST', '/suggest');
+            } else if (button.dataset.choose !== undefined) {
+                if (await this.editScoring('POST', '/select', { method: Number(button.dataset.choose) })) {
+                    this.showNotification('Method chosen. It and its scores are now part of your plan.', 'success');
+                }
+            }
+        });
+    }
+
+    // Resolves true when the change was saved
+    async editScoring(method, path, body) {
+        let saved = false;
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/method-scoring${path}`, {
+                method,
+                headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            this.scoring = data;
+            saved = true;
+        } catch (error) {
+            console.error('Failed to update method comparison:', error);
+            this.showError(`Could not update the comparison: ${error.message}`);
+        }
+        this.renderScoring();
+        return saved;
+    }
+
+    async loadTimeline() {
+        if (!this.sessionId || this.shareToken) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/timeline`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.timeline = await response.json();
+            this.renderTimeline();
+        } catch (error) {
+            console.error('Failed to load timeline:', error);
+        }
+    }
+
+    // Gantt chart: one bar per step, placed by its scheduled days, with
+    // critical steps in red and milestones as diamonds
+    renderTimeline() {
+        const container = document.getElementById('timelineChart');
+        if (!this.timeline) return;
+        
+        const { steps, criticalPath, warnings, errors } = this.timeline;
+        const span = Math.max(this.timeline.durationDays, 1);
+        
+        const row = (step) => {
+            const left = (step.startOffset / span) * 100;
+            const title = this.escapeHtml(`${step.title}: ${step.startDate}${step.milestone ? '' : ` to ${step.endDate}`}` +
+                `${step.owner ? ` · ${step.owner}` : ''}${step.critical ? ' · critical' : ` · ${step.slackDays} days slack`}`);
+            const marker = step.milestone
+                ? `<div class="gantt-milestone ${step.critical ? 'critical' : ''}" style="left: ${left}%"></div>`
+                : `<div class="gantt-bar ${step.critical ? 'critical' : ''}" style="left: ${left}%; width: ${(step.durationDays / span) * 100}%"></div>`;
+            
+            return `
+                <div class="gantt-row" title="${title}">
+                    <div class="gantt-label">${this.escapeHtml(step.title)}</div>
+                    <div class="gantt-track">${marker}</div>
+                </div>
+            `;
+        };
+        
+        container.innerHTML = `
+            <label class="timeline-start">Plan starts
+                <input type="date" id="timelineStart" value="${this.timeline.startDate}" ${this.readOnly ? 'disabled' : ''}>
+            </label>
+            ${errors.length ? `
+                <ul class="timeline-notes">${errors.map(error => `<li class="timeline-problem">${this.escapeHtml(error)}</li>`).join('')}</ul>
+            ` : steps.length === 0 ? '<p class="empty-state">The timeline appears once the plan has implementation steps</p>' : `
+                <div class="gantt">
+                    ${steps.map(row).join('')}
+                    <div class="gantt-axis"><span>${this.timeline.startDate}</span><span>${this.timeline.endDate} (${this.timeline.durationDays} days)</span></div>
+                </div>
+                <div class="timeline-notes">
+                    <strong>Critical path:</strong> ${this.escapeHtml(criticalPath.join(' → '))}
+                    ${warnings.length ? `<ul>${warnings.map(warning => `<li class="timeline-problem">${this.escapeHtml(warning)}</li>`).join('')}</ul>` : ''}
+                </div>
+            `}
+        `;
+    }
+
+    setupTimeline() {
+        const container = document.getElementById('timelineChart');
+        
+        container.addEventListener('change', async (event) => {
+            if (event.target.id !== 'timelineStart') return;
+            
+            try {
+                const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/timeline`, {
+                    method: 'PUT',
+                    headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+                    body: JSON.stringify({ startDate: event.target.value || null })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error);
+                this.timeline = data;
+            } catch (error) {
+                console.error('Failed to set the plan start date:', error);
+                this.showError(`Could not set the start date: ${error.message}`);
+            }
+            this.renderTimeline();
+        });
+    }
+
+    async loadAssessment() {
+        if (!this.sessionId || this.shareToken) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/assessment`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.assessment = await response.json();
+            this.renderAssessment();
+        } catch (error) {
+            console.error('Failed to load assessment:', error);
+        }
+    }
+
+    // Logged values over time as an SVG line, with the baseline and target
+    // as dashed guides
+    renderMeasureChart(measure) {
+        const width = 300;
+        const height = 120;
+        const pad = 14;
+        const values = measure.entries.map(entry => entry.value);
+        const guides = [measure.baselineValue, measure.targetValue].filter(value => value !== null);
+        const low = Math.min(...values, ...guides);
+        const high = Math.max(...values, ...guides);
+        const range = high - low || 1;
+        
+        const times = measure.entries.map(entry => new Date(entry.date).getTime());
+        const first = Math.min(...times);
+        const span = Math.max(...times) - first || 1;
+        const x = (time) => measure.entries.length === 1 ? width / 2 : pad + ((time - first) / span) * (width - 2 * pad);
+        const y = (value) => height - pad - ((value - low) / range) * (height - 2 * pad);
+        const points = measure.entries.map((entry, i) => `${x(times[i]).toFixed(1)},${y(entry.value).toFixed(1)}`);
+        
+        const guide = (value, kind, label) => value === null ? '' : `
+            <line class="chart-guide chart-${kind}" x1="0" x2="${width}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text x="2" y="${y(value) - 2}">${label} ${value}</text>
+        `;
+        
+        return `
+            <svg class="measure-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+                aria-label="${this.escapeHtml(`${measure.metric} over time`)}">
+                ${guide(measure.baselineValue, 'baseline', 'baseline')}
+                ${guide(measure.targetValue, 'target', 'target')}
+                <polyline class="chart-line" points="${points.join(' ')}"></polyline>
+                ${measure.entries.map((entry, i) => `
+                    <circle class="chart-point" cx="${x(times[i])}" cy="${y(entry.value)}" r="3">
+                        <title>${this.escapeHtml(`${entry.date}: ${entry.value}${entry.note ? ` – ${entry.note}` : ''}`)}</title>
+                    </circle>
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    renderAssessment() {
+        const container = document.getElementById('assessmentMeasures');
+        if (!this.assessment) return;
+        
+        // Once the plan has run, the next version starts from its results
+        const nextIteration = this.currentStage === 'complete' && !this.readOnly
+            ? '<button class="plan-btn" data-start-iteration title="Review the results and decide what to scale, change or stop">Start next iteration</button>'
+            : '';
+        
+        if (!this.assessment.active) {
+            container.innerHTML = this.currentStage !== 'complete' || this.readOnly
+                ? '<p class="empty-state">Assessment opens once the plan is complete</p>'
+                : `<button class="plan-btn" data-start-assessment>Start assessment</button> ${nextIteration}`;
+            return;
+        }
+        
+        const statusLabels = { on_track: 'On track', at_risk: 'At risk', off_track: 'Off track' };
+        
+        container.innerHTML = this.assessment.measures.map(measure => `
+            <div class="measure-card">
+                <div class="measure-header">
+                    <strong>${this.escapeHtml(measure.metric)}</strong>
+                    <span class="measure-status ${measure.status || ''}" title="${this.escapeHtml(measure.reason)}">
+                        ${measure.status ? statusLabels[measure.status] : 'No status'}
+                    </span>
+                </div>
+                <div class="measure-meta">
+                    Baseline ${this.escapeHtml(measure.baseline || 'not set')} · Target ${this.escapeHtml(measure.target || 'not set')}
+                    ${measure.progress !== null ? ` · ${measure.progress}% of the way` : ''} · ${this.escapeHtml(measure.reason)}
+                </div>
+                ${measure.progress !== null ? `
+                    <div class="measure-progress"><div style="width: ${Math.min(100, Math.max(0, measure.progress))}%"></div></div>
+                ` : ''}
+                ${measure.entries.length ? this.renderMeasureChart(measure) : ''}
+                <ul class="measure-entries">
+                    ${measure.entries.slice().reverse().map(entry => `
+                        <li>
+                            <span>${entry.date}: <strong>${entry.value}</strong>${entry.note ? ` – ${this.escapeHtml(entry.note)}` : ''}</span>
+                            ${this.readOnly ? '' : `<button class="plan-btn" data-remove-entry="${entry.id}" data-measure="${measure.index}" title="Delete">×</button>`}
+                        </li>
+                    `).join('')}
+                </ul>
+                ${this.readOnly ? '' : `
+                    <form class="measure-form" data-measure="${measure.index}">
+                        <input type="number" name="value" step="any" placeholder="Value" required>
+                        <input type="date" name="date">
+                        <input name="note" placeholder="Note (optional)">
+                        <button type="submit" class="plan-btn">Log</button>
+                    </form>
+                `}
+            </div>
+        `).join('') + nextIteration;
+    }
+
+    setupAssessment() {
+        const container = document.getElementById('assessmentMeasures');
+        
+        container.addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+            
+            if (button.dataset.startAssessment !== undefined) {
+                this.editAssessment('POST', '');
+            } else if (button.dataset.startIteration !== undefined) {
+                this.startIteration();
+            } else if (button.dataset.removeEntry && confirm('Delete this value?')) {
+                this.editAssessment('DELETE', `/measures/${button.dataset.measure}/entries/${button.dataset.removeEntry}`);
+            }
+        });
+        
+        container.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const form = event.target;
+            const values = Object.fromEntries(new FormData(form).entries());
+            
+            this.editAssessment('POST', `/measures/${form.dataset.measure}/entries`, {
+                value: Number(values.value),
+                date: values.date || undefined,
+                note: values.note || undefined
+            });
+        });
+    }
+
+    async editAssessment(method, path, body) {
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/assessment${path}`, {
+                method,
+                headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            this.assessment = data;
+            this.renderAssessment();
+        } catch (error) {
+            console.error('Failed to update assessment:', error);
+            this.showError(`Could not update the assessment: ${error.message}`);
+        }
+    }
+
+    async loadGrantProposal() {
+        if (!this.sessionId || this.shareToken) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/grant-proposal`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.grantProposal = await response.json();
+            this.renderGrantProposal();
+        } catch (error) {
+            console.error('Failed to load grant proposal:', error);
+        }
+    }
+
+    // One card per section with its text and word limit. Editors can save
+    // their changes or have the AI redraft a section at a new limit.
+    renderGrantProposal() {
+        const container = document.getElementById('grantSections');
+        if (!this.grantProposal) return;
+        
+        if (!this.grantProposal.canDraft) {
+            container.innerHTML = '<p class="empty-state">Grant sections can be drafted once the plan is complete</p>';
+            return;
+        }
+        
+        const undrafted = this.grantProposal.sections.some(section => !section.drafted);
+        
+        container.innerHTML = this.grantProposal.sections.map(section => `
+            <form class="grant-section" data-section="${section.id}">
+                <div class="measure-header">
+                    <strong>${this.escapeHtml(section.title)}</strong>
+                    <span class="grant-word-count ${section.overLimit ? 'over-limit' : ''}">
+                        ${section.wordCount} / ${section.wordLimit} words
+                    </span>
+                </div>
+                ${section.updatedAt ? `
+                    <div class="measure-meta">
+                        ${section.source === 'ai' ? 'Drafted by the AI' : 'Edited'}${section.updatedBy ? ` by ${this.escapeHtml(section.updatedBy)}` : ''}
+                        on ${new Date(section.updatedAt).toLocaleDateString()}
+                    </div>
+                ` : ''}
+                <textarea name="text" rows="8" placeholder="Not drafted yet" ${this.readOnly ? 'readonly' : ''}>${this.escapeHtml(section.text)}</textarea>
+                ${this.readOnly ? '' : `
+                    <div class="grant-section-actions">
+                        <label>Word limit
+                            <input type="number" name="wordLimit" min="50" max="1500" step="1" value="${section.wordLimit}" required>
+                        </label>
+                        <button type="submit" class="plan-btn">Save</button>
+                        <button type="button" class="plan-btn" data-redraft="${section.id}">${section.drafted ? 'Redraft' : 'Draft'}</button>
+                    </div>
+                `}
+            </form>
+        `).join('') + (undrafted && !this.readOnly
+            ? '<button class="plan-btn" data-draft-all>Draft remaining sections</button>'
+            : '');
+    }
+
+    setupGrantProposal() {
+        const container = document.getElementById('grantSections');
+        
+        container.addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+            
+            if (button.dataset.draftAll !== undefined) {
+                this.editGrantProposal('POST', '/draft', undefined, button);
+            } else if (button.dataset.redraft) {
+                const form = button.closest('form');
+                if (!form.reportValidity()) return;
+                if (form.elements.text.value.trim() && !confirm('Replace this section with a new draft?')) return;
+                this.editGrantProposal('POST', `/sections/${button.dataset.redraft}/draft`, {
+                    wordLimit: Number(form.elements.wordLimit.value)
+                }, button);
+            }
+        });
+        
+        container.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const form = event.target;
+            
+            this.editGrantProposal('PUT', `/sections/${form.dataset.section}`, {
+                section: {
+                    text: form.elements.text.value,
+                    wordLimit: Number(form.elements.wordLimit.value)
+                }
+            });
+        });
+    }
+
+    // Drafting waits on the AI, so the button that started it shows progress
+    async editGrantProposal(method, path, body, button) {
+        const label = button ? button.textContent : null;
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Drafting…';
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/grant-proposal${path}`, {
+                method,
+                headers: this.liveHeaders({ 'Content-Type': 'application/json' }),
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            this.grantProposal = data;
+            this.renderGrantProposal();
+        } catch (error) {
+            console.error('Failed to update grant proposal:', error);
+            this.showError(`Could not update the grant proposal: ${error.message}`);
+            if (button) {
+                button.disabled = false;
+                button.textContent = label;
+            }
+        }
+    }
+
+    // Every version of this challenge the user can open, shown once there is
+    // more than one
+    async loadLineage() {
+        if (!this.sessionId || this.shareToken) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/lineage`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.versions = (await response.json()).versions;
+            this.renderLineage();
+        } catch (error) {
+            console.error('Failed to load versions:', error);
+        }
+    }
+    
+    renderLineage() {
+        const bar = document.getElementById('lineageBar');
+        bar.style.display = this.versions.length > 1 ? 'flex' : 'none';
+        bar.innerHTML = '<span class="lineage-label">Versions:</span>' + this.versions.map(version => `
+            <button class="lineage-version ${version.sessionId === this.sessionId ? 'current' : ''}"
+                data-session-id="${version.sessionId}" title="${this.escapeHtml(`${this.stageLabel(version.stage)}, started ${new Date(version.startedAt).toLocaleDateString()}`)}">
+                v${version.version}
+            </button>
+        `).join('');
+    }
+    
+    setupLineage() {
+        document.getElementById('lineageBar').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-session-id]');
+            if (button && button.dataset.sessionId !== this.sessionId) {
+                this.resumeSession(button.dataset.sessionId);
+            }
+        });
+    }
+    
+    // Start the next version of this plan and switch to it
+    async startIteration() {
+        if (!confirm('Start the next iteration? It begins with this plan and its results, for you to review and decide what to scale, change or stop.')) return;
+        
+        try {
+            const response = await fetch(`${API_BASE}/sessions/${this.sessionId}/iterations`, { method: 'POST' });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            await this.resumeSession(data.sessionId);
+            this.showNotification(`Version ${data.lineage.version} started. Tell the coach how the plan went.`, 'success');
+        } catch (error) {
+            console.error('Failed to start iteration:', error);
+            this.showError(`Could not start the next iteration: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -411,7 +1690,7 @@ class COMPASNavigator {
 
     async generateReport() {
         try {
-            const response = await fetch(`/.netlify/functions/simple-api/sessions/${this.sessionId}/report`);
+            const response = await fetch(`${this.sessionUrl()}/report`);
             const data = await response.json();
             
             if (data.report) {
@@ -432,6 +1711,25 @@ class COMPASNavigator {
 
     showExportModal() {
         document.getElementById('exportModal').style.display = 'block';
+        this.loadReportTemplates();
+    }
+
+    // Built-in report templates and the organization's own
+    async loadReportTemplates() {
+        try {
+            const response = await fetch(`${this.sessionUrl()}/report-templates`);
+            if (!response.ok) return;
+            const data = await response.json();
+
+            const select = document.getElementById('exportTemplate');
+            const selected = select.value || data.defaultTemplate;
+            select.innerHTML = data.templates.map(template =>
+                `<option value="${this.escapeHtml(template.id)}" title="${this.escapeHtml(template.description || '')}">${this.escapeHtml(template.label)}</option>`
+            ).join('');
+            select.value = data.templates.some(template => template.id === selected) ? selected : data.defaultTemplate;
+        } catch (error) {
+            console.error('Failed to load report templates:', error);
+        }
     }
 
     async exportReport(format) {
@@ -443,45 +1741,56 @@ class COMPASNavigator {
         try {
             switch (format) {
                 case 'markdown':
-                    this.downloadFile('compas-report.md', this.currentReport, 'text/markdown');
-                    break;
                 case 'pdf':
-                    await this.exportServerSide('pdf');
+                    await this.exportServerSide(format, { template: document.getElementById('exportTemplate').value });
                     break;
                 case 'docx':
-                    await this.exportServerSide('docx');
+                case 'grant-markdown':
+                case 'grant-docx':
+                    await this.exportServerSide(format);
+                    break;
+                case 'ics':
+                    await this.exportServerSide('ics');
+                    break;
+                case 'csv':
+                case 'json':
+                    await this.exportServerSide(format, { columns: document.getElementById('exportColumns').value });
                     break;
             }
         } catch (error) {
             console.error('Export error:', error);
-            this.showError('Failed to export report. Please try again.');
+            this.showError(`Failed to export report: ${error.message}`);
         }
         
         // Close modal
         document.getElementById('exportModal').style.display = 'none';
     }
 
-    async exportServerSide(format) {
-        const response = await fetch(`/.netlify/functions/simple-api/sessions/${this.sessionId}/export/${format}`, {
+    async exportServerSide(format, options = {}) {
+        const response = await fetch(`${this.sessionUrl()}/export/${format}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
         });
 
         if (!response.ok) {
-            throw new Error(`Export failed: ${response.statusText}`);
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || `Export failed: ${response.statusText}`);
         }
 
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `compas-report.${format}`;
+        // grant-markdown downloads as grant-proposal.md
+        const [, grant, type] = /^(grant-)?(.+)$/.exec(format);
+        a.download = `${grant ? 'grant-proposal' : 'compas-report'}.${type === 'markdown' ? 'md' : type}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         window.URL.revokeObjectURL(url);
         
-        this.showNotification(`Report exported as ${format.toUpperCase()} successfully!`, 'success');
+        this.showNotification(`${grant ? 'Grant proposal' : 'Report'} exported as ${type.toUpperCase()} successfully!`, 'success');
     }
 
     displayStageProgress(analysis) {
@@ -512,7 +1821,7 @@ class COMPASNavigator {
                 ${missingInfo.length > 0 ? `
                     <div class="missing-info">
                         <h5>Still Needed:</h5>
-                        <ul>${missingInfo.map(item => `<li>${item}</li>`).join('')}</ul>
+                        <ul>${missingInfo.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
                     </div>
                 ` : '<div class="completion-message">Stage requirements met! 🎯</div>'}
             </div>
@@ -582,18 +1891,6 @@ class COMPASNavigator {
         }
     }
 
-    downloadFile(filename, content, mimeType) {
-        const blob = new Blob([content], { type: mimeType });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
-    }
-
     showMilestone(stage, oldStage) {
         const stageMessages = {
             'objective_definition': {
@@ -668,12 +1965,20 @@ class COMPASNavigator {
             missingInfoDiv.innerHTML = `
                 <div class="missing-info-content">
                     <strong>Still needed:</strong>
-                    <ul>${analysis.missingInformation.map(item => `<li>${item}</li>`).join('')}</ul>
+                    <ul>${analysis.missingInformation.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
                 </div>
             `;
         } else {
             missingInfoDiv.innerHTML = '';
         }
+        
+        // Explain why the stage did not move when the analysis was unusable
+        if (analysis.validationErrors && analysis.validationErrors.length > 0) {
+            const warning = document.createElement('div');
+            warning.className = 'analysis-warning';
+            warning.textContent = `Progress check incomplete: ${analysis.progressReason}. Keep chatting and it will be retried.`;
+            missingInfoDiv.appendChild(warning);
+        }
     }
 
     updateOutcomePreview(sessionState) {
@@ -701,7 +2006,7 @@ class COMPASNavigator {
         notification.className = `notification ${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <span class="notification-message">${message}</span>
+                <span class="notification-message">${this.escapeHtml(message)}</span>
                 <button class="notification-close" onclick="this.parentElement.parentElement.remove()">×</button>
             </div>
         `;
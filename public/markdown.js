@@ -0,0 +1,362 @@
+// Markdown to HTML, shared by the chat (reports included) and the PDF export,
+// so both show the same thing. The DOCX export builds Word content from the
+// same parsed blocks (parseMarkdown). Loaded with a <script> tag in the browser,
+// where it defines `window.COMPASMarkdown`, and with require() on the server.
+//
+// Covers what the coach and the reports write: headings, paragraphs, nested
+// bullet and numbered lists, tables, block quotes, fenced and inline code,
+// emphasis and links. Raw HTML is never passed through: all text is escaped,
+// and links only keep http(s), mailto and relative URLs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.COMPASMarkdown = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+    const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+    const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+    const QUOTE = /^\s{0,3}>\s?(.*)$/;
+    // Reports also use "•" as a bullet
+    const LIST_ITEM = /^(\s*)([-*+•]|\d{1,9}[.)])(\s+)(.*)$/;
+    const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    const SAFE_URL = /^(https?:|mailto:|#|\/|\.{0,2}\/)/i;
+    const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function indentOf(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    function isBlank(line) {
+        return line.trim() === '';
+    }
+
+    // Remove up to `count` columns of leading whitespace
+    function dedent(line, count) {
+        let removed = 0;
+        let at = 0;
+        while (at < line.length && removed < count && (line[at] === ' ' || line[at] === '\t')) {
+            removed += line[at] === '\t' ? 4 : 1;
+            at++;
+        }
+        return line.slice(at);
+    }
+
+    function isOrdered(marker) {
+        return /\d/.test(marker);
+    }
+
+    function isTableStart(lines, index) {
+        return lines[index].includes('|') && index + 1 < lines.length &&
+            lines[index + 1].includes('|') && TABLE_DIVIDER.test(lines[index + 1]);
+    }
+
+    // Lines that end a paragraph without a blank line
+    function startsBlock(lines, index) {
+        const line = lines[index];
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+            LIST_ITEM.test(line) || isTableStart(lines, index);
+    }
+
+    // Inline formatting. Code spans and links are set aside first, so their
+    // contents are not read as emphasis.
+    function renderInline(text) {
+        const saved = [];
+        const save = (html) => `\u0000${saved.push(html) - 1}\u0000`;
+
+        let html = String(text)
+            .replace(/\u0000/g, '')
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => save(`<code>${escapeHtml(code.trim())}</code>`));
+
+        html = escapeHtml(html)
+            // A backslash keeps the next punctuation character literal
+            .replace(/\\([\\`*_{}[\]()#+\-.!|~])/g, (match, char) => save(char))
+            .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, url, title) => {
+                const safe = SAFE_URL.test(url) || !URL_SCHEME.test(url);
+                if (!safe) {
+                    return label;
+                }
+                const titleAttribute = title ? ` title="${title}"` : '';
+                return save(`<a href="${url}"${titleAttribute} target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`);
+            });
+
+        return renderEmphasis(html).replace(/\u0000(\d+)\u0000/g, (match, index) => saved[Number(index)]);
+    }
+
+    // Shortest match first, so "**a** and **b**" is two bold runs
+    function renderEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+
+    // Table cells, split on pipes that are not escaped or inside code
+    function splitRow(line) {
+        const cells = [];
+        let current = '';
+        let inCode = false;
+        const text = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && text[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (char === '`') {
+                inCode = !inCode;
+                current += char;
+            } else if (char === '|' && !inCode) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    function parseTable(lines) {
+        const alignments = splitRow(lines[1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            return left ? 'left' : null;
+        });
+        return { type: 'table', header: splitRow(lines[0]), alignments, rows: lines.slice(2).map(splitRow) };
+    }
+
+    // A list starting at `start`; returns { list, end }. Items hold every
+    // following line indented past their marker, so lists nest by indenting.
+    function parseList(lines, start) {
+        const first = LIST_ITEM.exec(lines[start]);
+        const listIndent = indentOf(first[1]);
+        const ordered = isOrdered(first[2]);
+        const items = [];
+        let loose = false;
+        let index = start;
+
+        while (index < lines.length) {
+            const match = LIST_ITEM.exec(lines[index]);
+            if (!match || indentOf(match[1]) > listIndent + 1 || isOrdered(match[2]) !== ordered) {
+                break;
+            }
+
+            // Continuation lines line up with the text after the marker
+            const contentIndent = indentOf(match[1]) + match[2].length + Math.min(match[3].length, 4);
+            const itemLines = [match[4]];
+            index++;
+
+            while (index < lines.length) {
+                const line = lines[index];
+                if (isBlank(line)) {
+                    // A blank line continues the item only if more of it follows
+                    let next = index + 1;
+                    while (next < lines.length && isBlank(lines[next])) next++;
+                    if (next < lines.length && indentOf(lines[next]) > listIndent && !(LIST_ITEM.test(lines[next]) && indentOf(lines[next]) <= listIndent + 1)) {
+                        itemLines.push('');
+                        index++;
+                        continue;
+                    }
+                    break;
+                }
+                const indent = indentOf(line);
+                if (indent > listIndent + 1 || (indent > listIndent && !LIST_ITEM.test(line))) {
+                    itemLines.push(dedent(line, Math.min(indent, contentIndent)));
+                } else if (!LIST_ITEM.test(line) && !isBlank(lines[index - 1]) && !startsBlock(lines, index)) {
+                    // Lazy continuation of the item's paragraph
+                    itemLines.push(line.trim());
+                } else {
+                    break;
+                }
+                index++;
+            }
+
+            if (itemLines.some(isBlank)) {
+                loose = true;
+            }
+            items.push({ lines: itemLines, number: parseInt(match[2], 10) });
+
+            // Blank lines between items make the list loose
+            let next = index;
+            while (next < lines.length && isBlank(lines[next])) next++;
+            if (next > index && next < lines.length) {
+                const sibling = LIST_ITEM.exec(lines[next]);
+                if (sibling && indentOf(sibling[1]) <= listIndent + 1 && isOrdered(sibling[2]) === ordered) {
+                    loose = true;
+                    index = next;
+                }
+            }
+        }
+
+        return {
+            list: {
+                type: 'list',
+                ordered,
+                start: ordered ? items[0].number : null,
+                loose,
+                items: items.map(item => parseBlocks(item.lines))
+            },
+            end: index
+        };
+    }
+
+    // Block structure, as a list of blocks: heading, paragraph (its lines),
+    // list (items of blocks), table, quote, code and rule
+    function parseBlocks(lines) {
+        const blocks = [];
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (isBlank(line)) {
+                index++;
+                continue;
+            }
+
+            const fence = FENCE.exec(line);
+            if (fence) {
+                const closing = new RegExp(`^\\s*\\${fence[1][0]}{${fence[1].length},}\\s*$`);
+                const code = [];
+                index++;
+                while (index < lines.length && !closing.test(lines[index])) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                index++;
+                blocks.push({ type: 'code', language: fence[2], text: code.join('\n') });
+                continue;
+            }
+
+            const heading = HEADING.exec(line);
+            if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+                index++;
+                continue;
+            }
+
+            if (RULE.test(line)) {
+                blocks.push({ type: 'rule' });
+                index++;
+                continue;
+            }
+
+            if (QUOTE.test(line)) {
+                const quoted = [];
+                while (index < lines.length && !isBlank(lines[index]) && (QUOTE.test(lines[index]) || !startsBlock(lines, index))) {
+                    const match = QUOTE.exec(lines[index]);
+                    quoted.push(match ? match[1] : lines[index]);
+                    index++;
+                }
+                blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+                continue;
+            }
+
+            if (isTableStart(lines, index)) {
+                const rows = [line, lines[index + 1]];
+                index += 2;
+                while (index < lines.length && !isBlank(lines[index]) && lines[index].includes('|')) {
+                    rows.push(lines[index]);
+                    index++;
+                }
+                blocks.push(parseTable(rows));
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const { list, end } = parseList(lines, index);
+                blocks.push(list);
+                index = end;
+                continue;
+            }
+
+            // Paragraph: lines up to a blank line or another block. Line
+            // breaks are kept, as chat replies rely on them.
+            const paragraph = [line.trim()];
+            index++;
+            while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines, index)) {
+                paragraph.push(lines[index].trim());
+                index++;
+            }
+            blocks.push({ type: 'paragraph', lines: paragraph });
+        }
+
+        return blocks;
+    }
+
+    function renderTable(table) {
+        const cell = (tag, text, column) => {
+            const align = table.alignments[column] ? ` style="text-align: ${table.alignments[column]}"` : '';
+            return `<${tag}${align}>${renderInline(text || '')}</${tag}>`;
+        };
+        const rows = table.rows.map(cells =>
+            `<tr>${table.header.map((heading, column) => cell('td', cells[column], column)).join('')}</tr>`);
+
+        return `<table>\n<thead>\n<tr>${table.header.map((heading, column) => cell('th', heading, column)).join('')}</tr>\n</thead>\n` +
+            `${rows.length > 0 ? `<tbody>\n${rows.join('\n')}\n</tbody>\n` : ''}</table>`;
+    }
+
+    // Blocks as HTML. In tight list items paragraphs are not wrapped in <p>.
+    function renderBlocks(blocks, { tight = false } = {}) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'code': {
+                    const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+                    return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+                }
+                case 'heading':
+                    return `<h${block.level}>${renderInline(block.text)}</h${block.level}>`;
+                case 'rule':
+                    return '<hr>';
+                case 'quote':
+                    return `<blockquote>\n${renderBlocks(block.blocks)}\n</blockquote>`;
+                case 'table':
+                    return renderTable(block);
+                case 'list': {
+                    const tag = block.ordered ? 'ol' : 'ul';
+                    const startAttribute = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                    const items = block.items.map(item => `<li>${renderBlocks(item, { tight: !block.loose })}</li>`).join('\n');
+                    return `<${tag}${startAttribute}>\n${items}\n</${tag}>`;
+                }
+                default: {
+                    const html = block.lines.map(renderInline).join('<br>\n');
+                    return tight ? html : `<p>${html}</p>`;
+                }
+            }
+        }).join('\n');
+    }
+
+    // Markdown as blocks, for output other than HTML (see parseBlocks)
+    function parseMarkdown(markdown) {
+        return parseBlocks(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'));
+    }
+
+    function renderMarkdown(markdown) {
+        return renderBlocks(parseMarkdown(markdown));
+    }
+
+    return {
+        escapeHtml,
+        renderInline,
+        parseMarkdown,
+        renderMarkdown
+    };
+}));
@@ -0,0 +1,775 @@
+// Report templates. Every report, as Markdown, PDF or DOCX, is a Handlebars
+// template rendered over one report data model built from the session. The
+// built-in templates are the full plan, a board one-pager and a grant
+// appendix; organizations can add their own, and set the branding (logo,
+// colors, font, footer disclaimer) their exports use.
+//
+// Templates write Markdown, so values are inserted as they are; use the
+// `cell` helper for values inside table rows. Names not found on the current
+// item are looked up on the items around it, and {{#each}} also sets
+// {{@number}}, the position counted from 1.
+
+const { COMPAS_STAGES } = require('./compas-engine');
+const { describePIIFindings } = require('./security');
+const { rankMethods } = require('./method-scoring');
+const { buildTimeline } = require('./plan-timeline');
+const Handlebars = require('handlebars');
+
+const DECISION_LABELS = { scale: 'Scale up', pivot: 'Pivot', kill: 'Kill' };
+
+const NEXT_STEPS = [
+    'Review and validate this plan with key stakeholders',
+    'Secure necessary resources and approvals',
+    'Begin with the first implementation step',
+    'Establish measurement and monitoring systems',
+    'Schedule regular check-ins to assess progress'
+];
+
+// Branding for organizations that have not set their own. A null font
+// leaves each format on its usual one.
+const DEFAULT_BRANDING = {
+    logo: null,
+    primaryColor: '#2563eb',
+    accentColor: '#f1f5f9',
+    fontFamily: null,
+    footerDisclaimer: ''
+};
+
+// Logos are stored as data URLs, so exports never fetch anything over the
+// network; this keeps them well under the request size limit
+const MAX_LOGO_LENGTH = 64 * 1024;
+const LOGO = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+={0,2}$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+const FONT_FAMILY = /^[A-Za-z0-9 ,'-]{1,100}$/;
+const MAX_DISCLAIMER_LENGTH = 500;
+
+const TEMPLATE_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_TEMPLATE_LENGTH = 50000;
+const DEFAULT_TEMPLATE = 'full';
+
+// Markdown is not HTML-escaped; compat mode looks names up on outer items
+const TEMPLATE_OPTIONS = { noEscape: true, compat: true };
+
+function toText(value) {
+    if (value === undefined || value === null || value === false) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(toText).filter(Boolean).join(', ');
+    }
+    return String(value);
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+// Helpers templates can call. Handlebars passes its options last.
+const HELPERS = {
+    // The first value that is set: {{or owner "Not assigned"}}
+    or: (...args) => args.slice(0, -1).find(isTruthy),
+    // A list as text: {{join stakeholders "; "}}
+    join: (list, ...args) => {
+        const separator = args.length > 1 ? String(args[0]) : ', ';
+        return (Array.isArray(list) ? list : []).map(toText).filter(Boolean).join(separator);
+    },
+    // A value on one line, with pipes escaped, for a Markdown table cell
+    cell: (value) => toText(value).replace(/\s*\r?\n\s*/g, ' ').replace(/\|/g, '\\|')
+};
+
+// "Prep needed" for an artifact, from its PII scan
+function describePrepNeeded(artifact) {
+    if (!artifact.pii) {
+        return 'Not scanned';
+    }
+    if (artifact.pii.total === 0) {
+        return artifact.pii.redacted ? 'None (marked high, no PII found)' : 'None (no PII found)';
+    }
+    return `${artifact.pii.redacted ? 'Redacted' : 'Redact'}: ${describePIIFindings(artifact.pii.findings)}`;
+}
+
+// Weighted method comparison, or null before any scoring
+function describeComparison(session) {
+    if (!session.methodScoring) {
+        return null;
+    }
+
+    const criteria = session.methodScoring.criteria.filter(criterion => criterion.weight > 0);
+    return {
+        criteria: criteria.map(criterion => ({ label: criterion.label, weight: criterion.weight })),
+        methods: rankMethods(session).map(method => ({
+            name: method.name,
+            scores: criteria.map(criterion => (method.scores[criterion.id] ? method.scores[criterion.id].score : '–')),
+            total: method.total === null ? 'Incomplete' : `${method.total}/100`
+        }))
+    };
+}
+
+// The implementation schedule, or null before any steps exist
+function describeSchedule(planData) {
+    const timeline = buildTimeline(planData);
+    if (timeline.errors.length === 0 && timeline.steps.length === 0) {
+        return null;
+    }
+
+    return {
+        errors: timeline.errors,
+        startDate: timeline.startDate,
+        endDate: timeline.endDate,
+        durationDays: timeline.durationDays,
+        criticalPath: (timeline.criticalPath || []).join(' → '),
+        steps: timeline.steps.map(step => ({
+            title: `${step.milestone ? '◆ ' : ''}${step.title}`,
+            owner: step.owner || 'Not assigned',
+            startDate: step.startDate,
+            endDate: step.endDate,
+            durationDays: step.durationDays,
+            dependsOn: step.dependsOn.join(', ') || '–',
+            slack: step.critical ? 'Critical' : `${step.slackDays} days`
+        })),
+        warnings: timeline.warnings
+    };
+}
+
+// For an iteration, what happened last time and the decisions, or null for
+// a first version
+function describeIteration(session) {
+    if (!session.lineage) {
+        return null;
+    }
+
+    const learningData = session.stageData[COMPAS_STAGES.SCALING_LEARNING];
+    return {
+        version: session.lineage.version,
+        outcomeReview: learningData.outcomeReview || '',
+        decisions: learningData.learningDecisions.map(decision => ({
+            question: decision.question,
+            answer: decision.answer || '',
+            decision: decision.decision ? DECISION_LABELS[decision.decision] : '',
+            rationale: decision.rationale || ''
+        }))
+    };
+}
+
+// The report data model templates are rendered over. Every object has all
+// of its fields, set to '' or null when missing, so a missing field is
+// never looked up on the item around it. Tables derived from the plan
+// (comparison, schedule) hold display text.
+function buildReportData(session, { organization = null, now = new Date() } = {}) {
+    const contextData = session.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY];
+    const objectiveData = session.stageData[COMPAS_STAGES.OBJECTIVE_DEFINITION];
+    const methodData = session.stageData[COMPAS_STAGES.METHOD_IDEATION];
+    const selectionData = session.stageData[COMPAS_STAGES.METHOD_SELECTION];
+    const planData = session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+    const { chosenMethod } = selectionData;
+
+    return {
+        title: contextData.situationDescription || 'Challenge Analysis',
+        sessionId: session.sessionId,
+        version: session.lineage ? session.lineage.version : 1,
+        generatedOn: now.toLocaleDateString(),
+        generatedAt: now.toLocaleString(),
+        sessionMinutes: Math.round((now - new Date(session.progressMetrics.startTime)) / 60000),
+        organization: organization ? { name: organization.name } : null,
+        branding: getBranding(organization),
+        context: {
+            situation: contextData.situationDescription || '',
+            stakeholders: [...contextData.stakeholders],
+            constraints: [...contextData.constraints],
+            artifacts: contextData.artifacts.map(artifact => ({
+                filename: artifact.filename,
+                format: artifact.mimetype,
+                owner: artifact.owner || '',
+                prepNeeded: describePrepNeeded(artifact),
+                source: artifact.source || ''
+            }))
+        },
+        objective: {
+            rootProblem: objectiveData.rootProblem || '',
+            problemStatement: objectiveData.problemStatement || ''
+        },
+        methods: methodData.methods.map((method, i) => ({
+            name: method.name || `Option ${i + 1}`,
+            description: method.description || '',
+            rationale: method.rationale || '',
+            complexity: method.complexity || ''
+        })),
+        comparison: describeComparison(session),
+        chosenMethod: chosenMethod ? {
+            name: chosenMethod.name || 'Selected method',
+            description: chosenMethod.description || '',
+            score: chosenMethod.score === undefined ? null : chosenMethod.score,
+            rationale: selectionData.methodRationale || ''
+        } : null,
+        plan: {
+            steps: planData.implementationSteps.map((step, i) => ({
+                title: step.title || `Step ${i + 1}`,
+                owner: step.owner || '',
+                timeline: step.timeline || '',
+                description: step.description || '',
+                resources: step.resources || ''
+            })),
+            timeline: planData.timeline || '',
+            schedule: describeSchedule(planData)
+        },
+        measures: planData.performanceMeasures.map((measure, i) => ({
+            metric: measure.metric || `Metric ${i + 1}`,
+            baseline: measure.baseline || '',
+            target: measure.target || '',
+            collection: measure.collection || '',
+            frequency: measure.frequency || ''
+        })),
+        learningQuestions: [...planData.learningQuestions],
+        iteration: describeIteration(session),
+        nextSteps: NEXT_STEPS,
+        sources: session.getCitedSources().map(source => ({
+            artifactId: source.artifactId,
+            filename: source.filename,
+            locations: source.locations
+        }))
+    };
+}
+
+// Sections shared by the built-in templates, which custom templates can
+// also include with {{> name}}
+const PARTIALS = {
+    'method-comparison': `{{#with comparison}}
+**Method Comparison** (scores 1-5, 5 is best; weights in brackets):
+
+| Method | {{#each criteria}}{{cell label}} ({{weight}}) | {{/each}}Weighted total |
+|--------|{{#each criteria}}---|{{/each}}----------------|
+{{#each methods}}
+| {{cell name}} | {{#each scores}}{{this}} | {{/each}}{{total}} |
+{{/each}}
+
+{{/with}}
+`,
+    schedule: `{{#with plan.schedule}}
+{{#if errors}}
+**Schedule:** Cannot be built until these are fixed: {{join errors "; "}}
+{{else}}
+**Schedule:** {{startDate}} to {{endDate}} ({{durationDays}} days)
+**Critical Path:** {{criticalPath}}
+
+| Step | Owner | Start | End | Days | Depends on | Slack |
+|------|-------|-------|-----|------|------------|-------|
+{{#each steps}}
+| {{cell title}} | {{cell owner}} | {{startDate}} | {{endDate}} | {{durationDays}} | {{cell dependsOn}} | {{slack}} |
+{{/each}}
+{{#if warnings}}
+
+{{#each warnings}}
+- {{this}}
+{{/each}}
+{{/if}}
+{{/if}}
+
+{{/with}}
+`,
+    iteration: `{{#with iteration}}
+**Version {{version}}:** continues an earlier version of this plan after it ran.
+
+**What Happened vs. Plan:**
+{{or outcomeReview "Not yet reviewed"}}
+
+**Decisions:**
+{{#each decisions}}
+• **{{question}}** – {{or decision "Undecided"}}
+{{#if answer}}
+  {{answer}}
+{{/if}}
+{{#if rationale}}
+  *Why:* {{rationale}}
+{{/if}}
+{{else}}
+No learning questions to decide
+{{/each}}
+
+{{/with}}
+`,
+    sources: `{{#each sources}}
+• **{{filename}}** (artifact {{artifactId}}): {{join locations "; "}}
+{{else}}
+No uploaded artifacts were cited during the session
+{{/each}}
+`,
+    footer: `---
+
+*This report was generated using the COMPAS Navigator framework, designed specifically for nonprofit organizations to transform challenges into actionable solutions.*
+{{#if branding.footerDisclaimer}}
+
+{{branding.footerDisclaimer}}
+{{/if}}
+`
+};
+
+const BUILT_IN_TEMPLATES = {
+    full: {
+        label: 'Full plan',
+        description: 'Every COMPAS stage in detail',
+        source: `# COMPAS Report – {{title}}
+
+*Generated on {{generatedOn}} | Total Session Time: {{sessionMinutes}} minutes*
+
+## Executive Summary
+
+This report provides a structured analysis and actionable solution for the identified nonprofit challenge using the COMPAS (Context, Objective, Method, Plan, Assessment) framework.
+
+## 0. Data / Context to Supply AI
+
+{{#if context.artifacts}}
+| Artifact | Current format | Owner | Prep needed | Upload method |
+|----------|----------------|-------|-------------|---------------|
+{{#each context.artifacts}}
+| {{cell filename}} | {{cell format}} | {{cell owner}} | {{cell prepNeeded}} | {{cell source}} |
+{{/each}}
+{{else}}
+No artifacts uploaded
+{{/if}}
+
+## 1. Context Discovery
+
+**Challenge Description:**
+{{or context.situation "Not provided"}}
+
+**Key Stakeholders:**
+{{#each context.stakeholders}}
+• {{this}}
+{{else}}
+• Not specified
+{{/each}}
+
+**Constraints & Limitations:**
+{{#each context.constraints}}
+• {{this}}
+{{else}}
+• Not specified
+{{/each}}
+
+## 2. Objective Definition
+
+**Root Problem Identified:**
+{{or objective.rootProblem "Not defined"}}
+
+**Problem Statement:**
+{{or objective.problemStatement "Not provided"}}
+
+## 3. Method Analysis
+
+**Proposed Solutions:**
+{{#each methods}}
+
+### Method {{@number}}: {{name}}
+**Approach:** {{or description "Not provided"}}
+**Rationale:** {{or rationale "Not provided"}}
+**Implementation Complexity:** {{or complexity "Not assessed"}}
+{{else}}
+No methods proposed
+{{/each}}
+
+{{> method-comparison}}
+**Selected Method:**
+{{#with chosenMethod}}
+**Chosen Approach:** {{name}}{{#if score}} (weighted score {{score}}/100){{/if}}
+**Selection Rationale:** {{or rationale "Not provided"}}
+{{else}}
+No method selected yet
+{{/with}}
+
+## 4. Implementation Plan
+
+{{#if plan.steps}}
+**Action Steps:**
+{{#each plan.steps}}
+{{@number}}. **{{title}}**
+   - **Owner:** {{or owner "Not assigned"}}
+   - **Timeline:** {{or timeline "Not specified"}}
+   - **Description:** {{or description "Not provided"}}
+   - **Resources:** {{or resources "Not specified"}}
+{{/each}}
+
+**Overall Timeline:**
+{{or plan.timeline "Not provided"}}
+
+{{> schedule}}
+{{else}}
+Implementation plan not yet developed
+
+{{/if}}
+## 5. Performance Measures & Success Metrics
+
+{{#if measures}}
+**Key Metrics:**
+{{#each measures}}
+{{@number}}. **{{metric}}**
+   - **Target:** {{or target "Not specified"}}
+   - **Baseline:** {{or baseline "Not specified"}}
+   - **Collection Method:** {{or collection "Not specified"}}
+   - **Frequency:** {{or frequency "Not specified"}}
+{{/each}}
+{{else}}
+Success metrics not yet defined
+{{/if}}
+
+## 6. Learning Questions & Iteration Plan
+
+{{#if learningQuestions}}
+**Key Learning Questions:**
+{{#each learningQuestions}}
+• {{this}}
+{{/each}}
+{{else}}
+Learning questions not yet defined
+{{/if}}
+
+{{> iteration}}
+**Next Steps for Implementation:**
+{{#each nextSteps}}
+{{@number}}. {{this}}
+{{/each}}
+
+## 7. Sources
+
+{{> sources}}
+
+{{> footer}}`
+    },
+    board: {
+        label: 'Board one-pager',
+        description: 'The problem, the recommendation, the plan at a glance and how success is measured',
+        // Keeps the PDF to the report itself
+        ganttChart: false,
+        source: `# {{title}}
+
+*Board summary{{#with organization}} for {{name}}{{/with}} · {{generatedOn}}{{#with iteration}} · Version {{version}}{{/with}}*
+
+## The Challenge
+
+{{or objective.problemStatement context.situation "Not yet defined"}}
+{{#if objective.rootProblem}}
+
+**Root cause:** {{objective.rootProblem}}
+{{/if}}
+
+## Recommendation
+
+{{#with chosenMethod}}
+**{{name}}**{{#if score}} (weighted score {{score}}/100){{/if}}
+
+{{or rationale description "No rationale recorded"}}
+{{else}}
+No method selected yet
+{{/with}}
+
+## Plan at a Glance
+
+{{#with plan.schedule}}
+{{#unless errors}}
+Runs {{startDate}} to {{endDate}} ({{durationDays}} days).
+
+{{/unless}}
+{{/with}}
+{{#each plan.steps}}
+{{@number}}. **{{title}}** – {{or owner "owner not assigned"}}{{#if timeline}}, {{timeline}}{{/if}}
+{{else}}
+Implementation plan not yet developed
+{{/each}}
+
+## Measures of Success
+
+{{#each measures}}
+- **{{metric}}**: {{or baseline "no baseline"}} → {{or target "no target set"}}
+{{else}}
+Success metrics not yet defined
+{{/each}}
+{{#with iteration}}
+
+## Results So Far
+
+{{or outcomeReview "Not yet reviewed"}}
+
+{{#each decisions}}
+- **{{question}}** – {{or decision "Undecided"}}
+{{/each}}
+{{/with}}
+
+{{> footer}}`
+    },
+    'grant-appendix': {
+        label: 'Grant appendix',
+        description: 'Need, approach, work plan and evaluation, laid out for a funding application',
+        source: `# Appendix: Project Plan – {{title}}
+
+*Prepared{{#with organization}} by {{name}}{{/with}} on {{generatedOn}}*
+
+## A. Statement of Need
+
+{{or objective.problemStatement "Not provided"}}
+
+**Root cause:** {{or objective.rootProblem "Not defined"}}
+**Context:** {{or context.situation "Not provided"}}
+{{#if context.stakeholders}}
+**Stakeholders:** {{join context.stakeholders "; "}}
+{{/if}}
+{{#if context.constraints}}
+**Constraints:** {{join context.constraints "; "}}
+{{/if}}
+
+## B. Approach
+
+{{#with chosenMethod}}
+**Selected approach:** {{name}}
+
+{{or rationale "Rationale not recorded"}}
+{{else}}
+No method selected yet
+{{/with}}
+{{#if methods}}
+
+**Alternatives considered:**
+
+| Option | Approach | Complexity |
+|--------|----------|------------|
+{{#each methods}}
+| {{cell name}} | {{cell description}} | {{cell complexity}} |
+{{/each}}
+{{/if}}
+
+{{> method-comparison}}
+## C. Work Plan and Timeline
+
+{{#if plan.steps}}
+| # | Activity | Lead | Timing | Resources |
+|---|----------|------|--------|-----------|
+{{#each plan.steps}}
+| {{@number}} | {{cell title}} | {{cell owner}} | {{cell timeline}} | {{cell resources}} |
+{{/each}}
+
+{{> schedule}}
+{{else}}
+Work plan not yet developed
+
+{{/if}}
+## D. Evaluation Plan
+
+{{#if measures}}
+| Measure | Baseline | Target | Data collection | Frequency |
+|---------|----------|--------|-----------------|-----------|
+{{#each measures}}
+| {{cell metric}} | {{cell baseline}} | {{cell target}} | {{cell collection}} | {{cell frequency}} |
+{{/each}}
+{{else}}
+Success metrics not yet defined
+{{/if}}
+{{#if learningQuestions}}
+
+**Learning questions:**
+{{#each learningQuestions}}
+{{@number}}. {{this}}
+{{/each}}
+{{/if}}
+
+{{> iteration}}
+## E. Data Sources
+
+{{> sources}}
+
+{{> footer}}`
+    }
+};
+
+// A Handlebars environment of its own, so the report helpers and partials
+// are not registered for anything else
+const handlebars = Handlebars.create();
+const builtInEach = handlebars.helpers.each;
+
+handlebars.registerHelper(HELPERS);
+handlebars.registerPartial(PARTIALS);
+handlebars.registerHelper('each', function (context, options) {
+    return builtInEach.call(this, context, {
+        ...options,
+        fn: (item, iteration) => options.fn(item, {
+            ...iteration,
+            data: iteration.data && Object.assign(iteration.data, { number: iteration.data.index + 1 })
+        })
+    });
+});
+
+// Refuse partials and helpers that do not exist, which Handlebars would
+// only notice when a report reaches them
+function checkTemplate(source) {
+    const Visitor = Handlebars.Visitor;
+    const checker = new Visitor();
+    const inlinePartials = new Set();
+    const usedPartials = [];
+
+    const checkHelper = (node) => {
+        const name = node.path.original;
+        if ((node.params.length > 0 || node.hash) && !Object.prototype.hasOwnProperty.call(handlebars.helpers, name)) {
+            throw new Error(`Unknown helper "${name}"`);
+        }
+    };
+    const usePartial = (node) => {
+        if (node.name.type !== 'PathExpression') {
+            throw new Error('Partial names must be written out');
+        }
+        usedPartials.push(node.name.original);
+    };
+
+    checker.MustacheStatement = function (node) {
+        checkHelper(node);
+        return Visitor.prototype.MustacheStatement.call(this, node);
+    };
+    checker.SubExpression = function (node) {
+        checkHelper(node);
+        return Visitor.prototype.SubExpression.call(this, node);
+    };
+    checker.BlockStatement = function (node) {
+        checkHelper(node);
+        return Visitor.prototype.BlockStatement.call(this, node);
+    };
+    checker.PartialStatement = function (node) {
+        usePartial(node);
+        return Visitor.prototype.PartialStatement.call(this, node);
+    };
+    checker.PartialBlockStatement = function (node) {
+        usePartial(node);
+        return Visitor.prototype.PartialBlockStatement.call(this, node);
+    };
+    checker.DecoratorBlock = function (node) {
+        if (node.path.original === 'inline' && node.params[0]) {
+            inlinePartials.add(node.params[0].value);
+        }
+        return Visitor.prototype.DecoratorBlock.call(this, node);
+    };
+
+    checker.accept(Handlebars.parse(source));
+
+    const missing = usedPartials.find(name => !Object.prototype.hasOwnProperty.call(PARTIALS, name) && !inlinePartials.has(name));
+    if (missing) {
+        throw new Error(`Unknown partial "${missing}"`);
+    }
+}
+
+// Templates an organization can use: the built-in ones, then its own
+function listTemplates(organization = null) {
+    const builtIn = Object.entries(BUILT_IN_TEMPLATES).map(([id, template]) => ({
+        id,
+        label: template.label,
+        description: template.description,
+        builtIn: true
+    }));
+    const custom = ((organization && organization.reportTemplates) || []).map(template => ({
+        id: template.id,
+        label: template.label,
+        description: template.description,
+        builtIn: false
+    }));
+    return [...builtIn, ...custom];
+}
+
+function findTemplate(templateId, organization = null) {
+    if (Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, templateId)) {
+        return { id: templateId, ...BUILT_IN_TEMPLATES[templateId] };
+    }
+    return ((organization && organization.reportTemplates) || []).find(template => template.id === templateId) || null;
+}
+
+// A session's report as Markdown, using one of the organization's templates
+function renderReport(session, { template = DEFAULT_TEMPLATE, organization = null } = {}) {
+    const found = findTemplate(template, organization);
+    if (!found) {
+        throw new Error(`Unknown report template "${template}"`);
+    }
+    return handlebars.compile(found.source, TEMPLATE_OPTIONS)(buildReportData(session, { organization }));
+}
+
+// Check a custom template before it is saved
+function normalizeTemplate(templateId, { label, description = '', source } = {}) {
+    if (!TEMPLATE_ID.test(templateId || '')) {
+        throw new Error('Template ids are up to 40 lowercase letters, digits and dashes');
+    }
+    if (Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, templateId)) {
+        throw new Error(`"${templateId}" is a built-in template`);
+    }
+    if (typeof label !== 'string' || !label.trim() || label.length > 80) {
+        throw new Error('Templates need a label of up to 80 characters');
+    }
+    if (typeof description !== 'string' || description.length > 300) {
+        throw new Error('Template descriptions are up to 300 characters');
+    }
+    if (typeof source !== 'string' || !source.trim() || source.length > MAX_TEMPLATE_LENGTH) {
+        throw new Error(`Template source must be text of up to ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+
+    try {
+        checkTemplate(source);
+    } catch (error) {
+        throw new Error(`Template error: ${error.message}`);
+    }
+
+    return { id: templateId, label: label.trim(), description: description.trim(), source };
+}
+
+// An organization's branding, with defaults for anything it has not set
+function getBranding(organization = null) {
+    return { ...DEFAULT_BRANDING, ...((organization && organization.branding) || {}) };
+}
+
+// Check branding settings before they are saved. Empty values go back to
+// the default; settings not given are left out.
+function normalizeBranding(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Branding must be an object');
+    }
+
+    const checks = {
+        logo: value => (LOGO.test(value) && value.length <= MAX_LOGO_LENGTH) ||
+            `Logos must be a PNG or JPEG data URL of up to ${MAX_LOGO_LENGTH / 1024}KB`,
+        primaryColor: value => COLOR.test(value) || 'Colors must be hex values like #2563eb',
+        accentColor: value => COLOR.test(value) || 'Colors must be hex values like #2563eb',
+        fontFamily: value => FONT_FAMILY.test(value) || 'Font families are names separated by commas, like "Georgia, serif"',
+        footerDisclaimer: value => value.length <= MAX_DISCLAIMER_LENGTH ||
+            `Footer disclaimers are up to ${MAX_DISCLAIMER_LENGTH} characters`
+    };
+
+    const branding = {};
+    Object.entries(input).forEach(([key, value]) => {
+        if (!checks[key]) {
+            throw new Error(`Unknown branding setting "${key}"`);
+        }
+        if (value === null || value === '') {
+            branding[key] = DEFAULT_BRANDING[key];
+            return;
+        }
+        if (typeof value !== 'string') {
+            throw new Error(`Branding setting "${key}" must be text`);
+        }
+        const result = checks[key](value.trim());
+        if (result !== true) {
+            throw new Error(result);
+        }
+        branding[key] = value.trim();
+    });
+
+    return branding;
+}
+
+module.exports = {
+    DECISION_LABELS,
+    NEXT_STEPS,
+    DEFAULT_TEMPLATE,
+    HELPERS,
+    PARTIALS,
+    describePrepNeeded,
+    buildReportData,
+    listTemplates,
+    findTemplate,
+    renderReport,
+    normalizeTemplate,
+    getBranding,
+    normalizeBranding
+};
@@ -3,14 +3,34 @@ const CryptoJS = require('crypto-js');
 const fs = require('fs').promises;
 const path = require('path');
 
+// PII patterns in redaction order. Card numbers go before phone numbers so
+// part of a card is never taken for a phone number.
+const PII_PATTERNS = [
+    { type: 'ssn', label: 'SSN', pattern: /\b\d{3}-\d{2}-\d{4}\b/g, replacement: '[SSN REDACTED]' },
+    { type: 'email', label: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, replacement: '[EMAIL REDACTED]' },
+    { type: 'creditCard', label: 'card number', pattern: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g, replacement: '[CC REDACTED]' },
+    { type: 'phone', label: 'phone', pattern: /(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.]\d{4}\b/g, replacement: '[PHONE REDACTED]' },
+    { type: 'ipAddress', label: 'IP address', pattern: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g, replacement: '[IP REDACTED]' }
+];
+
+// "2 email, 1 phone" for a scanPII findings object
+function describePIIFindings(findings = {}) {
+    return PII_PATTERNS
+        .filter(({ type }) => findings[type] > 0)
+        .map(({ type, label }) => `${findings[type]} ${label}`)
+        .join(', ');
+}
+
 class SecurityService {
     constructor() {
-        this.encryptionKey = process.env.ENCRYPTION_KEY || this.generateKey();
+        // No key is generated in its place: it would change on every start
+        // and differ between instances, leaving earlier uploads unreadable
+        this.encryptionKey = process.env.ENCRYPTION_KEY || null;
         this.initializeSecurityFeatures();
     }
 
-    generateKey() {
-        return crypto.randomBytes(32).toString('hex');
+    hasEncryptionKey() {
+        return Boolean(this.encryptionKey);
     }
 
     async initializeSecurityFeatures() {
@@ -25,12 +45,18 @@ class SecurityService {
 
     // Encrypt sensitive data
     encryptData(data) {
+        if (!this.encryptionKey) {
+            throw new Error('ENCRYPTION_KEY is not set');
+        }
         const dataString = typeof data === 'string' ? data : JSON.stringify(data);
         return CryptoJS.AES.encrypt(dataString, this.encryptionKey).toString();
     }
 
     // Decrypt sensitive data
     decryptData(encryptedData) {
+        if (!this.encryptionKey) {
+            return null;
+        }
         try {
             const bytes = CryptoJS.AES.decrypt(encryptedData, this.encryptionKey);
             return bytes.toString(CryptoJS.enc.Utf8);
@@ -40,26 +66,26 @@ class SecurityService {
         }
     }
 
+    // Find and redact PII, counting matches per type
+    scanPII(text) {
+        const findings = {};
+        let redactedText = text;
+
+        PII_PATTERNS.forEach(({ type, pattern, replacement }) => {
+            findings[type] = 0;
+            redactedText = redactedText.replace(pattern, () => {
+                findings[type]++;
+                return replacement;
+            });
+        });
+
+        const total = Object.values(findings).reduce((sum, count) => sum + count, 0);
+        return { findings, total, redactedText };
+    }
+
     // Redact PII from text
     redactPII(text) {
-        const patterns = {
-            ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
-            email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-            phone: /\b\d{3}-\d{3}-\d{4}\b/g,
-            creditCard: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g,
-            ipAddress: /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g
-        };
-
-        let redactedText = text;
-        
-        // Replace patterns with redacted versions
-        redactedText = redactedText.replace(patterns.ssn, '[SSN REDACTED]');
-        redactedText = redactedText.replace(patterns.email, '[EMAIL REDACTED]');
-        redactedText = redactedText.replace(patterns.phone, '[PHONE REDACTED]');
-        redactedText = redactedText.replace(patterns.creditCard, '[CC REDACTED]');
-        redactedText = redactedText.replace(patterns.ipAddress, '[IP REDACTED]');
-        
-        return redactedText;
+        return this.scanPII(text).redactedText;
     }
 
     // Generate secure file path
@@ -69,12 +95,15 @@ class SecurityService {
         return path.join('secure', `${uniqueId}-${sanitizedFilename}`);
     }
 
-    // Secure file storage
+    // Secure file storage. Buffers (e.g. uploaded PDFs) are stored as base64
+    // and come back from retrieveSecureFile as Buffers.
     async storeFileSecurely(filePath, content, metadata = {}) {
         const secureFilePath = this.generateSecureFilePath(path.basename(filePath));
+        const encoding = Buffer.isBuffer(content) ? 'base64' : 'utf8';
+        const storedContent = Buffer.isBuffer(content) ? content.toString('base64') : content;
         
         // Encrypt file content
-        const encryptedContent = this.encryptData(content);
+        const encryptedContent = this.encryptData(storedContent);
         
         // Store encrypted file
         await fs.writeFile(path.join(__dirname, secureFilePath), encryptedContent, {
@@ -86,8 +115,9 @@ class SecurityService {
         const encryptedMetadata = this.encryptData({
             ...metadata,
             originalPath: filePath,
+            encoding,
             storedAt: new Date().toISOString(),
-            checksum: this.generateChecksum(content)
+            checksum: this.generateChecksum(storedContent)
         });
         
         await fs.writeFile(path.join(__dirname, metadataPath), encryptedMetadata, {
@@ -117,11 +147,14 @@ class SecurityService {
             }
             
             return {
-                content,
+                content: metadata.encoding === 'base64' ? Buffer.from(content, 'base64') : content,
                 metadata
             };
         } catch (error) {
-            console.error('Failed to retrieve secure file:', error);
+            // Purged files are expected to be gone
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to retrieve secure file:', error);
+            }
             return null;
         }
     }
@@ -134,26 +167,34 @@ class SecurityService {
             .digest('hex');
     }
 
-    // Auto-purge old files
-    async purgeOldFiles(maxAgeHours = 24) {
-        const secureDir = path.join(__dirname, 'secure');
+    // Auto-purge old files: encrypted uploads in secure/, plus any plaintext
+    // files left in the legacy upload directory
+    async purgeOldFiles(maxAgeHours = parseFloat(process.env.FILE_RETENTION_HOURS) || 24) {
+        const directories = [
+            path.join(__dirname, 'secure'),
+            path.resolve(process.env.UPLOAD_PATH || 'uploads')
+        ];
         const now = Date.now();
         const maxAge = maxAgeHours * 60 * 60 * 1000;
         
-        try {
-            const files = await fs.readdir(secureDir);
-            
-            for (const file of files) {
-                const filePath = path.join(secureDir, file);
-                const stats = await fs.stat(filePath);
+        for (const directory of directories) {
+            try {
+                const files = await fs.readdir(directory);
                 
-                if (now - stats.mtime.getTime() > maxAge) {
-                    await fs.unlink(filePath);
-                    console.log(`Purged old file: ${file}`);
+                for (const file of files) {
+                    const filePath = path.join(directory, file);
+                    const stats = await fs.stat(filePath);
+                    
+                    if (stats.isFile() && now - stats.mtime.getTime() > maxAge) {
+                        await fs.unlink(filePath);
+                        console.log(`Purged old file: ${file}`);
+                    }
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Failed to purge old files:', error);
                 }
             }
-        } catch (error) {
-            console.error('Failed to purge old files:', error);
         }
     }
 
@@ -199,21 +240,6 @@ class SecurityService {
         };
     }
 
-    // Input sanitization
-    sanitizeInput(input) {
-        if (typeof input !== 'string') {
-            return input;
-        }
-        
-        // Remove potential XSS vectors
-        return input
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#x27;')
-            .replace(/\//g, '&#x2F;');
-    }
-
     // Rate limiting per user/IP
     createUserRateLimiter() {
         const attempts = new Map();
@@ -260,25 +286,6 @@ function createSecurityMiddleware(securityService) {
             next();
         },
         
-        // Validate and sanitize input
-        sanitizeInput: (req, res, next) => {
-            // Sanitize body
-            if (req.body) {
-                Object.keys(req.body).forEach(key => {
-                    req.body[key] = securityService.sanitizeInput(req.body[key]);
-                });
-            }
-            
-            // Sanitize query params
-            if (req.query) {
-                Object.keys(req.query).forEach(key => {
-                    req.query[key] = securityService.sanitizeInput(req.query[key]);
-                });
-            }
-            
-            next();
-        },
-        
         // Apply security headers
         securityHeaders: (req, res, next) => {
             const cspHeaders = securityService.getCSPHeaders();
@@ -321,6 +328,8 @@ function startSecurityTasks(securityService) {
 }
 
 module.exports = {
+    PII_PATTERNS,
+    describePIIFindings,
     SecurityService,
     createSecurityMiddleware,
     startSecurityTasks
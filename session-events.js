@@ -0,0 +1,120 @@
+// Live events for co-coaching: several staff members in one COMPAS session.
+//
+// Everyone with a session open holds a Server-Sent Events connection. Chat
+// messages, stage changes, uploads, typing and presence are published to
+// every connection on the session except the one that caused them, which
+// already shows the change.
+//
+// Connections live in this process, so collaborators must reach the same
+// long-running server. Serverless functions buffer their responses and
+// cannot hold an event stream open, so the events routes are disabled there
+// (see GET /capabilities). Saves are guarded by the session store's version
+// check, which works across processes.
+
+const { v4: uuidv4 } = require('uuid');
+
+// Comment lines keep idle streams open through proxies
+const HEARTBEAT_MS = 25000;
+
+class SessionEventHub {
+    constructor() {
+        // sessionId -> Map(connectionId -> { user, send })
+        this.connections = new Map();
+        // sessionId -> promise of the last queued change
+        this.queues = new Map();
+    }
+
+    // Register a connection; `send(event, data)` writes to it. Returns the
+    // connection id and an unsubscribe function.
+    subscribe(sessionId, user, send) {
+        const connectionId = uuidv4();
+        if (!this.connections.has(sessionId)) {
+            this.connections.set(sessionId, new Map());
+        }
+        this.connections.get(sessionId).set(connectionId, { user, send });
+        this.publishPresence(sessionId, connectionId);
+
+        const unsubscribe = () => {
+            const connections = this.connections.get(sessionId);
+            if (!connections || !connections.delete(connectionId)) {
+                return;
+            }
+            if (connections.size === 0) {
+                this.connections.delete(sessionId);
+            }
+            this.publishPresence(sessionId);
+        };
+
+        return { connectionId, unsubscribe };
+    }
+
+    // Send an event to everyone on the session, except `origin` when given
+    publish(sessionId, event, data, { origin } = {}) {
+        const connections = this.connections.get(sessionId);
+        if (!connections) {
+            return;
+        }
+
+        connections.forEach((connection, connectionId) => {
+            if (connectionId === origin) {
+                return;
+            }
+            try {
+                connection.send(event, data);
+            } catch (error) {
+                console.error(`Failed to send ${event} event:`, error);
+            }
+        });
+    }
+
+    // Users connected to a session; several tabs count once
+    getPresence(sessionId) {
+        const users = new Map();
+        (this.connections.get(sessionId) || new Map()).forEach(({ user }) => {
+            users.set(user.id, { id: user.id, username: user.username });
+        });
+        return Array.from(users.values());
+    }
+
+    publishPresence(sessionId, origin) {
+        this.publish(sessionId, 'presence', { participants: this.getPresence(sessionId) }, { origin });
+    }
+
+    // Run changes to one session one at a time in this process, so they do
+    // not keep failing each other's version checks
+    runExclusive(sessionId, task) {
+        const previous = this.queues.get(sessionId) || Promise.resolve();
+        const result = previous.then(task);
+        const settled = result.catch(() => {});
+
+        this.queues.set(sessionId, settled);
+        settled.then(() => {
+            if (this.queues.get(sessionId) === settled) {
+                this.queues.delete(sessionId);
+            }
+        });
+
+        return result;
+    }
+}
+
+// Prepare a response for Server-Sent Events; returns its send(event, data)
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+module.exports = {
+    HEARTBEAT_MS,
+    SessionEventHub,
+    openEventStream
+};
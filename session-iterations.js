@@ -0,0 +1,167 @@
+// Iterations: follow-up sessions that pick up a completed plan once it has
+// run. A new iteration starts in Scaling & Learning with the previous plan,
+// its measured results and its learning questions, so the team can review
+// what happened against the plan and decide to scale, pivot or kill.
+//
+// Every session for the same challenge shares the first session's id as its
+// root. The root session counts the versions, so each iteration gets the next
+// number even when two are started at once.
+
+const { v4: uuidv4 } = require('uuid');
+const { SessionState, COMPAS_STAGES } = require('./compas-engine');
+const { describeAssessment } = require('./measure-tracking');
+const { resolveSessionRole } = require('./organizations');
+
+// Stages whose data carries over to the next iteration
+const CARRIED_STAGES = [
+    COMPAS_STAGES.CONTEXT_DISCOVERY,
+    COMPAS_STAGES.OBJECTIVE_DEFINITION,
+    COMPAS_STAGES.METHOD_IDEATION,
+    COMPAS_STAGES.METHOD_SELECTION,
+    COMPAS_STAGES.IMPLEMENTATION_PLAN
+];
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getRootSessionId(session) {
+    return session.lineage ? session.lineage.rootSessionId : session.sessionId;
+}
+
+function getVersion(session) {
+    return session.lineage ? session.lineage.version : 1;
+}
+
+// What each measure reached by the time the iteration started
+function summarizeResults(session) {
+    return describeAssessment(session).measures.map(measure => ({
+        metric: measure.metric,
+        baseline: measure.baseline,
+        target: measure.target,
+        latest: measure.latest ? { value: measure.latest.value, date: measure.latest.date } : null,
+        entryCount: measure.entries.length,
+        progress: measure.progress,
+        status: measure.status,
+        reason: measure.reason
+    }));
+}
+
+function assertComplete(parent) {
+    if (parent.stage !== COMPAS_STAGES.COMPLETE) {
+        throw new Error('Finish the plan before starting its next iteration');
+    }
+}
+
+// A new session continuing `parent` at `version`, started by `user`
+function createIterationSession(parent, { sessionId, user, version }) {
+    assertComplete(parent);
+
+    // The challenge keeps its owner; an editor starting the next version
+    // does not take it over
+    const ownerId = parent.ownerId || user.id;
+    const session = new SessionState(sessionId, ownerId);
+    session.organizationId = parent.organizationId;
+
+    // Everyone on the previous version can work on this one, including
+    // whoever started it
+    session.collaborators = copy(parent.collaborators).filter(c => c.userId !== user.id);
+    if (user.id !== ownerId) {
+        session.collaborators.push({ userId: user.id, username: user.username, role: 'editor', invitedBy: user.id, invitedAt: new Date() });
+    }
+
+    CARRIED_STAGES.forEach(stage => {
+        session.stageData[stage] = { ...copy(parent.stageData[stage]), completed: true, stale: false, skipped: false };
+    });
+    session.planEdits = copy(parent.planEdits);
+    session.methodScoring = copy(parent.methodScoring);
+
+    // One decision to make per learning question
+    session.stageData[COMPAS_STAGES.SCALING_LEARNING].learningDecisions =
+        (parent.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN].learningQuestions || []).map(question => ({ question }));
+
+    session.lineage = {
+        rootSessionId: getRootSessionId(parent),
+        parentSessionId: parent.sessionId,
+        version,
+        createdAt: new Date(),
+        previousResults: summarizeResults(parent)
+    };
+    session.transitionTo(COMPAS_STAGES.SCALING_LEARNING, {
+        type: 'iteration',
+        triggeredBy: 'user',
+        reason: `Continues version ${getVersion(parent)}`,
+        author: { id: user.id, username: user.username }
+    });
+
+    return session;
+}
+
+// Add the iteration routes to a router
+function createIterationRoutes(router, { loadSession, sessionStore, organizationService, saveSession, updateSession, summarizeSession }) {
+    // Every session for the same challenge, oldest version first
+    const listLineage = async (rootSessionId) => (await sessionStore.list())
+        .filter(session => getRootSessionId(session) === rootSessionId)
+        .sort((a, b) => getVersion(a) - getVersion(b));
+
+    // Take the next version number from the root session's count, under its
+    // version check. The versions saved so far start the count for
+    // challenges numbered before it was kept, or whose root has expired.
+    const claimVersion = async (rootSessionId) => {
+        const latest = Math.max(...(await listLineage(rootSessionId)).map(getVersion));
+        try {
+            return await updateSession(rootSessionId, (root) => {
+                root.latestVersion = Math.max(root.latestVersion || 1, latest) + 1;
+                return root.latestVersion;
+            });
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+            return latest + 1;
+        }
+    };
+
+    router.post('/sessions/:sessionId/iterations', loadSession('editor'), async (req, res) => {
+        const parent = req.compasSession;
+        let session;
+
+        try {
+            // Check first, so an unfinished plan does not use up a number
+            assertComplete(parent);
+            const version = await claimVersion(getRootSessionId(parent));
+            session = createIterationSession(parent, { sessionId: uuidv4(), user: req.user, version });
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+        await saveSession(session);
+
+        res.status(201).json({ sessionId: session.sessionId, stage: session.stage, lineage: session.lineage });
+    });
+
+    // The versions of this session's challenge the user can open
+    router.get('/sessions/:sessionId/lineage', loadSession('viewer'), async (req, res) => {
+        const rootSessionId = getRootSessionId(req.compasSession);
+        const organizations = await organizationService.listForUser(req.user);
+        const organizationsById = new Map(organizations.map(organization => [organization.id, organization]));
+
+        const versions = (await listLineage(rootSessionId))
+            .map(session => ({
+                session,
+                role: resolveSessionRole(session, req.user, organizationsById.get(session.organizationId))
+            }))
+            .filter(({ role }) => role)
+            .map(({ session, role }) => ({
+                ...summarizeSession(session),
+                parentSessionId: session.lineage ? session.lineage.parentSessionId : null,
+                role
+            }));
+
+        res.json({ rootSessionId, versions });
+    });
+}
+
+module.exports = {
+    createIterationSession,
+    createIterationRoutes
+};
@@ -0,0 +1,451 @@
+// Session storage adapters for COMPAS Navigator
+//
+// Every adapter exposes the same async interface:
+//   get(id)            -> session or null
+//   getVersioned(id)   -> { session, version } or null
+//   set(id, session, { expectedVersion })
+//                      -> stores the session (resets its expiry)
+//   delete(id)         -> removes the session
+//   list()             -> all live sessions
+//   expire(id, ttlMs)  -> changes when a single session expires
+//   purgeExpired()     -> removes every expired session, returns the count
+//
+// Sessions are stored as plain JSON. Pass a `hydrate` function to turn the
+// stored data back into a SessionState instance on read. A `ttlMs` of null
+// keeps records forever, which lets the same adapters store user accounts.
+//
+// Passing the `expectedVersion` from getVersioned makes `set` a
+// compare-and-set: it throws an error with code VERSION_CONFLICT when the
+// record changed since it was read (null: it must not exist yet). This keeps
+// concurrent writers, in any process, from overwriting each other.
+//
+// The file store suits a single long-running server. Serverless instances
+// each have their own temporary disk, so deploys there use Netlify Blobs:
+// it is the default wherever NETLIFY is set, as the functions do.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getStore } = require('@netlify/blobs');
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function identity(data) {
+    return data;
+}
+
+function serialize(session) {
+    return JSON.parse(JSON.stringify(session));
+}
+
+function expiryFrom(now, ttlMs) {
+    return ttlMs === null ? null : now + ttlMs;
+}
+
+function isExpired(record, now = Date.now()) {
+    return record.expiresAt !== null && record.expiresAt <= now;
+}
+
+function versionConflict(id) {
+    return Object.assign(new Error(`Record ${id} changed since it was read`), { code: 'VERSION_CONFLICT' });
+}
+
+// Records written before versioning count as version 0
+function checkVersion(id, record, expectedVersion) {
+    const version = record ? record.version || 0 : null;
+    if (expectedVersion !== undefined && version !== expectedVersion) {
+        throw versionConflict(id);
+    }
+    return version;
+}
+
+// In-memory store, used for tests and local experiments
+class MemorySessionStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : DEFAULT_TTL_MS;
+        this.hydrate = options.hydrate || identity;
+        this.records = new Map();
+    }
+
+    async get(id) {
+        const entry = await this.getVersioned(id);
+        return entry ? entry.session : null;
+    }
+
+    async getVersioned(id) {
+        const record = this.records.get(id);
+        if (!record) {
+            return null;
+        }
+
+        if (isExpired(record)) {
+            this.records.delete(id);
+            return null;
+        }
+
+        return { session: this.hydrate(serialize(record.data)), version: record.version };
+    }
+
+    async set(id, session, { expectedVersion } = {}) {
+        const version = checkVersion(id, this.records.get(id), expectedVersion);
+        const now = Date.now();
+        this.records.set(id, {
+            data: serialize(session),
+            version: (version || 0) + 1,
+            updatedAt: now,
+            expiresAt: expiryFrom(now, this.ttlMs)
+        });
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+
+    async list() {
+        await this.purgeExpired();
+        return Array.from(this.records.values()).map(record => this.hydrate(serialize(record.data)));
+    }
+
+    async expire(id, ttlMs) {
+        const record = this.records.get(id);
+        if (!record) {
+            return false;
+        }
+
+        record.expiresAt = Date.now() + ttlMs;
+        return true;
+    }
+
+    async purgeExpired() {
+        const now = Date.now();
+        let purged = 0;
+
+        for (const [id, record] of this.records) {
+            if (isExpired(record, now)) {
+                this.records.delete(id);
+                purged++;
+            }
+        }
+
+        return purged;
+    }
+}
+
+// File-backed store: one JSON document per session
+class FileSessionStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(__dirname, 'data', 'sessions');
+        this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : DEFAULT_TTL_MS;
+        this.hydrate = options.hydrate || identity;
+        this.ready = null;
+        // Writes run one at a time, so a version check and its write are
+        // never split by another write from this process
+        this.writing = Promise.resolve();
+    }
+
+    // Create the directory on first use. A failure, e.g. on a read-only
+    // filesystem, is thrown by the call that needed it and retried by the next.
+    ensureDirectory() {
+        if (!this.ready) {
+            this.ready = fs.mkdir(this.directory, { recursive: true, mode: 0o700 }).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    filePath(id) {
+        // Ids are UUIDs or usernames; anything else must not escape the directory
+        const safeId = String(id).replace(/[^a-z0-9_-]/gi, '_');
+        return path.join(this.directory, `${safeId}.json`);
+    }
+
+    async readRecord(id) {
+        await this.ensureDirectory();
+        try {
+            const raw = await fs.readFile(this.filePath(id), 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read session ${id}:`, error);
+            }
+            return null;
+        }
+    }
+
+    exclusive(task) {
+        const result = this.writing.then(task);
+        this.writing = result.catch(() => {});
+        return result;
+    }
+
+    async writeRecord(id, record) {
+        await this.ensureDirectory();
+        const target = this.filePath(id);
+        const temp = `${target}.${process.pid}.tmp`;
+
+        // Write then rename so a crash never leaves a half-written session
+        await fs.writeFile(temp, JSON.stringify(record), { mode: 0o600 });
+        await fs.rename(temp, target);
+    }
+
+    async get(id) {
+        const entry = await this.getVersioned(id);
+        return entry ? entry.session : null;
+    }
+
+    async getVersioned(id) {
+        const record = await this.readRecord(id);
+        if (!record) {
+            return null;
+        }
+
+        if (isExpired(record)) {
+            await this.delete(id);
+            return null;
+        }
+
+        return { session: this.hydrate(record.data), version: record.version || 0 };
+    }
+
+    set(id, session, { expectedVersion } = {}) {
+        return this.exclusive(async () => {
+            const version = checkVersion(id, await this.readRecord(id), expectedVersion);
+            const now = Date.now();
+            await this.writeRecord(id, {
+                id,
+                data: serialize(session),
+                version: (version || 0) + 1,
+                updatedAt: now,
+                expiresAt: expiryFrom(now, this.ttlMs)
+            });
+        });
+    }
+
+    async delete(id) {
+        await this.ensureDirectory();
+        try {
+            await fs.unlink(this.filePath(id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async list() {
+        await this.ensureDirectory();
+        const files = await fs.readdir(this.directory);
+        const sessions = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+
+            const session = await this.get(path.basename(file, '.json'));
+            if (session) {
+                sessions.push(session);
+            }
+        }
+
+        return sessions;
+    }
+
+    expire(id, ttlMs) {
+        return this.exclusive(async () => {
+            const record = await this.readRecord(id);
+            if (!record) {
+                return false;
+            }
+
+            record.expiresAt = Date.now() + ttlMs;
+            await this.writeRecord(id, record);
+            return true;
+        });
+    }
+
+    async purgeExpired() {
+        await this.ensureDirectory();
+        const files = await fs.readdir(this.directory);
+        const now = Date.now();
+        let purged = 0;
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+
+            const id = path.basename(file, '.json');
+            const record = await this.readRecord(id);
+            if (record && isExpired(record, now)) {
+                await this.delete(id);
+                purged++;
+            }
+        }
+
+        return purged;
+    }
+}
+
+// Netlify Blobs store: one JSON blob per record in a named store, shared by
+// every function instance. Inside Netlify functions the site's own Blobs
+// access is used (see connectLambda in netlify/functions/simple-api.js);
+// elsewhere, or for strongly consistent reads through the Netlify API, give a
+// `siteID` and `token`. Tests pass a ready `blobs` store. Versions are the
+// blobs' ETags, checked by Netlify Blobs itself.
+class BlobSessionStore {
+    constructor(options = {}) {
+        this.name = options.name || 'compas-sessions';
+        this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : DEFAULT_TTL_MS;
+        this.hydrate = options.hydrate || identity;
+        this.siteID = options.siteID;
+        this.token = options.token;
+        this.blobs = options.blobs || null;
+    }
+
+    // The Blobs environment only exists once a request has arrived, so the
+    // store is opened on first use
+    store() {
+        if (!this.blobs) {
+            const credentials = this.siteID && this.token ? { siteID: this.siteID, token: this.token } : {};
+            this.blobs = getStore({ name: this.name, ...credentials });
+        }
+        return this.blobs;
+    }
+
+    readRecord(id) {
+        return this.store().get(String(id), { type: 'json' });
+    }
+
+    writeRecord(id, record) {
+        return this.store().setJSON(String(id), record);
+    }
+
+    async get(id) {
+        const entry = await this.getVersioned(id);
+        return entry ? entry.session : null;
+    }
+
+    async getVersioned(id) {
+        const key = String(id);
+        let result = await this.store().getWithMetadata(key, { type: 'json' });
+
+        // The local development server only reports ETags when listing. Take
+        // the ETag before reading again, so a write in between fails the check.
+        if (result && !result.etag) {
+            const listed = (await this.store().list({ prefix: key })).blobs.find(blob => blob.key === key);
+            result = listed ? await this.store().getWithMetadata(key, { type: 'json' }) : null;
+            if (result) {
+                result.etag = listed.etag;
+            }
+        }
+
+        if (!result) {
+            return null;
+        }
+
+        if (isExpired(result.data)) {
+            await this.delete(id);
+            return null;
+        }
+
+        return { session: this.hydrate(result.data.data), version: result.etag };
+    }
+
+    async set(id, session, { expectedVersion } = {}) {
+        const now = Date.now();
+        const conditions = expectedVersion === undefined ? {}
+            : expectedVersion === null ? { onlyIfNew: true }
+                : { onlyIfMatch: expectedVersion };
+
+        const { modified } = await this.store().setJSON(String(id), {
+            id,
+            data: serialize(session),
+            updatedAt: now,
+            expiresAt: expiryFrom(now, this.ttlMs)
+        }, conditions);
+
+        if (!modified) {
+            throw versionConflict(id);
+        }
+    }
+
+    async delete(id) {
+        await this.store().delete(String(id));
+    }
+
+    async list() {
+        const { blobs } = await this.store().list();
+        const sessions = [];
+
+        for (const { key } of blobs) {
+            const session = await this.get(key);
+            if (session) {
+                sessions.push(session);
+            }
+        }
+
+        return sessions;
+    }
+
+    async expire(id, ttlMs) {
+        const record = await this.readRecord(id);
+        if (!record) {
+            return false;
+        }
+
+        record.expiresAt = Date.now() + ttlMs;
+        await this.writeRecord(id, record);
+        return true;
+    }
+
+    async purgeExpired() {
+        const { blobs } = await this.store().list();
+        const now = Date.now();
+        let purged = 0;
+
+        for (const { key } of blobs) {
+            const record = await this.readRecord(key);
+            if (record && isExpired(record, now)) {
+                await this.delete(key);
+                purged++;
+            }
+        }
+
+        return purged;
+    }
+}
+
+// Pick an adapter from options or the environment. `name` keeps sessions,
+// users and organizations apart in stores without a directory.
+function createSessionStore(options = {}) {
+    const type = options.type || process.env.SESSION_STORE || (process.env.NETLIFY ? 'netlify-blobs' : 'file');
+    const ttlHours = parseFloat(process.env.SESSION_TTL_HOURS);
+    const storeOptions = {
+        ttlMs: options.ttlMs !== undefined ? options.ttlMs : (ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : DEFAULT_TTL_MS),
+        hydrate: options.hydrate,
+        directory: options.directory || process.env.SESSION_STORE_PATH,
+        name: `compas-${options.name || 'sessions'}`,
+        siteID: process.env.NETLIFY_BLOBS_SITE_ID,
+        token: process.env.NETLIFY_BLOBS_TOKEN
+    };
+
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore(storeOptions);
+        case 'file':
+            return new FileSessionStore(storeOptions);
+        case 'netlify-blobs':
+            return new BlobSessionStore(storeOptions);
+        default:
+            throw new Error(`Unknown session store type: ${type}`);
+    }
+}
+
+module.exports = {
+    MemorySessionStore,
+    FileSessionStore,
+    BlobSessionStore,
+    createSessionStore
+};
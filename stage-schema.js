@@ -0,0 +1,272 @@
+// Structured-output support for stage analysis: JSON schemas derived from the
+// stage criteria, a small validator for the subset of JSON Schema we use, and
+// tolerant extraction of a JSON object from free-text model output.
+
+// Schema for every field the analysis model may extract into stageData
+const FIELD_SCHEMAS = {
+    situationDescription: { type: 'string' },
+    stakeholders: { type: 'array', items: { type: 'string' } },
+    constraints: { type: 'array', items: { type: 'string' } },
+    rootProblem: { type: 'string' },
+    problemStatement: { type: 'string' },
+    methods: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                rationale: { type: 'string' },
+                complexity: { type: 'string' }
+            },
+            required: ['name'],
+            additionalProperties: false
+        }
+    },
+    chosenMethod: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' }
+        },
+        required: ['name'],
+        additionalProperties: false
+    },
+    methodRationale: { type: 'string' },
+    implementationSteps: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                owner: { type: 'string' },
+                timeline: { type: 'string' },
+                description: { type: 'string' },
+                resources: { type: 'string' },
+                startDate: { type: 'string', format: 'date' },
+                endDate: { type: 'string', format: 'date' },
+                durationDays: { type: 'number', minimum: 0 },
+                dependsOn: { type: 'array', items: { type: 'string' } },
+                milestone: { type: 'boolean' }
+            },
+            required: ['title'],
+            additionalProperties: false
+        }
+    },
+    timeline: { type: 'string' },
+    performanceMeasures: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                metric: { type: 'string' },
+                baseline: { type: 'string' },
+                target: { type: 'string' },
+                targetDate: { type: 'string', format: 'date' },
+                collection: { type: 'string' },
+                frequency: { type: 'string' }
+            },
+            required: ['metric'],
+            additionalProperties: false
+        }
+    },
+    learningQuestions: { type: 'array', items: { type: 'string' } },
+    outcomeReview: { type: 'string' },
+    learningDecisions: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                question: { type: 'string' },
+                answer: { type: 'string' },
+                decision: { type: 'string', enum: ['scale', 'pivot', 'kill'] },
+                rationale: { type: 'string' }
+            },
+            required: ['question'],
+            additionalProperties: false
+        }
+    },
+    finalReport: { type: 'string' }
+};
+
+// Schema for `extractedData` in a stage: the stage's required fields plus any
+// optional ones. Extraction may be partial, so no field is mandatory per turn.
+function buildExtractedDataSchema(criteria) {
+    const fields = [...criteria.required, ...(criteria.optional || [])];
+    const properties = {};
+
+    fields.forEach(field => {
+        properties[field] = FIELD_SCHEMAS[field] || { type: 'string' };
+    });
+
+    return {
+        type: 'object',
+        properties,
+        additionalProperties: false
+    };
+}
+
+// Schema for the whole analysis reply in a stage
+function buildAnalysisSchema(criteria) {
+    return {
+        type: 'object',
+        properties: {
+            shouldProgress: { type: 'boolean' },
+            progressReason: { type: 'string' },
+            extractedData: buildExtractedDataSchema(criteria),
+            completionPercentage: { type: 'number', minimum: 0, maximum: 100 },
+            missingInformation: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['shouldProgress', 'extractedData'],
+        additionalProperties: false
+    };
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// A real calendar date written as YYYY-MM-DD
+function isDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Validate a value against a schema; returns a list of "path: problem" strings
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = typeOf(value);
+
+    if (schema.type && actualType !== schema.type) {
+        errors.push(`${path}: expected ${schema.type}, got ${actualType}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.format === 'date' && !isDate(value)) {
+        errors.push(`${path}: must be a date (YYYY-MM-DD)`);
+    }
+
+    if (actualType === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    if (actualType === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: unknown key`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Keep only the keys of `data` the schema declares and whose values validate
+function pickValidFields(data, schema) {
+    const valid = {};
+    const rejected = [];
+
+    Object.keys(data || {}).forEach(key => {
+        const fieldSchema = schema.properties[key];
+        if (!fieldSchema) {
+            rejected.push(key);
+            return;
+        }
+
+        if (validateAgainstSchema(data[key], fieldSchema).length > 0) {
+            rejected.push(key);
+            return;
+        }
+
+        valid[key] = data[key];
+    });
+
+    return { valid, rejected };
+}
+
+// Find the JSON object in a model reply, tolerating code fences and prose
+function extractJSON(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Model reply is empty');
+    }
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    if (start === -1) {
+        throw new Error('No JSON object found in model reply');
+    }
+
+    // Walk to the matching closing brace, skipping braces inside strings
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < candidate.length; i++) {
+        const char = candidate[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return JSON.parse(candidate.slice(start, i + 1));
+            }
+        }
+    }
+
+    throw new Error('Unterminated JSON object in model reply');
+}
+
+module.exports = {
+    FIELD_SCHEMAS,
+    isDate,
+    buildExtractedDataSchema,
+    buildAnalysisSchema,
+    validateAgainstSchema,
+    pickValidFields,
+    extractJSON
+};
@@ -0,0 +1,224 @@
+// Task tracker export: the implementation plan as a flat task list, written
+// as CSV or JSON for spreadsheet trackers and kanban tools.
+//
+// Every implementation step is a task, scheduled by plan-timeline, and every
+// performance measure is a task to start tracking it. Every learning question
+// is a Scaling & Learning task to decide on once the plan has run. Tasks are
+// labelled with the COMPAS stage they belong to. A column mapping picks
+// and names the output columns, so the file matches what a tool's importer
+// expects; presets cover common tools.
+
+const { COMPAS_STAGES } = require('./compas-engine');
+const { buildTimeline } = require('./plan-timeline');
+
+// Task fields a column can hold
+const TASK_FIELDS = [
+    'id',
+    'title',
+    'description',
+    'owner',
+    'startDate',
+    'dueDate',
+    'durationDays',
+    'dependencies',
+    'dependencyIds',
+    'labels',
+    'stage',
+    'milestone',
+    'critical',
+    'resources'
+];
+
+// Column headings -> task fields, in column order
+const COLUMN_PRESETS = {
+    default: {
+        'ID': 'id',
+        'Title': 'title',
+        'Description': 'description',
+        'Owner': 'owner',
+        'Start Date': 'startDate',
+        'Due Date': 'dueDate',
+        'Dependencies': 'dependencies',
+        'Labels': 'labels'
+    },
+    asana: {
+        'Name': 'title',
+        'Description': 'description',
+        'Assignee': 'owner',
+        'Start Date': 'startDate',
+        'Due Date': 'dueDate',
+        'Tags': 'labels'
+    },
+    jira: {
+        'Summary': 'title',
+        'Description': 'description',
+        'Assignee': 'owner',
+        'Due date': 'dueDate',
+        'Labels': 'labels'
+    }
+};
+
+// Stage names as the app shows them, for task labels
+const STAGE_LABELS = {
+    [COMPAS_STAGES.CONTEXT_DISCOVERY]: 'Context Discovery',
+    [COMPAS_STAGES.OBJECTIVE_DEFINITION]: 'Objective Definition',
+    [COMPAS_STAGES.METHOD_IDEATION]: 'Method Ideation',
+    [COMPAS_STAGES.METHOD_SELECTION]: 'Method Selection',
+    [COMPAS_STAGES.IMPLEMENTATION_PLAN]: 'Implementation Plan',
+    [COMPAS_STAGES.SCALING_LEARNING]: 'Scaling & Learning'
+};
+
+// A preset name, or an object of column headings to task fields. Throws on
+// anything else, naming the problem.
+function resolveColumns(columns) {
+    if (columns === undefined || columns === null || columns === '') {
+        return COLUMN_PRESETS.default;
+    }
+    if (typeof columns === 'string') {
+        if (!COLUMN_PRESETS[columns]) {
+            throw new Error(`Unknown column preset: ${columns} (use ${Object.keys(COLUMN_PRESETS).join(', ')})`);
+        }
+        return COLUMN_PRESETS[columns];
+    }
+    if (typeof columns !== 'object' || Array.isArray(columns) || Object.keys(columns).length === 0) {
+        throw new Error('columns must be a preset name or an object of column headings to task fields');
+    }
+
+    Object.entries(columns).forEach(([heading, field]) => {
+        if (!TASK_FIELDS.includes(field)) {
+            throw new Error(`Column "${heading}" maps to unknown field "${field}" (fields: ${TASK_FIELDS.join(', ')})`);
+        }
+    });
+    return columns;
+}
+
+// The plan's tasks, with all fields. Dates are empty when the steps cannot be
+// scheduled.
+function buildTasks(session) {
+    const planData = session.stageData[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+    const timeline = buildTimeline(planData);
+    const steps = planData.implementationSteps || [];
+    const scheduled = steps.length > 0 && timeline.errors.length === 0;
+    const planStage = STAGE_LABELS[COMPAS_STAGES.IMPLEMENTATION_PLAN];
+    const learningStage = STAGE_LABELS[COMPAS_STAGES.SCALING_LEARNING];
+    const idOf = new Map(steps.map((step, index) => [String(step.title).trim().toLowerCase(), `T${index + 1}`]));
+
+    const stepTasks = steps.map((step, index) => {
+        const scheduled = timeline.steps[index];
+        const dependencies = step.dependsOn || [];
+        const labels = ['COMPAS', planStage];
+        if (step.milestone) labels.push('Milestone');
+        if (scheduled && scheduled.critical) labels.push('Critical path');
+
+        return {
+            id: `T${index + 1}`,
+            title: step.title,
+            description: step.description || '',
+            owner: step.owner || '',
+            startDate: scheduled ? scheduled.startDate : '',
+            dueDate: scheduled ? scheduled.endDate : '',
+            durationDays: scheduled ? scheduled.durationDays : '',
+            dependencies,
+            dependencyIds: dependencies.map(title => idOf.get(String(title).trim().toLowerCase())).filter(Boolean),
+            labels,
+            stage: planStage,
+            milestone: Boolean(step.milestone),
+            critical: Boolean(scheduled && scheduled.critical),
+            resources: step.resources || ''
+        };
+    });
+
+    // Measurement starts with the plan and runs alongside it
+    const measureTasks = (planData.performanceMeasures || []).map((measure, index) => ({
+        id: `M${index + 1}`,
+        title: `Track: ${measure.metric}`,
+        description: [
+            measure.target ? `Target: ${measure.target}` : null,
+            measure.baseline ? `Baseline: ${measure.baseline}` : null,
+            measure.collection ? `How to collect: ${measure.collection}` : null,
+            measure.frequency ? `Frequency: ${measure.frequency}` : null
+        ].filter(Boolean).join('\n'),
+        owner: '',
+        startDate: scheduled ? timeline.startDate : '',
+        dueDate: '',
+        durationDays: '',
+        dependencies: [],
+        dependencyIds: [],
+        labels: ['COMPAS', planStage, 'Performance measure'],
+        stage: planStage,
+        milestone: false,
+        critical: false,
+        resources: ''
+    }));
+
+    // Learning questions are answered, with a scale, pivot or kill decision,
+    // when the plan ends
+    const learningTasks = (planData.learningQuestions || []).map((question, index) => ({
+        id: `L${index + 1}`,
+        title: `Decide: ${question}`,
+        description: 'Answer from the results, then decide whether to scale, pivot or kill.',
+        owner: '',
+        startDate: scheduled ? timeline.endDate : '',
+        dueDate: scheduled ? timeline.endDate : '',
+        durationDays: '',
+        dependencies: [],
+        dependencyIds: [],
+        labels: ['COMPAS', learningStage, 'Learning question'],
+        stage: learningStage,
+        milestone: false,
+        critical: false,
+        resources: ''
+    }));
+
+    return [...stepTasks, ...measureTasks, ...learningTasks];
+}
+
+// Tasks with only the mapped fields, under their column headings
+function mapTasks(tasks, columns) {
+    return tasks.map(task => {
+        const row = {};
+        Object.entries(columns).forEach(([heading, field]) => {
+            row[heading] = task[field];
+        });
+        return row;
+    });
+}
+
+// Quote fields per RFC 4180, and stop spreadsheets reading text as formulas
+function csvField(value) {
+    let text = Array.isArray(value) ? value.join(', ') : String(value === undefined || value === null ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(session, columns) {
+    const rows = mapTasks(buildTasks(session), columns);
+    const lines = [
+        Object.keys(columns).map(csvField).join(','),
+        ...rows.map(row => Object.keys(columns).map(heading => csvField(row[heading])).join(','))
+    ];
+
+    // The byte order mark makes Excel read the file as UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function toTaskJSON(session, columns) {
+    return JSON.stringify({
+        sessionId: session.sessionId,
+        title: session.stageData[COMPAS_STAGES.CONTEXT_DISCOVERY].situationDescription || 'COMPAS plan',
+        generatedAt: new Date().toISOString(),
+        tasks: mapTasks(buildTasks(session), columns)
+    }, null, 2);
+}
+
+module.exports = {
+    TASK_FIELDS,
+    STAGE_LABELS,
+    COLUMN_PRESETS,
+    resolveColumns,
+    buildTasks,
+    toCSV,
+    toTaskJSON
+};
@@ -0,0 +1,440 @@
+// The COMPAS API end to end: the shared router on an in-memory store, with
+// the scripted mock provider in place of a model
+process.env.SESSION_STORE = 'memory';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createCompasRouter } = require('../compas-router');
+const { MemorySessionStore } = require('../session-store');
+const { SessionState } = require('../compas-engine');
+const { AuthService } = require('../auth');
+const { OrganizationService } = require('../organizations');
+const { SecurityService } = require('../security');
+const { createValidationMiddleware } = require('../validation');
+const { MockProvider, setLLMProvider } = require('../llm-provider');
+
+describe('COMPAS API', () => {
+    let app;
+    let server;
+    let baseURL;
+    let sessionStore;
+    let conflicts = 0;
+
+    before(async () => {
+        sessionStore = new MemorySessionStore({ hydrate: SessionState.fromJSON });
+        // Fail the next `conflicts` version-checked writes, as if another
+        // server had saved the session first
+        const set = sessionStore.set.bind(sessionStore);
+        sessionStore.set = async (id, session, options = {}) => {
+            if (options.expectedVersion !== undefined && conflicts > 0) {
+                conflicts--;
+                throw Object.assign(new Error('Changed'), { code: 'VERSION_CONFLICT' });
+            }
+            return set(id, session, options);
+        };
+
+        app = express();
+        app.use(express.json());
+        app.use('/api', createCompasRouter({
+            sessionStore,
+            validationMiddleware: createValidationMiddleware(),
+            securityService: new SecurityService(),
+            authService: new AuthService({ userStore: new MemorySessionStore({ ttlMs: null }), secret: 'test-secret' }),
+            organizationService: new OrganizationService({ store: new MemorySessionStore({ ttlMs: null }) })
+        }));
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseURL = `http://localhost:${server.address().port}/api`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        setLLMProvider(new MockProvider());
+        conflicts = 0;
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setLLMProvider(null);
+        app.set('serverless', false);
+    });
+
+    // JSON request; returns { status, body, headers }
+    async function request(method, path, { token, body } = {}) {
+        const headers = { 'content-type': 'application/json' };
+        if (token) {
+            headers.authorization = `Bearer ${token}`;
+        }
+        const response = await fetch(`${baseURL}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const type = response.headers.get('content-type') || '';
+        const content = type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer());
+        return { status: response.status, body: content, headers: response.headers };
+    }
+
+    let userCount = 0;
+    async function register() {
+        const username = `user-${++userCount}`;
+        const { status, body } = await request('POST', '/auth/register', { body: { username, password: 'password123' } });
+        assert.equal(status, 201);
+        return { username, token: body.token, id: body.user.id };
+    }
+
+    async function createSession(user) {
+        const { status, body } = await request('POST', '/sessions', { token: user.token, body: {} });
+        assert.equal(status, 200);
+        return body.sessionId;
+    }
+
+    describe('accounts', () => {
+        it('registers, signs in and requires sign-in for sessions', async () => {
+            const user = await register();
+
+            assert.equal((await request('GET', '/auth/me', { token: user.token })).body.user.username, user.username);
+            assert.equal((await request('POST', '/auth/login', { body: { username: user.username, password: 'wrong-password' } })).status, 401);
+            assert.equal((await request('POST', '/auth/login', { body: { username: user.username, password: 'password123' } })).status, 200);
+            assert.equal((await request('GET', '/sessions')).status, 401);
+            assert.equal((await request('POST', '/auth/register', { body: { username: user.username, password: 'password123' } })).status, 409);
+        });
+    });
+
+    describe('coaching', () => {
+        it('answers a chat turn, extracts data and moves the stage on', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+
+            const { status, body } = await request('POST', `/sessions/${sessionId}/chat`, {
+                token: user.token,
+                body: { message: 'Our volunteers leave within three months' }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.stage, 'objective_definition');
+
+            const session = (await request('GET', `/sessions/${sessionId}`, { token: user.token })).body;
+            assert.equal(session.conversationHistory.length, 2);
+            assert.equal(session.conversationHistory[0].author.username, user.username);
+            assert.match(session.conversationHistory[1].content, /Mock coach/);
+        });
+
+        it('streams the reply as server-sent events', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+
+            const response = await fetch(`${baseURL}/sessions/${sessionId}/chat/stream`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', authorization: `Bearer ${user.token}` },
+                body: JSON.stringify({ message: 'Our volunteers leave within three months' })
+            });
+            const text = await response.text();
+
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+            assert.match(text, /event: token\n/);
+            assert.match(text, /event: done\ndata: .*"stage":"objective_definition"/);
+        });
+
+        it('moves between stages by hand', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+
+            const advanced = await request('POST', `/sessions/${sessionId}/stage/advance`, { token: user.token });
+            assert.equal(advanced.body.stage, 'objective_definition');
+
+            const reopened = await request('POST', `/sessions/${sessionId}/stage/reopen`, { token: user.token, body: { stage: 'context_discovery' } });
+            assert.equal(reopened.body.stage, 'context_discovery');
+
+            assert.equal((await request('POST', `/sessions/${sessionId}/stage/skip`, { token: user.token, body: { stage: 'nowhere' } })).status, 400);
+        });
+
+        it('retries a save that raced another writer, and gives up with a 409', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+
+            conflicts = 2;
+            assert.equal((await request('PUT', `/sessions/${sessionId}/timeline`, { token: user.token, body: { startDate: '2026-03-02' } })).status, 200);
+
+            conflicts = 3;
+            const { status, body } = await request('PUT', `/sessions/${sessionId}/timeline`, { token: user.token, body: { startDate: '2026-04-06' } });
+            assert.equal(status, 409);
+            assert.match(body.error, /Someone else is changing this session/);
+
+            conflicts = 0;
+            const session = await sessionStore.get(sessionId);
+            assert.equal(session.stageData.implementation_plan.startDate, '2026-03-02');
+        });
+
+        it('generates a streamed reply once when its save has to be retried', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+            const provider = new MockProvider();
+            setLLMProvider(provider);
+
+            conflicts = 1;
+            const response = await fetch(`${baseURL}/sessions/${sessionId}/chat/stream`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', authorization: `Bearer ${user.token}` },
+                body: JSON.stringify({ message: 'Our volunteers leave within three months' })
+            });
+            const events = (await response.text()).split('\n\n').filter(Boolean).map(event => {
+                const [, name, data] = event.match(/^event: (\w+)\ndata: (.*)$/);
+                return { name, data: JSON.parse(data) };
+            });
+
+            assert.equal(conflicts, 0);
+            assert.deepEqual(provider.calls.map(call => call.task), ['chat', 'analysis']);
+            const done = events.find(event => event.name === 'done').data;
+            assert.equal(events.filter(event => event.name === 'token').map(event => event.data.token).join(''), done.message);
+
+            const session = await sessionStore.get(sessionId);
+            assert.deepEqual(session.conversationHistory.map(message => message.role), ['user', 'assistant']);
+            assert.equal(session.stage, 'objective_definition');
+        });
+    });
+
+    describe('plan editing', () => {
+        it('adds steps and refuses a dependency cycle', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+            const add = (item) => request('POST', `/sessions/${sessionId}/plan/implementationSteps`, { token: user.token, body: { item } });
+
+            assert.equal((await add({ title: 'Recruit', durationDays: 5 })).status, 201);
+            assert.equal((await add({ title: 'Train', dependsOn: ['Recruit'] })).status, 201);
+
+            const cycle = await request('PUT', `/sessions/${sessionId}/plan/implementationSteps/0`, {
+                token: user.token,
+                body: { item: { title: 'Recruit', dependsOn: ['Train'] } }
+            });
+            assert.equal(cycle.status, 400);
+            assert.match(cycle.body.error, /cycle/);
+
+            const invalid = await add({ title: 'Launch', durationDays: -2 });
+            assert.equal(invalid.status, 400);
+
+            const timeline = (await request('GET', `/sessions/${sessionId}/timeline`, { token: user.token })).body;
+            assert.deepEqual(timeline.criticalPath, ['Recruit', 'Train']);
+        });
+    });
+
+    describe('method scoring', () => {
+        async function sessionWithMethods(user) {
+            const sessionId = await createSession(user);
+            for (const name of ['Buddy program', 'Automated check-ins']) {
+                assert.equal((await request('POST', `/sessions/${sessionId}/plan/methods`, { token: user.token, body: { item: { name } } })).status, 201);
+            }
+            return sessionId;
+        }
+
+        it('asks for suggested scores once when their save has to be retried', async () => {
+            const user = await register();
+            const sessionId = await sessionWithMethods(user);
+            const provider = new MockProvider();
+            setLLMProvider(provider);
+
+            conflicts = 1;
+            const { status, body } = await request('POST', `/sessions/${sessionId}/method-scoring/suggest`, { token: user.token });
+
+            assert.equal(status, 200);
+            assert.equal(conflicts, 0);
+            assert.deepEqual(provider.calls.map(call => call.task), ['scoring']);
+            body.methods.forEach(method => assert.notEqual(method.total, null));
+        });
+
+        it('answers 400 for bad edits and 502 when the AI fails', async () => {
+            const user = await register();
+            const sessionId = await sessionWithMethods(user);
+            mock.method(console, 'error', () => {});
+
+            const weights = await request('PUT', `/sessions/${sessionId}/method-scoring/weights`, { token: user.token, body: { weights: { cost: 9 } } });
+            assert.equal(weights.status, 400);
+
+            setLLMProvider(new MockProvider({ script: { scoring: [() => { throw new Error('Connection reset'); }] } }));
+            const suggest = await request('POST', `/sessions/${sessionId}/method-scoring/suggest`, { token: user.token });
+            assert.equal(suggest.status, 502);
+            assert.equal(suggest.body.error, 'Failed to suggest scores');
+        });
+    });
+
+    describe('sharing', () => {
+        it('gives each role its own access', async () => {
+            const owner = await register();
+            const viewer = await register();
+            const stranger = await register();
+            const sessionId = await createSession(owner);
+
+            const invited = await request('POST', `/sessions/${sessionId}/collaborators`, {
+                token: owner.token,
+                body: { username: viewer.username, role: 'viewer' }
+            });
+            assert.equal(invited.status, 200);
+
+            assert.equal((await request('GET', `/sessions/${sessionId}`, { token: viewer.token })).body.role, 'viewer');
+            assert.equal((await request('POST', `/sessions/${sessionId}/chat`, { token: viewer.token, body: { message: 'Hello there' } })).status, 403);
+            assert.equal((await request('GET', `/sessions/${sessionId}`, { token: stranger.token })).status, 404);
+            assert.deepEqual((await request('GET', '/sessions', { token: viewer.token })).body.sessions.map(s => s.sessionId), [sessionId]);
+        });
+
+        it('opens a read-only share link until it is revoked', async () => {
+            const owner = await register();
+            const sessionId = await createSession(owner);
+
+            const created = await request('POST', `/sessions/${sessionId}/share-links`, { token: owner.token, body: { expiresInDays: 7 } });
+            assert.equal(created.status, 201);
+
+            const shared = await request('GET', `/shared/${created.body.token}`);
+            assert.equal(shared.status, 200);
+            assert.equal(shared.body.role, 'viewer');
+            assert.equal(shared.body.conversationHistory, undefined);
+            assert.equal((await request('GET', `/shared/${created.body.token}/report`)).status, 200);
+
+            await request('DELETE', `/sessions/${sessionId}/share-links/${created.body.shareLink.id}`, { token: owner.token });
+            assert.equal((await request('GET', `/shared/${created.body.token}`)).status, 404);
+        });
+    });
+
+    describe('iterations', () => {
+        it('keeps the owner of a new iteration and adds the editor who starts it', async () => {
+            const owner = await register();
+            const editor = await register();
+            const sessionId = await createSession(owner);
+            await request('POST', `/sessions/${sessionId}/collaborators`, { token: owner.token, body: { username: editor.username, role: 'editor' } });
+            await request('POST', `/sessions/${sessionId}/stage/skip`, { token: owner.token, body: { stage: 'complete' } });
+
+            const iteration = await request('POST', `/sessions/${sessionId}/iterations`, { token: editor.token });
+            assert.equal(iteration.status, 201);
+
+            const session = await sessionStore.get(iteration.body.sessionId);
+            assert.equal(session.ownerId, owner.id);
+            assert.deepEqual(session.collaborators.map(c => [c.userId, c.role]), [[editor.id, 'editor']]);
+        });
+
+        it('numbers iterations started at the same time one after another', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+            await request('POST', `/sessions/${sessionId}/stage/skip`, { token: user.token, body: { stage: 'complete' } });
+
+            // Hold each request after it reads the versions so far, until all
+            // three have read them
+            const list = sessionStore.list.bind(sessionStore);
+            const waiting = [];
+            mock.method(sessionStore, 'list', async () => {
+                const sessions = await list();
+                await new Promise(resolve => {
+                    waiting.push(resolve);
+                    if (waiting.length === 3) {
+                        waiting.forEach(release => release());
+                    }
+                });
+                return sessions;
+            });
+
+            const started = await Promise.all([1, 2, 3].map(() => request('POST', `/sessions/${sessionId}/iterations`, { token: user.token })));
+            sessionStore.list.mock.restore();
+            assert.deepEqual(started.map(iteration => iteration.body.lineage.version).sort(), [2, 3, 4]);
+
+            const { versions } = (await request('GET', `/sessions/${sessionId}/lineage`, { token: user.token })).body;
+            assert.equal(versions.length, 4);
+        });
+
+        it('refuses to continue an unfinished plan', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+
+            assert.equal((await request('POST', `/sessions/${sessionId}/iterations`, { token: user.token })).status, 400);
+            assert.equal((await sessionStore.get(sessionId)).latestVersion, null);
+        });
+    });
+
+    describe('grant proposals', () => {
+        it('drafts each section once when the save has to be retried', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+            await request('POST', `/sessions/${sessionId}/stage/skip`, { token: user.token, body: { stage: 'complete' } });
+            const provider = new MockProvider();
+            setLLMProvider(provider);
+
+            conflicts = 1;
+            const { status, body } = await request('POST', `/sessions/${sessionId}/grant-proposal/draft`, { token: user.token });
+
+            assert.equal(status, 200);
+            assert.equal(conflicts, 0);
+            assert.deepEqual(provider.calls.map(call => call.metadata.section), ['need', 'project', 'evaluation', 'timeline']);
+            body.sections.forEach(section => assert.equal(section.drafted, true));
+        });
+    });
+
+    describe('exports', () => {
+        let user;
+        let sessionId;
+
+        before(async () => {
+            user = await register();
+            sessionId = await createSession(user);
+            for (const item of [{ title: 'Recruit', durationDays: 5 }, { title: 'Launch', milestone: true, dependsOn: ['Recruit'] }]) {
+                await request('POST', `/sessions/${sessionId}/plan/implementationSteps`, { token: user.token, body: { item } });
+            }
+            await request('POST', `/sessions/${sessionId}/plan/performanceMeasures`, {
+                token: user.token,
+                body: { item: { metric: 'Retention', frequency: 'Monthly', targetDate: '2026-12-31' } }
+            });
+        });
+
+        const exportAs = (format, body = {}) => request('POST', `/sessions/${sessionId}/export/${format}`, { token: user.token, body });
+
+        it('exports the report as Markdown in a chosen template', async () => {
+            const { status, body, headers } = await exportAs('markdown', { template: 'board' });
+
+            assert.equal(status, 200);
+            assert.match(headers.get('content-disposition'), /attachment/);
+            assert.match(body.toString(), /Recruit/);
+        });
+
+        it('exports Word documents from any template', async () => {
+            for (const template of ['full', 'board']) {
+                const { status, body } = await exportAs('docx', { template });
+                assert.equal(status, 200);
+                assert.equal(body.subarray(0, 2).toString(), 'PK');
+            }
+        });
+
+        it('exports tasks as CSV and JSON with a column mapping', async () => {
+            const csv = await exportAs('csv', { columns: { Task: 'title', Stage: 'stage' } });
+            assert.equal(csv.body.toString(), '\uFEFFTask,Stage\r\nRecruit,Implementation Plan\r\nLaunch,Implementation Plan\r\nTrack: Retention,Implementation Plan\r\n');
+
+            const json = await exportAs('json', { columns: 'asana' });
+            assert.deepEqual(json.body.tasks.map(task => task.Name), ['Recruit', 'Launch', 'Track: Retention']);
+
+            assert.equal((await exportAs('csv', { columns: 'trello' })).status, 400);
+        });
+
+        it('exports the plan as a calendar', async () => {
+            const { status, body } = await exportAs('ics');
+
+            assert.equal(status, 200);
+            assert.match(body.toString(), /RRULE:FREQ=MONTHLY;UNTIL=20261231/);
+        });
+
+        it('rejects unknown formats and templates', async () => {
+            assert.equal((await exportAs('rtf')).status, 400);
+            assert.equal((await exportAs('markdown', { template: 'missing' })).status, 400);
+            assert.equal((await exportAs('csv', { template: 'board' })).status, 400);
+        });
+    });
+
+    describe('deployments', () => {
+        it('turns off streaming and live events on serverless functions', async () => {
+            const user = await register();
+            const sessionId = await createSession(user);
+
+            assert.deepEqual((await request('GET', '/capabilities')).body, { streaming: true, liveEvents: true });
+
+            app.set('serverless', true);
+            assert.deepEqual((await request('GET', '/capabilities')).body, { streaming: false, liveEvents: false });
+            assert.equal((await request('GET', `/sessions/${sessionId}/events`, { token: user.token })).status, 501);
+            assert.equal((await request('POST', `/sessions/${sessionId}/typing`, { token: user.token, body: { typing: true } })).status, 501);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractArtifactContent, describeLocation, parseCsv, flattenJson, chunkLines } = require('../artifact-ingestion');
+
+// A minimal PDF with one line of text on each page
+function buildPdf(pageTexts) {
+    const pageIds = pageTexts.map((text, i) => 4 + i * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    pageTexts.forEach((text, i) => {
+        const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+describe('parseCsv', () => {
+    it('reads quoted fields, escaped quotes and CRLF, and drops blank lines', () => {
+        assert.deepEqual(parseCsv('name,note\r\n"Smith, Jo","Said ""hi"""\r\n\r\nLee,\n'), [
+            ['name', 'note'],
+            ['Smith, Jo', 'Said "hi"'],
+            ['Lee', '']
+        ]);
+    });
+});
+
+describe('flattenJson', () => {
+    it('writes one "path: value" line per value', () => {
+        assert.deepEqual(flattenJson({ site: { name: 'North', open: true }, days: ['Mon'], notes: [] }), [
+            'site.name: "North"',
+            'site.open: true',
+            'days[0]: "Mon"',
+            'notes: []'
+        ]);
+    });
+});
+
+describe('chunkLines', () => {
+    it('breaks between lines and records the lines of each chunk', () => {
+        assert.deepEqual(chunkLines(['aaaa', 'bbbb', 'cccc'], 10), [
+            { text: 'aaaa\nbbbb', lines: [1, 2] },
+            { text: 'cccc', lines: [3, 3] }
+        ]);
+    });
+
+    it('hard-wraps a line longer than a chunk', () => {
+        assert.deepEqual(chunkLines(['x'.repeat(25)], 10).map(chunk => chunk.text.length), [10, 10, 5]);
+    });
+});
+
+describe('extractArtifactContent', () => {
+    it('profiles CSV columns and cites data rows', async () => {
+        const csv = 'site,visits,opened\nNorth,120,2024-01-05\nSouth,80,2024-03-10\n';
+        const { summary, chunks, stats } = await extractArtifactContent(Buffer.from(csv), { artifactId: 'visits', mimetype: 'text/csv' });
+
+        assert.match(summary, /2 data row\(s\) and 3 column\(s\)/);
+        assert.match(summary, /- site \(text, 2\/2 filled, 2 distinct\): e\.g\. North, South/);
+        assert.match(summary, /- visits \(number, 2\/2 filled, 2 distinct\): 80 to 120, mean 100/);
+        assert.match(summary, /- opened \(date, 2\/2 filled, 2 distinct\): 2024-01-05 to 2024-03-10/);
+        assert.deepEqual(chunks, [{
+            id: 'visits:0',
+            index: 0,
+            text: 'Row 1: site=North; visits=120; opened=2024-01-05\nRow 2: site=South; visits=80; opened=2024-03-10',
+            location: { rows: [1, 2] }
+        }]);
+        assert.deepEqual(stats, { rows: 2, columns: 3, characters: chunks[0].text.length, truncated: false });
+    });
+
+    it('flattens JSON and cites its lines', async () => {
+        const { summary, chunks } = await extractArtifactContent(Buffer.from('{"goal":"Retention","sites":2}'), { artifactId: 'plan', mimetype: 'application/json' });
+
+        assert.equal(summary, 'JSON document: an object with keys goal, sites; 2 value(s) when flattened.');
+        assert.deepEqual(chunks.map(chunk => [chunk.text, chunk.location]), [['goal: "Retention"\nsites: 2', { lines: [1, 2] }]]);
+    });
+
+    it('reads plain text', async () => {
+        const { summary, chunks } = await extractArtifactContent(Buffer.from('First line\r\nSecond line'), { artifactId: 'notes', mimetype: 'text/plain' });
+
+        assert.equal(summary, 'Text document, 2 line(s), about 4 words.');
+        assert.equal(chunks[0].text, 'First line\nSecond line');
+    });
+
+    it('cites the page of each PDF passage', async () => {
+        const pdf = buildPdf(['Volunteers leave early', 'Buddies help them stay']);
+        const { summary, chunks, stats } = await extractArtifactContent(pdf, { artifactId: 'report', mimetype: 'application/pdf' });
+
+        assert.equal(summary, 'PDF document, 2 page(s), about 7 words.');
+        assert.deepEqual(chunks.map(chunk => [chunk.text, chunk.location]), [
+            ['Volunteers leave early', { page: 1 }],
+            ['Buddies help them stay', { page: 2 }]
+        ]);
+        assert.equal(stats.pages, 2);
+    });
+
+    it('keeps at most 200,000 characters', async () => {
+        const text = Array.from({ length: 150 }, () => 'x'.repeat(1999)).join('\n');
+        const { chunks, stats } = await extractArtifactContent(Buffer.from(text), { artifactId: 'big', mimetype: 'text/plain' });
+
+        assert.equal(chunks.length, 100);
+        assert.equal(stats.truncated, true);
+        assert.equal(stats.characters, 199900);
+    });
+
+    it('refuses types it cannot read', async () => {
+        await assert.rejects(extractArtifactContent(Buffer.from(''), { artifactId: 'x', mimetype: 'image/png' }), /No text extractor for image\/png/);
+    });
+});
+
+describe('describeLocation', () => {
+    it('names pages, rows and lines', () => {
+        assert.equal(describeLocation({ page: 3 }), 'page 3');
+        assert.equal(describeLocation({ rows: [51, 100] }), 'rows 51-100');
+        assert.equal(describeLocation({ lines: [1, 4] }), 'lines 1-4');
+        assert.equal(describeLocation(), 'whole document');
+    });
+});
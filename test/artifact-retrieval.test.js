@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { tokenize, BM25Index, retrieveArtifactPassages, formatCitation, findCitedPassages } = require('../artifact-retrieval');
+
+function sessionWithArtifacts() {
+    const session = new SessionState('session-1', 'user-1');
+    session.addArtifact({ id: 'budget', filename: 'budget.csv' });
+    session.addArtifact({ id: 'survey', filename: 'survey.txt' });
+    session.setArtifactContent('budget', {
+        chunks: [
+            { id: 'budget-1', text: 'Food purchases 12000\nVolunteer snacks 300', location: { rows: [1, 2] } },
+            { id: 'budget-2', text: 'Rent 24000\nUtilities 5000', location: { rows: [3, 4] } }
+        ]
+    });
+    session.setArtifactContent('survey', {
+        chunks: [{ id: 'survey-1', text: 'Volunteers said the waiting line is too long on Saturdays', location: { lines: [1, 1] } }]
+    });
+    return session;
+}
+
+describe('tokenize', () => {
+    it('drops stopwords and folds plurals', () => {
+        assert.deepEqual(tokenize('The volunteers and their families, 2 cities'), ['volunteer', 'family', 'city']);
+    });
+});
+
+describe('BM25Index', () => {
+    it('ranks the best match first and skips documents without query terms', () => {
+        const index = new BM25Index();
+        index.add({ id: 'a', text: 'volunteer retention volunteer onboarding' });
+        index.add({ id: 'b', text: 'volunteer schedule' });
+        index.add({ id: 'c', text: 'food budget' });
+
+        assert.deepEqual(index.search('volunteer onboarding').map(result => result.document.id), ['a', 'b']);
+    });
+
+    it('weighs rare terms above common ones', () => {
+        const index = new BM25Index();
+        index.add({ id: 'common', text: 'volunteer volunteer' });
+        index.add({ id: 'rare', text: 'volunteer grant' });
+        index.add({ id: 'other', text: 'volunteer shift' });
+
+        assert.equal(index.search('volunteer grant')[0].document.id, 'rare');
+    });
+
+    it('returns nothing for an empty query or index', () => {
+        const index = new BM25Index();
+        assert.deepEqual(index.search('budget'), []);
+        index.add({ text: 'budget' });
+        assert.deepEqual(index.search('the and of'), []);
+    });
+});
+
+describe('retrieveArtifactPassages', () => {
+    it('tags the top passages for citation', () => {
+        const passages = retrieveArtifactPassages(sessionWithArtifacts(), 'How much is the rent?', { limit: 2 });
+
+        assert.equal(passages[0].ref, 'S1');
+        assert.equal(passages[0].chunkId, 'budget-2');
+        assert.equal(passages[0].text, 'Rent 24000\nUtilities 5000');
+        assert.equal(formatCitation(passages[0]), 'budget.csv, rows 3-4');
+    });
+
+    it('matches on the filename', () => {
+        const passages = retrieveArtifactPassages(sessionWithArtifacts(), 'the survey');
+        assert.deepEqual(passages.map(passage => passage.artifactId), ['survey']);
+    });
+
+    it('finds the passages a reply cites', () => {
+        const passages = [{ ref: 'S1' }, { ref: 'S2' }, { ref: 'S3' }, { ref: 'S11' }];
+
+        assert.deepEqual(findCitedPassages('Rent is high [S1, S3].', passages).map(passage => passage.ref), ['S1', 'S3']);
+        assert.deepEqual(findCitedPassages('No sources, S2.', passages), []);
+    });
+});
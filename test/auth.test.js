@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemorySessionStore } = require('../session-store');
+const { AuthService, validateCredentials } = require('../auth');
+
+function createAuthService() {
+    return new AuthService({ userStore: new MemorySessionStore({ ttlMs: null }), secret: 'test-secret' });
+}
+
+describe('validateCredentials', () => {
+    it('checks the username pattern and password length', () => {
+        assert.deepEqual(validateCredentials('Jo_Smith', 'password123'), { isValid: true, errors: [] });
+        assert.equal(validateCredentials('jo', 'password123').errors.length, 1);
+        assert.equal(validateCredentials('jo smith', 'short').errors.length, 2);
+    });
+});
+
+describe('AuthService', () => {
+    it('registers a user and signs them in by name, in any case', async () => {
+        const authService = createAuthService();
+        const user = await authService.register('Jo', 'password123');
+
+        assert.equal(user.username, 'jo');
+        assert.notEqual(user.passwordHash, 'password123');
+        assert.equal((await authService.authenticate('JO', 'password123')).id, user.id);
+        assert.equal(await authService.authenticate('jo', 'wrong-password'), null);
+        assert.equal(await authService.authenticate('nobody', 'password123'), null);
+    });
+
+    it('refuses a username that is already taken', async () => {
+        const authService = createAuthService();
+        await authService.register('jo', 'password123');
+
+        await assert.rejects(authService.register('jo', 'other-password'), { status: 409, message: 'Username is already taken' });
+    });
+
+    it('keeps the first of two registrations that race for a username', async () => {
+        const authService = createAuthService();
+
+        const results = await Promise.allSettled([
+            authService.register('jo', 'first-password'),
+            authService.register('jo', 'second-password')
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+
+        const winner = results.findIndex(result => result.status === 'fulfilled');
+        const password = ['first-password', 'second-password'][winner];
+        assert.equal((await authService.authenticate('jo', password)).id, results[winner].value.id);
+    });
+
+    it('issues tokens that verify to the user, and rejects others', async () => {
+        const authService = createAuthService();
+        const user = await authService.register('jo', 'password123');
+
+        assert.deepEqual(authService.verifyToken(authService.issueToken(user)), { id: user.id, username: 'jo' });
+        assert.equal(authService.verifyToken('not-a-token'), null);
+
+        const elsewhere = new AuthService({ userStore: new MemorySessionStore({ ttlMs: null }), secret: 'other-secret' });
+        assert.equal(elsewhere.verifyToken(authService.issueToken(user)), null);
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../browser-pool');
+
+// A stand-in for a puppeteer browser that counts its pages
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.openPages = 0;
+        this.closed = false;
+    }
+
+    async newPage() {
+        this.openPages++;
+        return {
+            setDefaultTimeout() {},
+            close: async () => { this.openPages--; }
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        this.crash();
+    }
+
+    crash() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+function createPool(options = {}) {
+    const browsers = [];
+    const pool = new BrowserPool({
+        maxPages: 1,
+        maxQueue: 1,
+        queueTimeout: 1000,
+        renderTimeout: 1000,
+        idleTimeout: 1000,
+        launch: async () => {
+            const browser = new FakeBrowser();
+            browsers.push(browser);
+            return browser;
+        },
+        ...options
+    });
+    return { pool, browsers };
+}
+
+// A render that finishes when `finish` is called
+function deferred() {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    return { done, finish };
+}
+
+describe('BrowserPool', () => {
+    it('shares one browser and closes each page', async () => {
+        const { pool, browsers } = createPool();
+
+        assert.equal(await pool.withPage(async () => 'first'), 'first');
+        assert.equal(await pool.withPage(async () => 'second'), 'second');
+        assert.equal(browsers.length, 1);
+        assert.equal(browsers[0].openPages, 0);
+        await pool.close();
+    });
+
+    it('queues exports beyond maxPages and turns away a full queue', async () => {
+        const { pool } = createPool();
+        const running = deferred();
+
+        const first = pool.withPage(() => running.done);
+        const queued = pool.withPage(async () => 'queued');
+        await assert.rejects(pool.withPage(async () => 'turned away'), { code: 'POOL_BUSY' });
+
+        running.finish('first');
+        assert.equal(await first, 'first');
+        assert.equal(await queued, 'queued');
+        await pool.close();
+    });
+
+    it('gives up on a queued export after queueTimeout', async () => {
+        const { pool } = createPool({ queueTimeout: 20 });
+        const running = deferred();
+
+        const first = pool.withPage(() => running.done);
+        await assert.rejects(pool.withPage(async () => 'late'), { code: 'POOL_BUSY', message: /Timed out/ });
+
+        running.finish();
+        await first;
+        await pool.close();
+    });
+
+    it('stops a render after renderTimeout', async () => {
+        const { pool, browsers } = createPool({ renderTimeout: 20 });
+
+        await assert.rejects(pool.withPage(() => new Promise(() => {})), { code: 'RENDER_TIMEOUT' });
+        assert.equal(browsers[0].openPages, 0);
+        await pool.close();
+    });
+
+    it('retries once in a new browser when the browser crashes', async () => {
+        const { pool, browsers } = createPool();
+        let attempts = 0;
+        mock.method(console, 'error', () => {});
+
+        const result = await pool.withPage(async () => {
+            attempts++;
+            if (attempts === 1) {
+                browsers[0].crash();
+                throw new Error('Target closed');
+            }
+            return 'rendered';
+        });
+
+        assert.equal(result, 'rendered');
+        assert.equal(browsers.length, 2);
+        mock.restoreAll();
+        await pool.close();
+    });
+
+    it('finishes running exports on close, then closes the browser and refuses new ones', async () => {
+        const { pool, browsers } = createPool();
+        const running = deferred();
+
+        const first = pool.withPage(() => running.done);
+        const queued = pool.withPage(async () => 'queued');
+        await new Promise(resolve => setImmediate(resolve));
+        const closing = pool.close();
+
+        await assert.rejects(queued, { code: 'POOL_CLOSED' });
+        await assert.rejects(pool.withPage(async () => 'new'), { code: 'POOL_CLOSED' });
+        running.finish('first');
+        assert.equal(await first, 'first');
+        await closing;
+        assert.equal(browsers[0].closed, true);
+    });
+});
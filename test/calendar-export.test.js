@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { frequencyToRule, buildCalendar } = require('../calendar-export');
+
+const NOW = new Date('2026-02-01T12:00:00Z');
+
+function planSession(plan) {
+    const session = new SessionState('session-1', 'user-1');
+    session.stageData.context_discovery.situationDescription = 'Volunteer retention; pilot, phase 1';
+    Object.assign(session.stageData.implementation_plan, plan);
+    return session;
+}
+
+// Unfold the calendar into its lines
+function lines(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+// Property values of each component of a type, e.g. every VEVENT
+function components(ics, type) {
+    const found = [];
+    let current = null;
+    lines(ics).forEach(line => {
+        if (line === `BEGIN:${type}`) {
+            current = {};
+        } else if (line === `END:${type}`) {
+            found.push(current);
+            current = null;
+        } else if (current) {
+            const separator = line.indexOf(':');
+            current[line.slice(0, separator)] = line.slice(separator + 1);
+        }
+    });
+    return found;
+}
+
+describe('frequencyToRule', () => {
+    it('reads common cadences', () => {
+        assert.equal(frequencyToRule('Weekly'), 'FREQ=WEEKLY');
+        assert.equal(frequencyToRule('every two weeks'), 'FREQ=WEEKLY;INTERVAL=2');
+        assert.equal(frequencyToRule('Quarterly review'), 'FREQ=MONTHLY;INTERVAL=3');
+        assert.equal(frequencyToRule('every 10 days'), 'FREQ=DAILY;INTERVAL=10');
+        assert.equal(frequencyToRule('after each event'), null);
+    });
+
+    it('has no rule for an interval of zero', () => {
+        assert.equal(frequencyToRule('every 0 days'), null);
+    });
+});
+
+describe('buildCalendar', () => {
+    it('writes a valid calendar with escaped text and CRLF lines', () => {
+        const ics = buildCalendar(planSession({ implementationSteps: [{ title: 'Recruit', description: 'Ask, then follow up; twice\nin person' }] }), { now: NOW });
+
+        assert.match(ics, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+        assert.match(ics, /END:VCALENDAR\r\n$/);
+        assert.ok(lines(ics).includes('X-WR-CALNAME:COMPAS: Volunteer retention\\; pilot\\, phase 1'));
+        assert.match(components(ics, 'VTODO')[0].DESCRIPTION, /^Ask\\, then follow up\\; twice\\nin person\\n/);
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const ics = buildCalendar(planSession({ implementationSteps: [{ title: 'Ünïcödé '.repeat(20) }] }), { now: NOW });
+
+        ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+        assert.equal(components(ics, 'VEVENT')[0].SUMMARY, 'Ünïcödé '.repeat(20));
+    });
+
+    it('makes an all-day event and a to-do for each scheduled step', () => {
+        const ics = buildCalendar(planSession({
+            startDate: '2026-03-02',
+            implementationSteps: [{ title: 'Recruit', durationDays: 5, owner: 'Jo' }]
+        }), { now: NOW });
+        const [event] = components(ics, 'VEVENT');
+        const [todo] = components(ics, 'VTODO');
+
+        assert.equal(event.UID, 'step-recruit-session-1@compas');
+        assert.equal(event['DTSTART;VALUE=DATE'], '20260302');
+        assert.equal(event['DTEND;VALUE=DATE'], '20260307');
+        assert.equal(event.DTSTAMP, '20260201T120000Z');
+        assert.equal(todo['DUE;VALUE=DATE'], '20260307');
+        assert.equal(todo.DESCRIPTION, 'Owner: Jo\\nOn the critical path: any delay delays the whole plan.');
+    });
+
+    it('ends measure check-ins on the target date, or else on the plan\'s last day', () => {
+        const ics = buildCalendar(planSession({
+            startDate: '2026-03-02',
+            implementationSteps: [{ title: 'Pilot', durationDays: 56 }],
+            performanceMeasures: [
+                { metric: 'Retention', frequency: 'Monthly', target: '65%', targetDate: '2026-12-31' },
+                { metric: 'Sign-ups', frequency: 'Weekly' },
+                { metric: 'Stories', frequency: 'When we hear them' }
+            ]
+        }), { now: NOW });
+        const checkIns = components(ics, 'VEVENT').filter(event => event.SUMMARY.startsWith('Check-in'));
+
+        assert.deepEqual(checkIns.map(event => [event.SUMMARY, event['DTSTART;VALUE=DATE'], event.RRULE]), [
+            ['Check-in: Retention', '20260302', 'FREQ=MONTHLY;UNTIL=20261231'],
+            ['Check-in: Sign-ups', '20260302', 'FREQ=WEEKLY;UNTIL=20260426']
+        ]);
+        assert.equal(checkIns[0].DESCRIPTION, 'Target: 65% by 2026-12-31\\nFrequency: Monthly');
+    });
+
+    it('leaves out check-ins with no day to stop', () => {
+        const ics = buildCalendar(planSession({
+            implementationSteps: [{ title: 'A', dependsOn: ['B'] }, { title: 'B', dependsOn: ['A'] }],
+            performanceMeasures: [{ metric: 'Sign-ups', frequency: 'Weekly' }]
+        }), { now: NOW });
+
+        assert.deepEqual(components(ics, 'VEVENT'), []);
+        assert.equal(components(ics, 'VTODO').length, 2);
+        assert.doesNotMatch(ics, /RRULE/);
+    });
+});
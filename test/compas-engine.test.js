@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState, analyzeAndProgressStage } = require('../compas-engine');
+const { MockProvider, setLLMProvider } = require('../llm-provider');
+
+const VALID_ANALYSIS = JSON.stringify({
+    shouldProgress: true,
+    progressReason: 'The challenge is clear',
+    extractedData: { situationDescription: 'Volunteers leave within three months', stakeholders: ['Volunteers'] },
+    completionPercentage: 90,
+    missingInformation: []
+});
+
+describe('stage analysis', () => {
+    let session;
+
+    beforeEach(() => {
+        session = new SessionState('session-1', 'user-1');
+        // Invalid replies are logged; keep the test output quiet
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setLLMProvider(null);
+    });
+
+    it('merges a valid reply and moves the stage on', async () => {
+        setLLMProvider(new MockProvider({ script: { analysis: [VALID_ANALYSIS] } }));
+        const result = await analyzeAndProgressStage(session, 'Our volunteers leave', 'Tell me more');
+
+        assert.equal(result.analysisAttempts, 1);
+        assert.equal(result.shouldProgress, true);
+        assert.equal(session.stage, 'objective_definition');
+        assert.equal(session.stageData.context_discovery.situationDescription, 'Volunteers leave within three months');
+    });
+
+    it('sends invalid replies back with the errors until one validates', async () => {
+        const provider = new MockProvider({
+            script: {
+                analysis: [
+                    'I think we should move on.',
+                    JSON.stringify({ shouldProgress: 'yes', extractedData: {} }),
+                    VALID_ANALYSIS
+                ]
+            }
+        });
+        setLLMProvider(provider);
+        const result = await analyzeAndProgressStage(session, 'Our volunteers leave', 'Tell me more');
+
+        assert.equal(result.analysisAttempts, 3);
+        assert.deepEqual(result.validationErrors, []);
+        assert.equal(session.stage, 'objective_definition');
+
+        const repair = provider.calls[2].messages;
+        assert.equal(repair.length, 5);
+        assert.match(repair[4].content, /\$\.shouldProgress: expected boolean, got string/);
+    });
+
+    it('does not move the stage on when no reply validates', async () => {
+        setLLMProvider(new MockProvider({
+            script: { analysis: Array(3).fill(JSON.stringify({ shouldProgress: true, extractedData: { stakeholders: 'Staff' } })) }
+        }));
+        const result = await analyzeAndProgressStage(session, 'Our volunteers leave', 'Tell me more');
+
+        assert.equal(result.analysisAttempts, 3);
+        assert.equal(result.shouldProgress, false);
+        assert.match(result.progressReason, /did not validate after 3 attempts/);
+        assert.equal(session.stage, 'context_discovery');
+        assert.deepEqual(result.rejectedFields, ['stakeholders']);
+    });
+
+    it('keeps the valid fields of a reply that never validates', async () => {
+        setLLMProvider(new MockProvider({
+            script: { analysis: Array(3).fill(JSON.stringify({ shouldProgress: true, extractedData: { situationDescription: 'Long lines', constraints: 3 } })) }
+        }));
+        const result = await analyzeAndProgressStage(session, 'Lines are long', 'Tell me more');
+
+        assert.deepEqual(result.extractedData, { situationDescription: 'Long lines' });
+        assert.equal(session.stageData.context_discovery.situationDescription, 'Long lines');
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { MockProvider, setLLMProvider } = require('../llm-provider');
+const {
+    GRANT_SECTIONS,
+    countWords,
+    trimToWordLimit,
+    draftSection,
+    draftProposal,
+    editSection,
+    describeProposal,
+    proposalToMarkdown
+} = require('../grant-proposal');
+
+const author = { id: 'u-1', username: 'jo' };
+
+function completedPlan() {
+    const session = new SessionState('session-1', 'user-1');
+    session.stage = 'complete';
+    session.stageData.context_discovery.situationDescription = 'Volunteer retention';
+    session.stageData.implementation_plan.implementationSteps = [{ title: 'Recruit', durationDays: 5 }];
+    return session;
+}
+
+function words(count) {
+    return Array.from({ length: count }, () => 'word').join(' ');
+}
+
+function section(session, id) {
+    return describeProposal(session).sections.find(candidate => candidate.id === id);
+}
+
+describe('word limits', () => {
+    it('counts words', () => {
+        assert.equal(countWords('  We help\nvolunteers stay. '), 4);
+        assert.equal(countWords(''), 0);
+    });
+
+    it('cuts at a sentence end in the second half, or else mid-sentence', () => {
+        assert.equal(trimToWordLimit('One two three. Four five six seven', 5), 'One two three.');
+        assert.equal(trimToWordLimit('One. Two three four five six', 5), 'One. Two three four five…');
+        assert.equal(trimToWordLimit(' Short enough. ', 5), 'Short enough.');
+    });
+});
+
+describe('drafting', () => {
+    afterEach(() => setLLMProvider(null));
+
+    it('drafts a section within its word limit, without a heading or fences', async () => {
+        const session = completedPlan();
+        const provider = new MockProvider({ script: { grant: [`\`\`\`\n# Statement of Need\n${words(80)}.\n\`\`\``] } });
+        setLLMProvider(provider);
+
+        await draftSection(session, 'need', { wordLimit: 60, author });
+
+        const need = section(session, 'need');
+        assert.equal(need.wordCount, 60);
+        assert.match(need.text, /^word word .*…$/);
+        assert.deepEqual([need.wordLimit, need.source, need.updatedBy], [60, 'ai', 'jo']);
+        assert.equal(provider.calls[0].metadata.section, 'need');
+    });
+
+    it('drafts only the sections not drafted yet', async () => {
+        const session = completedPlan();
+        editSection(session, 'need', { text: 'Our own words.' }, { author });
+        const provider = new MockProvider();
+        setLLMProvider(provider);
+
+        await draftProposal(session, { author });
+
+        assert.equal(provider.calls.length, GRANT_SECTIONS.length - 1);
+        assert.equal(section(session, 'need').text, 'Our own words.');
+        describeProposal(session).sections.forEach(({ drafted }) => assert.equal(drafted, true));
+    });
+
+    it('needs a finished plan and a known section', async () => {
+        setLLMProvider(new MockProvider());
+        const session = completedPlan();
+
+        await assert.rejects(draftSection(session, 'budget'), /Grant section not found: budget/);
+        await assert.rejects(draftSection(session, 'need', { wordLimit: 10 }), /whole numbers from 50 to 1500/);
+
+        session.stage = 'implementation_plan';
+        await assert.rejects(draftSection(session, 'need'), /Finish the plan/);
+        assert.equal(describeProposal(session).canDraft, false);
+    });
+});
+
+describe('editSection', () => {
+    it('keeps text within the word limit', () => {
+        const session = completedPlan();
+
+        assert.throws(() => editSection(session, 'timeline', { text: words(301) }), /Timeline is 301 words; the limit is 300/);
+
+        editSection(session, 'timeline', { text: words(301), wordLimit: 400 }, { author });
+        assert.equal(section(session, 'timeline').wordCount, 301);
+    });
+
+    it('flags text over a lowered limit for redrafting', () => {
+        const session = completedPlan();
+        editSection(session, 'timeline', { text: words(100) });
+        editSection(session, 'timeline', { wordLimit: 50 });
+
+        const timeline = section(session, 'timeline');
+        assert.deepEqual([timeline.wordCount, timeline.wordLimit, timeline.overLimit], [100, 50, true]);
+    });
+});
+
+describe('proposalToMarkdown', () => {
+    it('lists every section and the organization\'s disclaimer', () => {
+        const session = completedPlan();
+        editSection(session, 'need', { text: 'Volunteers leave within three months.' });
+
+        const markdown = proposalToMarkdown(session, {
+            organization: { name: 'Harbor Food Bank', branding: { footerDisclaimer: 'Confidential draft' } }
+        });
+
+        assert.match(markdown, /^# Grant Proposal – Volunteer retention\n/);
+        assert.match(markdown, /by Harbor Food Bank/);
+        assert.match(markdown, /## Statement of Need\n\nVolunteers leave within three months\./);
+        assert.match(markdown, /## Evaluation Plan\n\n\*Not drafted yet\*/);
+        assert.match(markdown, /---\n\nConfidential draft\n$/);
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { resolveTaskConfig, OpenAIProvider, MockProvider, createLLMProvider } = require('../llm-provider');
+
+const MESSAGES = [{ role: 'user', content: 'Hello' }];
+
+async function collect(stream) {
+    const tokens = [];
+    for await (const token of stream) {
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+describe('resolveTaskConfig', () => {
+    it('layers the defaults, LLM_MODEL and the task\'s own settings', () => {
+        assert.deepEqual(resolveTaskConfig('chat', {}), { model: 'gpt-4', temperature: 0.7, maxTokens: 1000 });
+        assert.deepEqual(resolveTaskConfig('analysis', {
+            LLM_MODEL: 'local-model',
+            LLM_ANALYSIS_TEMPERATURE: '0',
+            LLM_ANALYSIS_MAX_TOKENS: 'many'
+        }), { model: 'local-model', temperature: 0, maxTokens: 1000 });
+        assert.equal(resolveTaskConfig('scoring', { LLM_MODEL: 'local-model', LLM_SCORING_MODEL: 'scorer' }).model, 'scorer');
+    });
+
+    it('uses the chat settings for unknown tasks', () => {
+        assert.deepEqual(resolveTaskConfig('poetry', {}), resolveTaskConfig('chat', {}));
+    });
+});
+
+describe('MockProvider', () => {
+    it('serves scripted replies in order, then its built-in ones', async () => {
+        const provider = new MockProvider({ script: { chat: ['First', (messages) => `Echo: ${messages[0].content}`] } });
+
+        assert.equal(await provider.complete('chat', MESSAGES), 'First');
+        assert.equal(await provider.complete('chat', MESSAGES), 'Echo: Hello');
+        assert.match(await provider.complete('chat', MESSAGES, { metadata: { stage: 'method_selection' } }), /Mock coach.*method selection/);
+        assert.deepEqual(provider.calls.map(call => call.task), ['chat', 'chat', 'chat']);
+    });
+
+    it('extracts canned stage data and scores every method', async () => {
+        const provider = new MockProvider();
+
+        const analysis = JSON.parse(await provider.complete('analysis', MESSAGES, { metadata: { stage: 'context_discovery' } }));
+        assert.equal(analysis.shouldProgress, true);
+        assert.ok(analysis.extractedData.situationDescription);
+
+        const { scores } = JSON.parse(await provider.complete('scoring', MESSAGES, { metadata: { methods: ['A', 'B'], criteria: ['Cost'] } }));
+        assert.deepEqual(scores.map(score => score.method), ['A', 'B']);
+        scores.forEach(score => assert.ok(score.score >= 1 && score.score <= 5));
+    });
+
+    it('streams the reply word by word', async () => {
+        const provider = new MockProvider({ script: { chat: ['Three short words'] } });
+        assert.deepEqual(await collect(provider.stream('chat', MESSAGES)), ['Three ', 'short ', 'words']);
+    });
+});
+
+describe('OpenAIProvider', () => {
+    let server;
+    let baseURL;
+    const requests = [];
+
+    // A stand-in OpenAI-compatible server: a plain completion, or the same
+    // reply as server-sent chunks when asked to stream
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                const body = JSON.parse(raw);
+                requests.push({ url: req.url, body });
+
+                if (!body.stream) {
+                    res.setHeader('content-type', 'application/json');
+                    res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: 'Hi there' } }] }));
+                    return;
+                }
+
+                res.setHeader('content-type', 'text/event-stream');
+                ['Hi', ' there', null].forEach(content => {
+                    const delta = content === null ? {} : { content };
+                    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+                });
+                res.end('data: [DONE]\n\n');
+            });
+        });
+        server.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseURL = `http://localhost:${server.address().port}/v1`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('sends the task\'s model and sampling settings', async () => {
+        const provider = new OpenAIProvider({ baseURL });
+
+        assert.equal(provider.name, 'openai-compatible');
+        assert.equal(await provider.complete('analysis', MESSAGES, { config: { model: 'local-model' } }), 'Hi there');
+
+        const { url, body } = requests.at(-1);
+        assert.equal(url, '/v1/chat/completions');
+        assert.deepEqual(body, { model: 'local-model', messages: MESSAGES, temperature: 0.3, max_tokens: 1000 });
+    });
+
+    it('streams the reply\'s text fragments', async () => {
+        const provider = new OpenAIProvider({ baseURL });
+
+        assert.deepEqual(await collect(provider.stream('chat', MESSAGES)), ['Hi', ' there']);
+        assert.equal(requests.at(-1).body.stream, true);
+    });
+});
+
+describe('createLLMProvider', () => {
+    it('builds the named provider', () => {
+        assert.ok(createLLMProvider({ provider: 'openai', apiKey: 'key' }) instanceof OpenAIProvider);
+        assert.ok(createLLMProvider({ provider: 'mock' }) instanceof MockProvider);
+        assert.throws(() => createLLMProvider({ provider: 'oracle' }), /Unknown LLM provider: oracle/);
+    });
+
+    it('loads the mock script from LLM_MOCK_SCRIPT', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'compas-llm-'));
+        const scriptPath = path.join(directory, 'script.json');
+        await fs.writeFile(scriptPath, JSON.stringify({ chat: ['From the file'] }));
+        const saved = process.env.LLM_MOCK_SCRIPT;
+
+        try {
+            process.env.LLM_MOCK_SCRIPT = scriptPath;
+            assert.equal(await createLLMProvider({ provider: 'mock' }).complete('chat', MESSAGES), 'From the file');
+        } finally {
+            if (saved === undefined) {
+                delete process.env.LLM_MOCK_SCRIPT;
+            } else {
+                process.env.LLM_MOCK_SCRIPT = saved;
+            }
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
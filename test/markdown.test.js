@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderInline, parseMarkdown, renderMarkdown } = require('../public/markdown');
+
+describe('renderInline', () => {
+    it('escapes HTML and formats emphasis and code', () => {
+        assert.equal(renderInline('<b>Hi</b> **bold** *it* `a<b`'),
+            '&lt;b&gt;Hi&lt;/b&gt; <strong>bold</strong> <em>it</em> <code>a&lt;b</code>');
+    });
+
+    it('only links safe URLs', () => {
+        assert.equal(renderInline('[x](javascript:alert) [y](/report)'),
+            'x <a href="/report" target="_blank" rel="noopener noreferrer">y</a>');
+    });
+});
+
+describe('parseMarkdown', () => {
+    it('reads headings, nested lists, quotes, code and rules as blocks', () => {
+        assert.deepEqual(parseMarkdown('# T\n\n- a\n  - b\n\n> q\n\n```js\nx\n```\n\n---'), [
+            { type: 'heading', level: 1, text: 'T' },
+            {
+                type: 'list',
+                ordered: false,
+                start: null,
+                loose: false,
+                items: [[
+                    { type: 'paragraph', lines: ['a'] },
+                    { type: 'list', ordered: false, start: null, loose: false, items: [[{ type: 'paragraph', lines: ['b'] }]] }
+                ]]
+            },
+            { type: 'quote', blocks: [{ type: 'paragraph', lines: ['q'] }] },
+            { type: 'code', language: 'js', text: 'x' },
+            { type: 'rule' }
+        ]);
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('renders tables with their alignment', () => {
+        assert.equal(renderMarkdown('| A | B |\n|:--|--:|\n| 1 | 2 |'), [
+            '<table>',
+            '<thead>',
+            '<tr><th style="text-align: left">A</th><th style="text-align: right">B</th></tr>',
+            '</thead>',
+            '<tbody>',
+            '<tr><td style="text-align: left">1</td><td style="text-align: right">2</td></tr>',
+            '</tbody>',
+            '</table>'
+        ].join('\n'));
+    });
+
+    it('renders numbered lists from their start number', () => {
+        assert.equal(renderMarkdown('3. three\n4. four'), '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>');
+    });
+});
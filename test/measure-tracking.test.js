@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const {
+    STATUSES,
+    parseMeasureValue,
+    describeAssessment,
+    startAssessment,
+    recordMeasurement,
+    removeMeasurement,
+    renameTrackedMeasure,
+    buildAssessmentContext
+} = require('../measure-tracking');
+
+const NOW = new Date('2026-02-20T00:00:00Z');
+const author = { id: 'u-1', username: 'jo' };
+
+// A completed plan with one measure; `steps` schedules it
+function assessedSession({ steps = [], measure = {} } = {}) {
+    const session = new SessionState('session-1', 'user-1');
+    session.stage = 'complete';
+    Object.assign(session.stageData.implementation_plan, {
+        startDate: '2026-01-01',
+        implementationSteps: steps,
+        performanceMeasures: [{ metric: 'Retention', baseline: '40%', target: '60%', frequency: 'Monthly', ...measure }]
+    });
+    startAssessment(session, { author });
+    return session;
+}
+
+function log(session, value, date) {
+    return recordMeasurement(session, 0, { value, date, author, now: NOW });
+}
+
+describe('parseMeasureValue', () => {
+    it('reads the number in a baseline or target', () => {
+        assert.equal(parseMeasureValue('45%'), 45);
+        assert.equal(parseMeasureValue('1,200 families'), 1200);
+        assert.equal(parseMeasureValue(-2.5), -2.5);
+        assert.equal(parseMeasureValue('more than before'), null);
+    });
+});
+
+describe('startAssessment', () => {
+    it('needs a complete plan with measures', () => {
+        const session = new SessionState('session-1', 'user-1');
+        assert.throws(() => startAssessment(session), /Finish the implementation plan/);
+
+        session.stage = 'complete';
+        assert.throws(() => startAssessment(session), /no performance measures/);
+    });
+
+    it('records who started it', () => {
+        const assessment = describeAssessment(assessedSession(), NOW);
+        assert.equal(assessment.active, true);
+        assert.equal(assessment.startedBy, 'jo');
+        assert.equal(assessment.measures[0].reason, 'No values logged yet');
+    });
+});
+
+describe('recordMeasurement', () => {
+    it('keeps values in date order and defaults to today', () => {
+        const session = assessedSession();
+        log(session, 50, '2026-02-10');
+        log(session, 45, '2026-01-15');
+        const latest = log(session, 52);
+
+        const [measure] = describeAssessment(session, NOW).measures;
+        assert.deepEqual(measure.entries.map(entry => entry.date), ['2026-01-15', '2026-02-10', '2026-02-20']);
+        assert.equal(measure.latest.id, latest.id);
+        assert.equal(measure.progress, 60);
+    });
+
+    it('refuses bad values and dates', () => {
+        const session = assessedSession();
+        assert.throws(() => log(session, '50'), /value must be a number/);
+        assert.throws(() => log(session, 50, '10 Feb'), /date must be a date/);
+        assert.throws(() => log(session, 50, '2026-03-01'), /cannot be in the future/);
+        assert.throws(() => recordMeasurement(session, 4, { value: 50 }), /Measure not found/);
+        assert.throws(() => recordMeasurement(new SessionState('s', 'u'), 0, { value: 50 }), /Start assessment/);
+    });
+
+    it('removes a logged value', () => {
+        const session = assessedSession();
+        const entry = log(session, 50, '2026-02-10');
+
+        removeMeasurement(session, 0, entry.id);
+        assert.deepEqual(describeAssessment(session, NOW).measures[0].entries, []);
+        assert.throws(() => removeMeasurement(session, 0, entry.id), /Measurement not found/);
+    });
+});
+
+describe('measure status', () => {
+    // 100 days from 2026-01-01: half the plan period has passed by NOW
+    const steps = [{ title: 'Run the program', startDate: '2026-01-01', durationDays: 100 }];
+
+    it('compares progress with the share of the plan period gone', () => {
+        const statusAt = (value) => {
+            const session = assessedSession({ steps });
+            log(session, value, '2026-02-15');
+            return describeAssessment(session, NOW).measures[0];
+        };
+
+        const onTrack = statusAt(50);
+        assert.equal(onTrack.expectedProgress, 50);
+        assert.equal(onTrack.status, STATUSES.ON_TRACK);
+        assert.equal(onTrack.reason, '50% of the way to target with 50% of the plan period gone');
+        assert.equal(statusAt(46).status, STATUSES.AT_RISK);
+        assert.equal(statusAt(42).status, STATUSES.OFF_TRACK);
+        assert.equal(statusAt(35).reason, 'Moved away from the baseline (40), not toward the target (60)');
+        assert.equal(statusAt(61).reason, 'Target reached');
+    });
+
+    it('judges by the trend when the plan has no schedule', () => {
+        const session = assessedSession({ measure: { baseline: '20 dropouts', target: '10 dropouts' } });
+        log(session, 18, '2026-01-15');
+        assert.equal(describeAssessment(session, NOW).measures[0].status, STATUSES.AT_RISK);
+
+        log(session, 15, '2026-02-15');
+        const [measure] = describeAssessment(session, NOW).measures;
+        assert.equal(measure.status, STATUSES.ON_TRACK);
+        assert.equal(measure.reason, '50% of the way to target and improving');
+    });
+
+    it('has no status without numeric targets', () => {
+        const session = assessedSession({ measure: { target: 'Much higher' } });
+        log(session, 50, '2026-02-15');
+        assert.equal(describeAssessment(session, NOW).measures[0].status, null);
+    });
+});
+
+describe('renameTrackedMeasure', () => {
+    it('moves the logged values to the new name', () => {
+        const session = assessedSession();
+        log(session, 50, '2026-02-10');
+
+        renameTrackedMeasure(session, 'Retention', 'Volunteer retention');
+        session.stageData.implementation_plan.performanceMeasures[0].metric = 'Volunteer retention';
+
+        assert.equal(describeAssessment(session, NOW).measures[0].entries.length, 1);
+    });
+});
+
+describe('buildAssessmentContext', () => {
+    it('summarises each measure for the coach', () => {
+        const session = assessedSession();
+        recordMeasurement(session, 0, { value: 50, date: '2026-02-10', note: 'After the spring intake', now: NOW });
+
+        assert.equal(buildAssessmentContext(session, NOW),
+            '- Retention: baseline 40%, target 60%, latest 50 on 2026-02-10 ("After the spring intake"). ' +
+            'Status: at risk (50% of the way to target; log another value to see the trend).');
+    });
+});
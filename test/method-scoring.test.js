@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { MockProvider, setLLMProvider } = require('../llm-provider');
+const {
+    rankMethods,
+    setWeights,
+    setScore,
+    applyMethodScores,
+    suggestMethodScores,
+    selectMethod
+} = require('../method-scoring');
+
+const author = { id: 'u-1', username: 'jo' };
+
+function scoringSession() {
+    const session = new SessionState('session-1', 'user-1');
+    session.stageData.method_ideation.methods = [
+        { name: 'Buddy program', description: 'Pair new volunteers with old hands' },
+        { name: 'Automated check-ins' }
+    ];
+    return session;
+}
+
+// Score every criterion of a method the same
+function scoreAll(session, methodIndex, score) {
+    ['cost', 'timeToValue', 'staffCapacity', 'dataReadiness', 'risk'].forEach(criterion => {
+        setScore(session, methodIndex, criterion, score, { author });
+    });
+}
+
+describe('rankMethods', () => {
+    it('totals the weighted scores out of 100, best first', () => {
+        const session = scoringSession();
+        scoreAll(session, 0, 3);
+        scoreAll(session, 1, 5);
+
+        assert.deepEqual(rankMethods(session).map(method => [method.name, method.total]), [
+            ['Automated check-ins', 100],
+            ['Buddy program', 60]
+        ]);
+    });
+
+    it('leaves out the total until every weighted criterion is scored', () => {
+        const session = scoringSession();
+        setScore(session, 0, 'cost', 4);
+
+        const buddies = rankMethods(session).find(method => method.name === 'Buddy program');
+        assert.equal(buddies.total, null);
+        assert.deepEqual(buddies.missing, ['timeToValue', 'staffCapacity', 'dataReadiness', 'risk']);
+
+        setWeights(session, { timeToValue: 0, staffCapacity: 0, dataReadiness: 0, risk: 0 });
+        assert.equal(rankMethods(session)[0].total, 80);
+    });
+});
+
+describe('setWeights and setScore', () => {
+    it('refuse unknown criteria and out-of-range values', () => {
+        const session = scoringSession();
+
+        assert.throws(() => setWeights(session, {}), /weights must map criterion ids/);
+        assert.throws(() => setWeights(session, { speed: 2 }), /Unknown criterion: speed/);
+        assert.throws(() => setWeights(session, { cost: 6 }), /from 0 to 5/);
+        assert.throws(() => setScore(session, 5, 'cost', 3), /Method not found/);
+        assert.throws(() => setScore(session, 0, 'cost', 2.5), /whole number from 1 to 5/);
+    });
+});
+
+describe('suggested scores', () => {
+    beforeEach(() => {
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setLLMProvider(null);
+    });
+
+    it('fills in every score the AI suggests', async () => {
+        const session = scoringSession();
+        setLLMProvider(new MockProvider());
+
+        assert.equal(await suggestMethodScores(session), 10);
+        rankMethods(session).forEach(method => assert.notEqual(method.total, null));
+        assert.ok(session.methodScoring.suggestedAt instanceof Date);
+    });
+
+    it('keeps the scores users set and skips unknown methods and criteria', () => {
+        const session = scoringSession();
+        setScore(session, 0, 'cost', 2, { justification: 'Needs a coordinator', author });
+
+        const applied = applyMethodScores(session, [
+            { method: 'buddy program', criterion: 'cost', score: 5, justification: 'Free' },
+            { method: 'Buddy program', criterion: 'risk', score: 4, justification: 'Well known' },
+            { method: 'Newsletter', criterion: 'cost', score: 5, justification: 'Cheap' },
+            { method: 'Buddy program', criterion: 'reach', score: 5, justification: 'Wide' }
+        ]);
+
+        assert.equal(applied, 1);
+        const { scores } = rankMethods(session).find(method => method.name === 'Buddy program');
+        assert.equal(scores.cost.score, 2);
+        assert.equal(scores.cost.source, 'user');
+        assert.deepEqual([scores.risk.score, scores.risk.source], [4, 'ai']);
+    });
+
+    it('reports a failed or unusable AI reply as an upstream error', async () => {
+        setLLMProvider(new MockProvider({ script: { scoring: ['No scores today'] } }));
+        await assert.rejects(suggestMethodScores(scoringSession()), { status: 502 });
+
+        setLLMProvider(new MockProvider({ script: { scoring: [() => { throw new Error('Connection reset'); }] } }));
+        await assert.rejects(suggestMethodScores(scoringSession()), { status: 502 });
+    });
+
+    it('asks for methods first', async () => {
+        const session = new SessionState('session-1', 'user-1');
+        await assert.rejects(suggestMethodScores(session), error => !error.status && /No methods to score yet/.test(error.message));
+    });
+});
+
+describe('selectMethod', () => {
+    it('writes the chosen method and a rationale the extraction will not change', () => {
+        const session = scoringSession();
+        scoreAll(session, 0, 4);
+
+        selectMethod(session, 0, { author });
+
+        const { chosenMethod, methodRationale } = session.stageData.method_selection;
+        assert.deepEqual([chosenMethod.name, chosenMethod.score], ['Buddy program', 80]);
+        assert.match(methodRationale, /^Buddy program scored 80\/100 in the weighted comparison\. Cost 4\/5 \(weight 3\)\./);
+        assert.equal(session.planEdits.chosenMethod.editedBy, 'jo');
+    });
+
+    it('needs a fully scored method', () => {
+        const session = scoringSession();
+        assert.throws(() => selectMethod(session, 1), /Score Automated check-ins on every weighted criterion first/);
+        assert.throws(() => selectMethod(session, 9), /Method not found/);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemorySessionStore } = require('../session-store');
+const {
+    hasRole,
+    resolveSessionRole,
+    createShareLink,
+    parseShareToken,
+    findShareLink,
+    describeShareLink,
+    OrganizationService
+} = require('../organizations');
+
+const owner = { id: 'u-owner', username: 'owner' };
+const colleague = { id: 'u-colleague', username: 'colleague' };
+const stranger = { id: 'u-stranger', username: 'stranger' };
+
+describe('hasRole', () => {
+    it('compares roles weakest first', () => {
+        assert.equal(hasRole('owner', 'editor'), true);
+        assert.equal(hasRole('editor', 'editor'), true);
+        assert.equal(hasRole('viewer', 'editor'), false);
+        assert.equal(hasRole('admin', 'viewer'), false);
+    });
+});
+
+describe('resolveSessionRole', () => {
+    const organization = {
+        id: 'org-1',
+        members: [{ userId: owner.id, role: 'owner' }, { userId: colleague.id, role: 'viewer' }]
+    };
+
+    it('gives the owner full access and strangers none', () => {
+        const session = { ownerId: owner.id, collaborators: [] };
+
+        assert.equal(resolveSessionRole(session, owner), 'owner');
+        assert.equal(resolveSessionRole(session, stranger), null);
+        assert.equal(resolveSessionRole(session, null), null);
+    });
+
+    it('takes the strongest of collaborator and organization roles', () => {
+        const session = { ownerId: 'someone-else', organizationId: 'org-1', collaborators: [{ userId: colleague.id, role: 'editor' }] };
+
+        assert.equal(resolveSessionRole(session, colleague, organization), 'editor');
+        assert.equal(resolveSessionRole({ ...session, collaborators: [] }, colleague, organization), 'viewer');
+        assert.equal(resolveSessionRole(session, owner, organization), 'owner');
+    });
+
+    it('ignores memberships of other organizations', () => {
+        const session = { ownerId: 'someone-else', organizationId: 'org-2', collaborators: [] };
+        assert.equal(resolveSessionRole(session, owner, organization), null);
+    });
+});
+
+describe('share links', () => {
+    it('finds a live link by its secret and stores only a hash', () => {
+        const session = { sessionId: 'session-1' };
+        const { link, token } = createShareLink(session, owner);
+        const { sessionId, secret } = parseShareToken(token);
+
+        assert.equal(sessionId, 'session-1');
+        assert.equal(findShareLink(session, secret), link);
+        assert.equal(findShareLink(session, 'wrong'), null);
+        assert.equal(JSON.stringify(session).includes(secret), false);
+        assert.equal('secretHash' in describeShareLink(link), false);
+    });
+
+    it('ignores revoked and expired links', () => {
+        const session = { sessionId: 'session-1' };
+        const revoked = createShareLink(session, owner);
+        revoked.link.revoked = true;
+        const expired = createShareLink(session, owner, { expiresInDays: -1 });
+
+        assert.equal(findShareLink(session, parseShareToken(revoked.token).secret), null);
+        assert.equal(findShareLink(session, parseShareToken(expired.token).secret), null);
+    });
+
+    it('rejects malformed tokens', () => {
+        assert.equal(parseShareToken('no-secret'), null);
+        assert.equal(parseShareToken(undefined), null);
+    });
+});
+
+describe('OrganizationService', () => {
+    it('always keeps an owner', async () => {
+        const service = new OrganizationService({ store: new MemorySessionStore({ ttlMs: null }) });
+        const organization = await service.create('Food Bank', owner);
+
+        await service.setMember(organization, colleague, 'editor');
+        await assert.rejects(service.setMember(organization, owner, 'viewer'), /at least one owner/);
+        await assert.rejects(service.removeMember(organization, owner.id), /at least one owner/);
+
+        await service.setMember(organization, colleague, 'owner');
+        await service.removeMember(organization, owner.id);
+        assert.deepEqual((await service.get(organization.id)).members.map(m => [m.username, m.role]), [['colleague', 'owner']]);
+    });
+
+    it('rejects unknown roles', async () => {
+        const service = new OrganizationService({ store: new MemorySessionStore({ ttlMs: null }) });
+        const organization = await service.create('Food Bank', owner);
+
+        await assert.rejects(service.setMember(organization, colleague, 'admin'), /Role must be one of viewer, editor, owner/);
+    });
+
+    it('keeps both of two member changes made at the same time', async () => {
+        const service = new OrganizationService({ store: new MemorySessionStore({ ttlMs: null }) });
+        const { id } = await service.create('Food Bank', owner);
+
+        // Each request loads its own copy
+        const [first, second] = await Promise.all([service.get(id), service.get(id)]);
+        await Promise.all([
+            service.setMember(first, colleague, 'editor'),
+            service.setMember(second, stranger, 'viewer')
+        ]);
+
+        assert.deepEqual((await service.get(id)).members.map(m => [m.username, m.role]),
+            [['owner', 'owner'], ['colleague', 'editor'], ['stranger', 'viewer']]);
+    });
+
+    it('gives up with a 409 when the organization keeps changing', async () => {
+        const store = new MemorySessionStore({ ttlMs: null });
+        const service = new OrganizationService({ store });
+        const organization = await service.create('Food Bank', owner);
+        store.set = async () => {
+            throw Object.assign(new Error('Changed'), { code: 'VERSION_CONFLICT' });
+        };
+
+        await assert.rejects(service.setBranding(organization, { primaryColor: '#aa0000' }), { status: 409 });
+        assert.equal((await service.get(organization.id)).branding, undefined);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const {
+    normalizeItem,
+    addPlanItem,
+    updatePlanItem,
+    removePlanItem,
+    reorderPlanItems,
+    markFieldEdited,
+    mergeExtractedData,
+    getEditedFields
+} = require('../plan-editor');
+
+const author = { id: 'u-1', username: 'jo' };
+
+function planSession() {
+    const session = new SessionState('session-1', 'user-1');
+    session.stageData.context_discovery.stakeholders = ['Volunteers', 'Staff'];
+    session.stageData.implementation_plan.implementationSteps = [
+        { title: 'Recruit' },
+        { title: 'Train', dependsOn: ['Recruit'] }
+    ];
+    return session;
+}
+
+describe('normalizeItem', () => {
+    it('trims text and drops blank optional fields', () => {
+        assert.deepEqual(normalizeItem('stakeholders', '  Board  '), { item: 'Board', errors: [] });
+        assert.deepEqual(normalizeItem('methods', { name: ' Buddies ', description: '' }), { item: { name: 'Buddies' }, errors: [] });
+    });
+
+    it('reports items that do not fit the schema or have no name', () => {
+        assert.deepEqual(normalizeItem('stakeholders', '   ').errors, ['item: must not be empty']);
+        assert.ok(normalizeItem('implementationSteps', { title: 'Launch', durationDays: -2 }).errors.length > 0);
+        assert.ok(normalizeItem('methods', { description: 'No name' }).errors.length > 0);
+    });
+});
+
+describe('plan item edits', () => {
+    it('adds items at a position and records who edited the list', () => {
+        const session = planSession();
+        addPlanItem(session, 'stakeholders', 'Board', { position: 0, author });
+
+        assert.deepEqual(session.stageData.context_discovery.stakeholders, ['Board', 'Volunteers', 'Staff']);
+        assert.equal(session.planEdits.stakeholders.editedBy, 'jo');
+    });
+
+    it('renames a step in the steps that depend on it', () => {
+        const session = planSession();
+        updatePlanItem(session, 'implementationSteps', 0, { title: 'Recruit buddies' }, { author });
+
+        assert.deepEqual(session.stageData.implementation_plan.implementationSteps, [
+            { title: 'Recruit buddies' },
+            { title: 'Train', dependsOn: ['Recruit buddies'] }
+        ]);
+        assert.deepEqual(session.planEdits.implementationSteps.removed, ['recruit']);
+    });
+
+    it('removes a step from the steps that depend on it', () => {
+        const session = planSession();
+        removePlanItem(session, 'implementationSteps', 0, { author });
+
+        assert.deepEqual(session.stageData.implementation_plan.implementationSteps, [{ title: 'Train' }]);
+    });
+
+    it('reorders by a full list of indexes only', () => {
+        const session = planSession();
+        reorderPlanItems(session, 'stakeholders', [1, 0], { author });
+
+        assert.deepEqual(session.stageData.context_discovery.stakeholders, ['Staff', 'Volunteers']);
+        assert.throws(() => reorderPlanItems(session, 'stakeholders', [0, 0]), /every item index exactly once/);
+    });
+
+    it('refuses indexes outside the list', () => {
+        const session = planSession();
+        assert.throws(() => updatePlanItem(session, 'stakeholders', 5, 'Board'), /Plan item not found/);
+        assert.throws(() => removePlanItem(session, 'stakeholders', -1), /Plan item not found/);
+    });
+});
+
+describe('mergeExtractedData', () => {
+    it('takes extracted lists the user has not edited', () => {
+        const session = planSession();
+        mergeExtractedData(session, 'context_discovery', { stakeholders: ['Donors'] });
+
+        assert.deepEqual(session.stageData.context_discovery.stakeholders, ['Donors']);
+    });
+
+    it('keeps the user\'s items and only adds new ones, never deleted or renamed ones', () => {
+        const session = planSession();
+        removePlanItem(session, 'stakeholders', 1, { author });
+        updatePlanItem(session, 'stakeholders', 0, 'Volunteer leads', { author });
+
+        mergeExtractedData(session, 'context_discovery', { stakeholders: ['staff', 'Volunteers', 'Donors', 'VOLUNTEER LEADS'] });
+
+        assert.deepEqual(session.stageData.context_discovery.stakeholders, ['Volunteer leads', 'Donors']);
+    });
+
+    it('never overwrites a field the user set', () => {
+        const session = planSession();
+        session.stageData.method_selection.chosenMethod = { name: 'Buddy program' };
+        markFieldEdited(session, 'method_selection', 'chosenMethod', author);
+
+        mergeExtractedData(session, 'method_selection', { chosenMethod: { name: 'Automated check-ins' }, methodRationale: 'Cheapest' });
+
+        assert.deepEqual(session.stageData.method_selection.chosenMethod, { name: 'Buddy program' });
+        assert.equal(session.stageData.method_selection.methodRationale, 'Cheapest');
+    });
+});
+
+describe('getEditedFields', () => {
+    it('lists the edited lists and fields of a stage', () => {
+        const session = planSession();
+        addPlanItem(session, 'constraints', 'No budget', { author });
+        markFieldEdited(session, 'method_selection', 'chosenMethod', author);
+
+        assert.deepEqual(getEditedFields(session, 'context_discovery'), ['constraints']);
+        assert.deepEqual(getEditedFields(session, 'method_selection'), ['chosenMethod']);
+        assert.deepEqual(getEditedFields(session, 'implementation_plan'), []);
+    });
+});
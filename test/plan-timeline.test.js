@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_DURATION_DAYS, findScheduleErrors, renameDependency, removeDependency, buildTimeline } = require('../plan-timeline');
+
+describe('findScheduleErrors', () => {
+    it('accepts a plan without problems', () => {
+        assert.deepEqual(findScheduleErrors([{ title: 'A' }, { title: 'B', dependsOn: ['a'] }]), []);
+    });
+
+    it('finds a dependency cycle and names its steps', () => {
+        const errors = findScheduleErrors([
+            { title: 'A', dependsOn: ['C'] },
+            { title: 'B', dependsOn: ['A'] },
+            { title: 'C', dependsOn: ['B'] }
+        ]);
+
+        assert.deepEqual(errors, ['Steps depend on each other in a cycle: A → C → B → A']);
+    });
+
+    it('finds duplicate, self, unknown and backwards steps', () => {
+        const errors = findScheduleErrors([
+            { title: 'A', dependsOn: ['A'] },
+            { title: 'a' },
+            { title: 'B', dependsOn: ['Z'], startDate: '2026-03-02', endDate: '2026-03-01' }
+        ]);
+
+        assert.deepEqual(errors, [
+            'Two steps are named "a"',
+            '"A" depends on itself',
+            '"B" depends on unknown step "Z"',
+            '"B" ends before it starts'
+        ]);
+    });
+});
+
+describe('buildTimeline', () => {
+    it('schedules steps after their dependencies and finds the critical path', () => {
+        const timeline = buildTimeline({
+            startDate: '2026-03-02',
+            implementationSteps: [
+                { title: 'Recruit', durationDays: 5 },
+                { title: 'Train', durationDays: 2, dependsOn: ['Recruit'] },
+                { title: 'Print flyers', durationDays: 1 },
+                { title: 'Launch', milestone: true, dependsOn: ['Train', 'Print flyers'] }
+            ]
+        });
+
+        assert.deepEqual(timeline.errors, []);
+        assert.deepEqual(timeline.steps.map(step => [step.title, step.startDate, step.endDate]), [
+            ['Recruit', '2026-03-02', '2026-03-06'],
+            ['Train', '2026-03-07', '2026-03-08'],
+            ['Print flyers', '2026-03-02', '2026-03-02'],
+            ['Launch', '2026-03-09', '2026-03-09']
+        ]);
+        assert.deepEqual(timeline.criticalPath, ['Recruit', 'Train', 'Launch']);
+        assert.equal(timeline.steps[2].slackDays, 6);
+        assert.equal(timeline.endDate, '2026-03-09');
+    });
+
+    it('reads week ranges and falls back to the default duration', () => {
+        const timeline = buildTimeline({
+            startDate: '2026-03-02',
+            implementationSteps: [{ title: 'Pilot', timeline: 'Week 2-3' }, { title: 'Review' }]
+        });
+
+        assert.deepEqual(timeline.steps.map(step => [step.startDate, step.durationDays]), [
+            ['2026-03-09', 14],
+            ['2026-03-02', DEFAULT_DURATION_DAYS]
+        ]);
+    });
+
+    it('does not schedule a plan with errors', () => {
+        const timeline = buildTimeline({ implementationSteps: [{ title: 'A', dependsOn: ['B'] }, { title: 'B', dependsOn: ['A'] }] });
+
+        assert.deepEqual(timeline.steps, []);
+        assert.equal(timeline.errors.length, 1);
+    });
+});
+
+describe('dependency edits', () => {
+    it('follows renamed steps and drops removed ones', () => {
+        const steps = [{ title: 'Recruit' }, { title: 'Train', dependsOn: ['recruit', 'Print'] }];
+
+        renameDependency(steps, 'Recruit', 'Recruit buddies');
+        assert.deepEqual(steps[1].dependsOn, ['Recruit buddies', 'Print']);
+
+        removeDependency(steps, 'Print');
+        assert.deepEqual(steps[1].dependsOn, ['Recruit buddies']);
+    });
+});
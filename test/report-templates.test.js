@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { listTemplates, renderReport, normalizeTemplate, getBranding, normalizeBranding } = require('../report-templates');
+
+function reportSession() {
+    const session = new SessionState('session-1', 'user-1');
+    Object.assign(session.stageData.context_discovery, {
+        situationDescription: 'Volunteers <leave> early',
+        stakeholders: ['Volunteers', 'Staff']
+    });
+    Object.assign(session.stageData.implementation_plan, {
+        implementationSteps: [
+            { title: 'Recruit | train', owner: 'Jo', description: 'Two\nlines' },
+            { title: 'Launch' }
+        ],
+        performanceMeasures: [{ metric: 'Retention', baseline: '45%', target: '65%' }],
+        learningQuestions: ['Do buddies help?']
+    });
+    return session;
+}
+
+// An organization with one custom template
+function withTemplate(source) {
+    return { name: 'Food Bank', reportTemplates: [normalizeTemplate('custom', { label: 'Custom', source })] };
+}
+
+describe('renderReport', () => {
+    it('renders every built-in template', () => {
+        const session = reportSession();
+        listTemplates().forEach(({ id }) => {
+            const markdown = renderReport(session, { template: id });
+            assert.match(markdown, /^# /m, id);
+            assert.doesNotMatch(markdown, /\{\{|\}\}/, id);
+        });
+    });
+
+    it('renders the full report from the session', () => {
+        const markdown = renderReport(reportSession());
+
+        assert.match(markdown, /Volunteers <leave> early/);
+        assert.match(markdown, /Retention/);
+        assert.match(markdown, /Do buddies help\?/);
+    });
+
+    it('renders an organization\'s own template without HTML escaping', () => {
+        const organization = withTemplate('# {{title}} for {{organization.name}}\n{{join context.stakeholders " & "}}');
+
+        assert.equal(renderReport(reportSession(), { template: 'custom', organization }),
+            '# Volunteers <leave> early for Food Bank\nVolunteers & Staff');
+    });
+
+    it('numbers list items, looks names up on outer items and keeps table cells on one line', () => {
+        const organization = withTemplate('{{#each plan.steps}}{{@number}}. {{cell title}} ({{or owner "Unassigned"}}) | {{cell description}} | {{sessionId}}\n{{/each}}');
+
+        assert.equal(renderReport(reportSession(), { template: 'custom', organization }),
+            '1. Recruit \\| train (Jo) | Two lines | session-1\n2. Launch (Unassigned) |  | session-1\n');
+    });
+
+    it('includes the shared partials', () => {
+        const organization = withTemplate('{{> method-comparison}}');
+        assert.equal(typeof renderReport(reportSession(), { template: 'custom', organization }), 'string');
+    });
+
+    it('rejects unknown templates', () => {
+        assert.throws(() => renderReport(reportSession(), { template: 'missing' }), /Unknown report template "missing"/);
+    });
+});
+
+describe('normalizeTemplate', () => {
+    it('checks ids, labels and sources', () => {
+        assert.throws(() => normalizeTemplate('Bad Id', { label: 'X', source: 'x' }), /Template ids/);
+        assert.throws(() => normalizeTemplate('full', { label: 'X', source: 'x' }), /"full" is a built-in template/);
+        assert.throws(() => normalizeTemplate('mine', { label: ' ', source: 'x' }), /need a label/);
+        assert.throws(() => normalizeTemplate('mine', { label: 'Mine', source: '' }), /Template source/);
+    });
+
+    it('rejects templates that would not render', () => {
+        assert.throws(() => normalizeTemplate('mine', { label: 'Mine', source: '{{#each steps}}' }), /Template error/);
+        assert.throws(() => normalizeTemplate('mine', { label: 'Mine', source: '{{lookup . "constructor"}}{{shout title}}' }), /Unknown helper "shout"/);
+        assert.throws(() => normalizeTemplate('mine', { label: 'Mine', source: '{{> cover}}' }), /Unknown partial "cover"/);
+        assert.throws(() => normalizeTemplate('mine', { label: 'Mine', source: '{{> (lookup . "name")}}' }), /Partial names must be written out/);
+    });
+
+    it('allows inline partials', () => {
+        const source = '{{#*inline "row"}}- {{title}}{{/inline}}{{#each plan.steps}}{{> row}}\n{{/each}}';
+        const organization = { reportTemplates: [normalizeTemplate('mine', { label: 'Mine', source })] };
+
+        assert.equal(renderReport(reportSession(), { template: 'mine', organization }), '- Recruit | train\n- Launch\n');
+    });
+});
+
+describe('branding', () => {
+    it('keeps valid settings and rejects the rest', () => {
+        assert.deepEqual(normalizeBranding({ primaryColor: '#AA0000', footerDisclaimer: ' Draft ' }), { primaryColor: '#AA0000', footerDisclaimer: 'Draft' });
+        assert.throws(() => normalizeBranding({ primaryColor: 'red' }));
+        assert.throws(() => normalizeBranding({ logo: 'data:image/svg+xml;base64,PHN2Zz4=' }));
+    });
+
+    it('fills in defaults', () => {
+        assert.equal(getBranding({ branding: { primaryColor: '#aa0000' } }).primaryColor, '#aa0000');
+        assert.ok(getBranding(null).primaryColor);
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SecurityService, describePIIFindings } = require('../security');
+
+describe('PII redaction', () => {
+    const securityService = new SecurityService();
+
+    it('redacts and counts each kind of PII', () => {
+        const { findings, total, redactedText } = securityService.scanPII(
+            'Jo (jo@example.org, 555-123-4567) paid with 4111 1111 1111 1111; SSN 123-45-6789 from 192.168.0.12.'
+        );
+
+        assert.equal(redactedText,
+            'Jo ([EMAIL REDACTED], [PHONE REDACTED]) paid with [CC REDACTED]; SSN [SSN REDACTED] from [IP REDACTED].');
+        assert.deepEqual(findings, { ssn: 1, email: 1, creditCard: 1, phone: 1, ipAddress: 1 });
+        assert.equal(total, 5);
+    });
+
+    it('does not take part of a card number for a phone number', () => {
+        assert.equal(securityService.redactPII('Card 4111-1111-1111-1111'), 'Card [CC REDACTED]');
+    });
+
+    it('leaves text without PII alone', () => {
+        const { total, redactedText } = securityService.scanPII('We served 1,200 families in 2025.');
+
+        assert.equal(total, 0);
+        assert.equal(redactedText, 'We served 1,200 families in 2025.');
+    });
+
+    it('describes findings for people', () => {
+        assert.equal(describePIIFindings({ email: 2, phone: 1, ssn: 0 }), '2 email, 1 phone');
+        assert.equal(describePIIFindings({}), '');
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { startAssessment, recordMeasurement } = require('../measure-tracking');
+const { createIterationSession } = require('../session-iterations');
+
+const owner = { id: 'owner-1', username: 'sam' };
+const editor = { id: 'editor-1', username: 'jo' };
+
+function completedPlan() {
+    const session = new SessionState('session-1', owner.id);
+    session.stage = 'complete';
+    session.collaborators = [{ userId: editor.id, username: editor.username, role: 'editor' }];
+    session.stageData.context_discovery.situationDescription = 'Volunteers leave within three months';
+    Object.assign(session.stageData.implementation_plan, {
+        implementationSteps: [{ title: 'Recruit' }],
+        performanceMeasures: [{ metric: 'Retention', baseline: '40%', target: '60%' }],
+        learningQuestions: ['Do buddies help?', 'Is it affordable?']
+    });
+    startAssessment(session, { author: owner });
+    recordMeasurement(session, 0, { value: 50, date: '2026-02-10', author: owner });
+    return session;
+}
+
+describe('createIterationSession', () => {
+    it('carries the plan over and starts in Scaling & Learning', () => {
+        const parent = completedPlan();
+        const session = createIterationSession(parent, { sessionId: 'session-2', user: owner, version: 2 });
+
+        assert.equal(session.stage, 'scaling_learning');
+        assert.equal(session.stageData.context_discovery.situationDescription, 'Volunteers leave within three months');
+        assert.equal(session.stageData.implementation_plan.completed, true);
+        assert.deepEqual(session.stageData.scaling_learning.learningDecisions, [
+            { question: 'Do buddies help?' },
+            { question: 'Is it affordable?' }
+        ]);
+        assert.equal(session.assessment, null);
+
+        // Copies, not shared with the previous version
+        session.stageData.implementation_plan.implementationSteps.push({ title: 'Train' });
+        assert.equal(parent.stageData.implementation_plan.implementationSteps.length, 1);
+    });
+
+    it('records its place in the lineage and the results so far', () => {
+        const first = completedPlan();
+        const second = createIterationSession(first, { sessionId: 'session-2', user: owner, version: 2 });
+        second.stage = 'complete';
+        const third = createIterationSession(second, { sessionId: 'session-3', user: owner, version: 3 });
+
+        assert.equal(third.lineage.rootSessionId, 'session-1');
+        assert.equal(third.lineage.parentSessionId, 'session-2');
+        assert.equal(third.lineage.version, 3);
+        assert.equal(second.lineage.previousResults[0].metric, 'Retention');
+        assert.deepEqual(second.lineage.previousResults[0].latest, { value: 50, date: '2026-02-10' });
+        assert.equal(second.lineage.previousResults[0].progress, 50);
+    });
+
+    it('keeps the owner when an editor starts it', () => {
+        const session = createIterationSession(completedPlan(), { sessionId: 'session-2', user: editor, version: 2 });
+
+        assert.equal(session.ownerId, owner.id);
+        assert.deepEqual(session.collaborators.map(c => [c.userId, c.role]), [[editor.id, 'editor']]);
+    });
+
+    it('needs a finished plan', () => {
+        const parent = completedPlan();
+        parent.stage = 'implementation_plan';
+
+        assert.throws(() => createIterationSession(parent, { sessionId: 'session-2', user: owner, version: 2 }), /Finish the plan/);
+    });
+});
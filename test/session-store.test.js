@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getStore } = require('@netlify/blobs');
+const { BlobsServer } = require('@netlify/blobs/server');
+const { MemorySessionStore, FileSessionStore, BlobSessionStore, createSessionStore } = require('../session-store');
+
+// The same contract for every adapter; `open` returns a fresh, empty store
+function describeAdapter(name, open) {
+    describe(name, () => {
+        it('stores, lists and deletes records', async () => {
+            const store = await open();
+            await store.set('a', { title: 'First' });
+            await store.set('b', { title: 'Second' });
+
+            assert.deepEqual(await store.get('a'), { title: 'First' });
+            assert.equal(await store.get('missing'), null);
+            assert.deepEqual((await store.list()).map(record => record.title).sort(), ['First', 'Second']);
+
+            await store.delete('a');
+            assert.equal(await store.get('a'), null);
+        });
+
+        it('returns copies, not the stored record', async () => {
+            const store = await open();
+            const session = { items: ['one'] };
+            await store.set('a', session);
+            session.items.push('two');
+
+            const read = await store.get('a');
+            read.items.push('three');
+            assert.deepEqual(await store.get('a'), { items: ['one'] });
+        });
+
+        it('hydrates records on read', async () => {
+            const store = await open({ hydrate: data => ({ ...data, hydrated: true }) });
+            await store.set('a', { title: 'First' });
+
+            assert.deepEqual(await store.get('a'), { title: 'First', hydrated: true });
+            assert.deepEqual(await store.list(), [{ title: 'First', hydrated: true }]);
+        });
+
+        it('rejects a write based on a stale version', async () => {
+            const store = await open();
+            await store.set('a', { count: 0 }, { expectedVersion: null });
+
+            const first = await store.getVersioned('a');
+            const second = await store.getVersioned('a');
+            await store.set('a', { count: 1 }, { expectedVersion: first.version });
+
+            await assert.rejects(store.set('a', { count: 2 }, { expectedVersion: second.version }), { code: 'VERSION_CONFLICT' });
+            assert.deepEqual(await store.get('a'), { count: 1 });
+        });
+
+        it('rejects creating a record that already exists', async () => {
+            const store = await open();
+            await store.set('a', { count: 0 }, { expectedVersion: null });
+
+            await assert.rejects(store.set('a', { count: 1 }, { expectedVersion: null }), { code: 'VERSION_CONFLICT' });
+        });
+
+        it('writes unconditionally without an expected version', async () => {
+            const store = await open();
+            await store.set('a', { count: 0 });
+            const stale = await store.getVersioned('a');
+            await store.set('a', { count: 1 });
+
+            assert.notEqual((await store.getVersioned('a')).version, stale.version);
+            await store.set('a', { count: 2 });
+            assert.deepEqual(await store.get('a'), { count: 2 });
+        });
+
+        it('expires and purges records', async () => {
+            const store = await open();
+            await store.set('old', { title: 'Old' });
+            await store.set('new', { title: 'New' });
+
+            assert.equal(await store.expire('old', -1000), true);
+            assert.equal(await store.expire('missing', 1000), false);
+            assert.equal(await store.purgeExpired(), 1);
+            assert.equal(await store.get('old'), null);
+            assert.deepEqual(await store.get('new'), { title: 'New' });
+        });
+
+        it('keeps records forever with a null ttl', async () => {
+            const store = await open({ ttlMs: null });
+            await store.set('user', { name: 'alice' });
+
+            assert.equal(await store.purgeExpired(), 0);
+            assert.deepEqual(await store.get('user'), { name: 'alice' });
+        });
+    });
+}
+
+describe('session stores', () => {
+    let directory;
+    let blobsServer;
+    let blobsURL;
+    let storeCount = 0;
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'compas-store-'));
+        blobsServer = new BlobsServer({ directory: path.join(directory, 'blobs'), token: 'test-token' });
+        const { port } = await blobsServer.start();
+        blobsURL = `http://localhost:${port}`;
+    });
+
+    after(async () => {
+        await blobsServer.stop();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describeAdapter('MemorySessionStore', async (options = {}) => new MemorySessionStore(options));
+
+    describeAdapter('FileSessionStore', async (options = {}) =>
+        new FileSessionStore({ ...options, directory: path.join(directory, `files-${++storeCount}`) }));
+
+    describeAdapter('BlobSessionStore', async (options = {}) => {
+        const blobs = getStore({ name: `sessions-${++storeCount}`, edgeURL: blobsURL, siteID: 'test-site', token: 'test-token' });
+        return new BlobSessionStore({ ...options, blobs });
+    });
+
+    describe('FileSessionStore directory', () => {
+        it('creates its directory on first use', async () => {
+            const store = new FileSessionStore({ directory: path.join(directory, 'nested', 'sessions') });
+            await store.set('a', { title: 'First' });
+
+            assert.deepEqual(await fs.readdir(path.join(directory, 'nested', 'sessions')), ['a.json']);
+        });
+
+        it('reports a directory it cannot create, and tries again next time', async () => {
+            const blocker = path.join(directory, 'blocker');
+            await fs.writeFile(blocker, '');
+            const store = new FileSessionStore({ directory: path.join(blocker, 'sessions') });
+
+            await assert.rejects(store.set('a', { title: 'First' }));
+            await fs.rm(blocker);
+            await store.set('a', { title: 'First' });
+            assert.deepEqual(await store.get('a'), { title: 'First' });
+        });
+
+        it('keeps ids inside the directory', async () => {
+            const store = new FileSessionStore({ directory: path.join(directory, 'ids') });
+            await store.set('../escape', { title: 'Escaped?' });
+
+            assert.deepEqual(await fs.readdir(path.join(directory, 'ids')), ['___escape.json']);
+        });
+    });
+
+    describe('createSessionStore', () => {
+        it('picks the adapter from the type', () => {
+            assert.ok(createSessionStore({ type: 'memory' }) instanceof MemorySessionStore);
+            assert.ok(createSessionStore({ type: 'file', directory }) instanceof FileSessionStore);
+            assert.ok(createSessionStore({ type: 'netlify-blobs' }) instanceof BlobSessionStore);
+            assert.throws(() => createSessionStore({ type: 'redis' }), /Unknown session store type: redis/);
+        });
+
+        it('defaults to Netlify Blobs inside Netlify functions, and to files elsewhere', () => {
+            const saved = { NETLIFY: process.env.NETLIFY, SESSION_STORE: process.env.SESSION_STORE };
+            delete process.env.SESSION_STORE;
+            try {
+                delete process.env.NETLIFY;
+                assert.ok(createSessionStore({ directory }) instanceof FileSessionStore);
+
+                process.env.NETLIFY = 'true';
+                assert.ok(createSessionStore() instanceof BlobSessionStore);
+                assert.ok(createSessionStore({ type: 'memory' }) instanceof MemorySessionStore);
+            } finally {
+                Object.entries(saved).forEach(([key, value]) => {
+                    if (value === undefined) {
+                        delete process.env[key];
+                    } else {
+                        process.env[key] = value;
+                    }
+                });
+            }
+        });
+    });
+});
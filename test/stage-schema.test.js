@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_SCHEMAS, isDate, validateAgainstSchema, pickValidFields, extractJSON } = require('../stage-schema');
+
+describe('isDate', () => {
+    it('accepts real YYYY-MM-DD dates only', () => {
+        assert.equal(isDate('2026-02-28'), true);
+        assert.equal(isDate('2028-02-29'), true);
+        assert.equal(isDate('2026-02-30'), false);
+        assert.equal(isDate('2026-2-3'), false);
+        assert.equal(isDate('next week'), false);
+    });
+});
+
+describe('validateAgainstSchema', () => {
+    const stepSchema = FIELD_SCHEMAS.implementationSteps.items;
+
+    it('accepts a valid item', () => {
+        assert.deepEqual(validateAgainstSchema({ title: 'Recruit', durationDays: 5, dependsOn: [] }, stepSchema), []);
+    });
+
+    it('names every problem by path', () => {
+        const errors = validateAgainstSchema({ durationDays: -1, startDate: '2026-13-01', colour: 'red' }, stepSchema, 'step');
+
+        assert.deepEqual(errors.sort(), [
+            'step.colour: unknown key',
+            'step.durationDays: must be >= 0',
+            'step.startDate: must be a date (YYYY-MM-DD)',
+            'step.title: is required'
+        ]);
+    });
+
+    it('checks list items', () => {
+        assert.deepEqual(validateAgainstSchema(['a', 2], FIELD_SCHEMAS.stakeholders), ['$[1]: expected string, got number']);
+    });
+});
+
+describe('pickValidFields', () => {
+    it('keeps valid declared fields and rejects the rest', () => {
+        const schema = { type: 'object', properties: { stakeholders: FIELD_SCHEMAS.stakeholders, rootProblem: FIELD_SCHEMAS.rootProblem } };
+        const { valid, rejected } = pickValidFields({ stakeholders: ['Staff'], rootProblem: 42, budget: '1000' }, schema);
+
+        assert.deepEqual(valid, { stakeholders: ['Staff'] });
+        assert.deepEqual(rejected.sort(), ['budget', 'rootProblem']);
+    });
+});
+
+describe('extractJSON', () => {
+    it('reads a bare object', () => {
+        assert.deepEqual(extractJSON('{"shouldProgress": true}'), { shouldProgress: true });
+    });
+
+    it('reads an object from a code fence or prose', () => {
+        assert.deepEqual(extractJSON('Here you go:\n```json\n{"a": 1}\n```'), { a: 1 });
+        assert.deepEqual(extractJSON('Sure! {"a": {"b": "}"}} Hope that helps.'), { a: { b: '}' } });
+    });
+
+    it('throws without an object', () => {
+        assert.throws(() => extractJSON('No idea'), /No JSON object found/);
+        assert.throws(() => extractJSON(undefined), /Model reply is empty/);
+    });
+});
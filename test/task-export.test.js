@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionState } = require('../compas-engine');
+const { resolveColumns, buildTasks, toCSV, toTaskJSON } = require('../task-export');
+
+function planSession(plan) {
+    const session = new SessionState('session-1', 'user-1');
+    session.stageData.context_discovery.situationDescription = 'Volunteer retention';
+    Object.assign(session.stageData.implementation_plan, plan);
+    return session;
+}
+
+describe('buildTasks', () => {
+    it('lists steps, measures and learning questions under their COMPAS stage', () => {
+        const tasks = buildTasks(planSession({
+            startDate: '2026-03-02',
+            implementationSteps: [
+                { title: 'Recruit', owner: 'Coordinator', durationDays: 5 },
+                { title: 'Launch', milestone: true, dependsOn: ['Recruit'] }
+            ],
+            performanceMeasures: [{ metric: 'Retention', target: '65%', frequency: 'Monthly' }],
+            learningQuestions: ['Do buddied volunteers stay longer?']
+        }));
+
+        assert.deepEqual(tasks.map(task => [task.id, task.title, task.stage, task.startDate, task.dueDate]), [
+            ['T1', 'Recruit', 'Implementation Plan', '2026-03-02', '2026-03-06'],
+            ['T2', 'Launch', 'Implementation Plan', '2026-03-07', '2026-03-07'],
+            ['M1', 'Track: Retention', 'Implementation Plan', '2026-03-02', ''],
+            ['L1', 'Decide: Do buddied volunteers stay longer?', 'Scaling & Learning', '2026-03-07', '2026-03-07']
+        ]);
+        assert.deepEqual(tasks[1].labels, ['COMPAS', 'Implementation Plan', 'Milestone', 'Critical path']);
+        assert.deepEqual(tasks[1].dependencyIds, ['T1']);
+        assert.deepEqual(tasks[3].labels, ['COMPAS', 'Scaling & Learning', 'Learning question']);
+    });
+
+    it('leaves dates empty when the plan cannot be scheduled', () => {
+        const tasks = buildTasks(planSession({
+            implementationSteps: [{ title: 'A', dependsOn: ['B'] }, { title: 'B', dependsOn: ['A'] }],
+            learningQuestions: ['Q']
+        }));
+
+        assert.deepEqual(tasks.map(task => task.dueDate), ['', '', '']);
+    });
+});
+
+describe('resolveColumns', () => {
+    it('takes presets and custom mappings', () => {
+        assert.deepEqual(Object.keys(resolveColumns()), ['ID', 'Title', 'Description', 'Owner', 'Start Date', 'Due Date', 'Dependencies', 'Labels']);
+        assert.equal(resolveColumns('jira').Summary, 'title');
+        assert.deepEqual(resolveColumns({ Task: 'title' }), { Task: 'title' });
+    });
+
+    it('names what is wrong with a mapping', () => {
+        assert.throws(() => resolveColumns('trello'), /Unknown column preset: trello/);
+        assert.throws(() => resolveColumns({ Task: 'colour' }), /Column "Task" maps to unknown field "colour"/);
+        assert.throws(() => resolveColumns([]), /columns must be a preset name/);
+    });
+});
+
+describe('toCSV', () => {
+    it('quotes fields and keeps spreadsheets from running formulas', () => {
+        const session = planSession({
+            implementationSteps: [
+                { title: '=HYPERLINK("http://evil")', description: 'Line one\nline "two"' },
+                { title: '-2+3', owner: '@ops' },
+                { title: '+cmd', owner: 'Smith, Jo' }
+            ]
+        });
+        const csv = toCSV(session, { Title: 'title', Description: 'description', Owner: 'owner' });
+
+        assert.equal(csv, '\uFEFFTitle,Description,Owner\r\n' +
+            '"\'=HYPERLINK(""http://evil"")","Line one\nline ""two""",\r\n' +
+            '\'-2+3,,\'@ops\r\n' +
+            '\'+cmd,,"Smith, Jo"\r\n');
+    });
+
+    it('joins lists within a cell', () => {
+        const session = planSession({ implementationSteps: [{ title: 'A' }, { title: 'B', dependsOn: ['A'] }] });
+        const lines = toCSV(session, { Title: 'title', Labels: 'labels' }).split('\r\n');
+
+        assert.equal(lines[1], 'A,"COMPAS, Implementation Plan, Critical path"');
+    });
+});
+
+describe('toTaskJSON', () => {
+    it('keys tasks by the column headings', () => {
+        const json = JSON.parse(toTaskJSON(planSession({ implementationSteps: [{ title: 'A', owner: 'Jo' }] }), { Task: 'title', Who: 'owner' }));
+
+        assert.equal(json.title, 'Volunteer retention');
+        assert.deepEqual(json.tasks, [{ Task: 'A', Who: 'Jo' }]);
+    });
+});
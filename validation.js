@@ -77,13 +77,15 @@ function validateFileUpload(file) {
     const allowedTypes = ['application/pdf', 'text/csv', 'application/json', 'text/plain'];
     
     const errors = [];
+    // Browser File objects expose `type`, multer uploads expose `mimetype`
+    const fileType = file.mimetype || file.type;
     
     if (file.size > maxSize) {
         errors.push(`File size (${formatFileSize(file.size)}) exceeds maximum allowed size (10MB)`);
     }
     
-    if (!allowedTypes.includes(file.type)) {
-        errors.push(`File type (${file.type}) is not supported. Allowed types: PDF, CSV, JSON, TXT`);
+    if (!allowedTypes.includes(fileType)) {
+        errors.push(`File type (${fileType}) is not supported. Allowed types: PDF, CSV, JSON, TXT`);
     }
     
     return {
@@ -93,18 +95,9 @@ function validateFileUpload(file) {
 }
 
 // Validate sensitivity classification
-function validateSensitivity(sensitivity, fileContent) {
-    const sensitivePatterns = [
-        /\b\d{3}-\d{2}-\d{4}\b/, // SSN
-        /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/, // Email
-        /\b\d{16}\b/, // Credit card
-        /\b\d{3}-\d{3}-\d{4}\b/, // Phone
-        /\b\d{5}(-\d{4})?\b/ // ZIP code
-    ];
-    
-    const hasSensitiveData = sensitivePatterns.some(pattern => 
-        pattern.test(fileContent)
-    );
+function validateSensitivity(sensitivity, findings = {}) {
+    // `findings` is a per-type PII count from SecurityService.scanPII
+    const hasSensitiveData = Object.values(findings).some(count => count > 0);
     
     return {
         suggestedLevel: hasSensitiveData ? 'high' : 'normal',